@@ -1,206 +1,130 @@
 /**
  * AI Chat Memory - ChatGPT平台适配器
- * 继承BasePlatformAdapter，只实现平台特定的逻辑
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
  */
 
-class ChatGPTAdapter extends BasePlatformAdapter {
-  constructor() {
-    super('chatgpt');
+class ChatGPTAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('chatgpt')) {
+    super(spec);
   }
 
   /**
-   * 验证是否为有效的ChatGPT对话URL
-   * @param {string} url - 要验证的URL
-   * @returns {boolean} - 是否为有效的对话URL
+   * 检查元素是否为消息元素（消息本身，或包住一问一答的 conversation-turn）
+   * @param {Node} node - 要检查的DOM节点
+   * @returns {boolean} - 是否为消息元素
    */
-  isValidConversationUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-      const pathname = urlObj.pathname;
-
-      if (!hostname.includes('chatgpt.com') && !hostname.includes('chat.openai.com')) {
-        return false;
-      }
-
-      const validPatterns = [
-        /^\/c\/[^/]+$/, // /c/conversation_id
-        /^\/g\/[^/]+\/c\/[^/]+$/ // /g/gpt_id/c/conversation_id
-      ];
-
-      return validPatterns.some(pattern => pattern.test(pathname));
-    } catch (error) {
-      console.error('AI Chat Memory: URL验证失败:', error);
-      return false;
-    }
+  isMessageElement(node) {
+    return super.isMessageElement(node) || (
+      node.nodeType === Node.ELEMENT_NODE &&
+      node.hasAttribute('data-testid') &&
+      node.getAttribute('data-testid').startsWith('conversation-turn-')
+    );
   }
 
   /**
-   * 从URL中提取对话ID
-   * @param {string} url - 要分析的URL
-   * @returns {Object} - 包含对话ID和是否为新对话的对象
+   * 生成回复时输入框旁显示停止按钮，流式输出中的回复带有 result-streaming 类
+   * @returns {boolean}
    */
-  extractConversationInfo(url) {
-    const result = {
-      conversationId: null,
-      isNewConversation: false
-    };
-
-    try {
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-
-      const pathWithoutLeadingSlash = pathname.startsWith('/') ? pathname.substring(1) : pathname;
-
-      if (pathWithoutLeadingSlash &&
-          pathWithoutLeadingSlash !== '' &&
-          pathWithoutLeadingSlash !== 'c' &&
-          pathWithoutLeadingSlash !== 'chat') {
-        result.conversationId = pathWithoutLeadingSlash.replace(/\//g, '_');
-
-        console.log(`AI Chat Memory: 提取到ChatGPT对话ID: ${result.conversationId}`);
-      }
-
-      return result;
-    } catch (error) {
-      console.error('AI Chat Memory: 解析URL时出错:', error);
-      return result;
-    }
+  isResponseStreaming() {
+    return this.hasVisibleElement([
+      'button[data-testid="stop-button"]',
+      '[data-message-author-role="assistant"] .result-streaming'
+    ]);
   }
 
   /**
-   * 检查元素是否为消息元素
-   * @param {Node} node - 要检查的DOM节点
-   * @returns {boolean} - 是否为消息元素
+   * 打开对话时整段对话一次渲染，加载中显示进度动画；长对话上方可能显示“加载更早消息”的按钮
+   * @returns {boolean}
    */
-  isMessageElement(node) {
-    return (
-      node.nodeType === Node.ELEMENT_NODE &&
-      (node.hasAttribute && node.hasAttribute('data-testid') &&
-       node.getAttribute('data-testid').startsWith('conversation-turn-')) ||
-      (node.hasAttribute && node.hasAttribute('data-message-author-role'))
-    );
+  isFullConversationLoaded() {
+    return this.isConversationStartLoaded([
+      'main [role="progressbar"]',
+      'main .animate-spin',
+      'button[data-testid="load-more-messages"]'
+    ]);
   }
 
   /**
-   * 提取页面上的所有消息
-   * @returns {Array} - 消息数组
+   * 编辑消息时输入框出现在消息所在的轮次（article）中；页面底部的输入框不算编辑
    */
-  extractMessages() {
-    const messages = [];
-
-    const conversationContainer = document.querySelector('main') || document.querySelector('[role="main"]') || document.body;
+  isEditing(container, elements) {
+    return Array.from(container.querySelectorAll('article')).some(element => this.isInEditMode(element));
+  }
 
-    if (!conversationContainer) {
-      console.log('AI Chat Memory: 未找到对话容器');
-      return messages;
-    }
+  /**
+   * 对话标题由首条消息生成（generateTitleFromMessages），不读取页面
+   */
+  extractTitle() {
+    return null;
+  }
 
-    const articleContainers = conversationContainer.querySelectorAll('article');
+  /**
+   * 推理模型回答上方“Thought for 12s”“已思考 12 秒”折叠面板的标题
+   */
+  static get THINKING_HEADER_PATTERN() {
+    return /^(thought|reasoned|thinking|已思考|思考了?|已推理|推理了?)/i;
+  }
 
-    const existTextarea = Array.from(articleContainers).find(element => this.isInEditMode(element));
-    if (existTextarea) {
-      console.log('AI Chat Memory: 检测到用户正在编辑，跳过消息提取');
-      return [];
+  /**
+   * 提取回答的思考过程与用时
+   * 思考面板的标题是一个按钮，点击后在同一容器中展开思考内容；折叠时临时展开读取
+   * @param {Element} element - 带 data-message-author-role="assistant" 的消息元素
+   * @returns {Object} - { thinking, thinkingDuration }
+   */
+  extractThinking(element) {
+    const turn = element.closest('article, [data-testid^="conversation-turn"]') || element;
+    const toggle = Array.from(turn.querySelectorAll('button, [role="button"]')).find(button =>
+      !button.closest('.markdown') &&
+      ChatGPTAdapter.THINKING_HEADER_PATTERN.test((button.innerText || button.textContent || '').trim())
+    );
+    if (!toggle || !toggle.parentElement) {
+      return { thinking: '', thinkingDuration: null };
     }
-    const userMessages = conversationContainer.querySelectorAll('div[data-message-author-role="user"]');
-    const aiMessages = conversationContainer.querySelectorAll('div[data-message-author-role="assistant"]');
-
-    console.log(`AI Chat Memory: 找到 ${userMessages.length} 条用户消息, ${aiMessages.length} 条AI消息`);
-
-    const allMessageElements = [];
-
-    userMessages.forEach(element => {
-      allMessageElements.push({ element, type: 'user' });
-    });
-
-    aiMessages.forEach(element => {
-      allMessageElements.push({ element, type: 'ai' });
-    });
-
-    // 按DOM中的实际位置排序
-    allMessageElements.sort((a, b) => {
-      const position = a.element.compareDocumentPosition(b.element);
-      if (position & Node.DOCUMENT_POSITION_FOLLOWING) {
-        return -1;
-      } else if (position & Node.DOCUMENT_POSITION_PRECEDING) {
-        return 1;
-      }
-      return 0;
-    });
-
-    allMessageElements.forEach((messageInfo, index) => {
-      messageInfo.position = index;
-    });
 
-    allMessageElements.forEach((messageInfo, index) => {
-      const { element, type } = messageInfo;
-
-      if (type === 'user') {
-        const userTextElement = element.querySelector('.whitespace-pre-wrap');
-        if (userTextElement && userTextElement.innerText.trim()) {
-          const content = userTextElement.innerText.trim();
-          const messageId = this.generateMessageId('user', content, index);
-
-          messages.push({
-            messageId,
-            sender: 'user',
-            content,
-            thinking: '',
-            position: index,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          });
-        }
-      } else if (type === 'ai') {
-        let thinking = '';
-        let content = '';
-
-        // 提取 AI thinking 文本
-        const potentialThinkingElements = element.querySelectorAll(':scope > div:not(.markdown)');
-        potentialThinkingElements.forEach(ptElement => {
-          if (ptElement.offsetParent !== null && ptElement.innerText && ptElement.innerText.trim() !== '') {
-            if (!ptElement.querySelector('button') && !ptElement.classList.contains('flex')) {
-              thinking = ptElement.innerText.trim();
-            }
-          }
-        });
-
-        // 提取 AI 正式消息文本
-        const aiMarkdownElement = element.querySelector('.markdown.prose');
-        if (aiMarkdownElement) {
-          content = this.extractFormattedContent(aiMarkdownElement);
-        }
-
-        if (content) {
-          const messageId = this.generateMessageId('AI', content, index);
+    const section = toggle.parentElement;
+    const readContent = () => Array.from(section.children)
+      .filter(child => !child.contains(toggle) && !child.querySelector('.markdown.prose'))
+      .map(child => (child.innerText || '').trim())
+      .filter(Boolean)
+      .join('\n');
+    const ariaExpanded = toggle.getAttribute('aria-expanded');
+    const expanded = ariaExpanded === 'true' || (ariaExpanded !== 'false' && readContent() !== '');
+
+    return {
+      thinking: this.readCollapsibleThinking(section, toggle, expanded, readContent),
+      thinkingDuration: this.parseThinkingDuration(toggle.innerText || toggle.textContent || '')
+    };
+  }
 
-          messages.push({
-            messageId,
-            sender: 'AI',
-            content,
-            thinking,
-            position: index,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          });
-        }
-      }
-    });
+  /**
+   * 编辑或重新生成后，消息下方切换器中显示“2/3”的元素
+   */
+  static get BRANCH_SWITCHER_SELECTORS() {
+    return ['.tabular-nums', 'div.self-center.text-center'];
+  }
 
-    console.log(`AI Chat Memory: ChatGPT成功提取 ${messages.length} 条消息`);
-    return messages;
+  /**
+   * 读取消息所在轮次（article）中的分支切换器
+   * @param {Element} element - 带 data-message-author-role 的消息元素
+   * @returns {Object} - { siblingIndex, siblingCount }
+   */
+  readMessageBranch(element) {
+    const turn = element.closest('article, [data-testid^="conversation-turn"]');
+    return this.readBranchPosition(turn, ChatGPTAdapter.BRANCH_SWITCHER_SELECTORS);
   }
 }
 
 function initChatGPTAdapter() {
-  if (typeof BasePlatformAdapter === 'undefined') {
-    console.error('AI Chat Memory: BasePlatformAdapter未加载');
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
     return;
   }
 
-  const adapter = new ChatGPTAdapter();
-  adapter.start();
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('chatgpt').then(spec => {
+    const adapter = new ChatGPTAdapter(spec);
+    adapter.start();
+  });
 }
 
 initChatGPTAdapter();
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * AI Chat Memory - Claude平台适配器
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
+ */
+
+class ClaudeAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('claude')) {
+    super(spec);
+
+    // 打开过的 Artifact 内容：卡片标识（getArtifactKey）-> { language, content }
+    // Artifact 正文只在侧边面板中渲染，页面中读不到未打开过的 Artifact；切换对话时清空
+    this.artifactContents = new Map();
+    this.artifactScope = null;
+    // 用户最近点击打开的 Artifact 卡片标识，用于确定侧边面板显示的是哪张卡片（同名的不同版本）
+    this.openedArtifactKey = null;
+
+    document.addEventListener('click', event => {
+      const card = event.target instanceof Element ? event.target.closest(ClaudeAdapter.ARTIFACT_CARD_SELECTORS.join(', ')) : null;
+      if (card) {
+        this.openedArtifactKey = this.getArtifactKey(card);
+      }
+    }, true);
+  }
+
+  /**
+   * 回答中的 Artifact 卡片（点击后在侧边面板中打开）
+   */
+  static get ARTIFACT_CARD_SELECTORS() {
+    return ['.artifact-block-cell', '[data-testid="artifact-block"]', '[class*="artifact-block"]'];
+  }
+
+  /**
+   * 侧边的 Artifact 面板
+   */
+  static get ARTIFACT_PANEL_SELECTORS() {
+    return ['[data-testid="artifact-view"]', '#artifact-panel', '[class*="artifact-panel"]'];
+  }
+
+  /**
+   * 扩展思考折叠面板的标题（如“Thought process 8s”）
+   */
+  static get THINKING_HEADER_PATTERN() {
+    return /^(thought process|thinking|thought for|思考过程|正在思考|已思考)/i;
+  }
+
+  /**
+   * 检查元素是否为消息元素
+   * @param {Node} node - 要检查的DOM节点
+   * @returns {boolean} - 是否为消息元素
+   */
+  isMessageElement(node) {
+    if (super.isMessageElement(node)) {
+      return true;
+    }
+
+    return node.nodeType === Node.ELEMENT_NODE &&
+      (node.hasAttribute('data-test-render-count') || node.hasAttribute('data-is-streaming'));
+  }
+
+  /**
+   * 从页面提取标题（页面标题为“<对话标题> - Claude”）
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const title = (document.title || '').replace(/\s*[-|–]\s*Claude\s*$/i, '').trim();
+    if (title && title !== 'Claude') {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 输出中的回答带 data-is-streaming="true"，输入框旁显示停止按钮
+   * @returns {boolean}
+   */
+  isResponseStreaming() {
+    return this.hasVisibleElement([
+      '[data-is-streaming="true"]',
+      'button[aria-label="Stop response"]'
+    ]);
+  }
+
+  /**
+   * 提取消息前先缓存已打开的 Artifact 面板内容；对话（页面路径）变化后清空之前对话的缓存
+   * @returns {Array} - 消息数组
+   */
+  extractMessages() {
+    const scope = window.location.pathname;
+    if (scope !== this.artifactScope) {
+      this.artifactContents.clear();
+      this.openedArtifactKey = null;
+      this.artifactScope = scope;
+    }
+
+    this.cacheOpenArtifact();
+    return super.extractMessages();
+  }
+
+  /**
+   * 回答正文（规则 contentSelector 匹配的正文块）不含思考区域；Artifact 卡片按页面位置插在正文块之间
+   * contentSelector 为 :scope 时正文为整个回答元素，Artifact 附在末尾
+   * @param {Element} element - 回答元素
+   * @param {Element|null} thinkingSection - 思考区域
+   * @returns {string}
+   */
+  extractAnswer(element, thinkingSection) {
+    const blocks = this.findAnswerBlocks(element, thinkingSection);
+    if (blocks.length === 0) return '';
+
+    const artifactCards = this.findArtifactCards(element);
+    const ignored = artifactCards.concat(thinkingSection ? [thinkingSection] : []);
+
+    if (blocks[0] === element) {
+      return [this.extractFormattedContent(element, ignored)]
+        .concat(artifactCards.map(card => this.formatArtifact(card)))
+        .filter(Boolean)
+        .join('\n\n');
+    }
+
+    return blocks
+      .concat(artifactCards)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+      .map(item => (artifactCards.includes(item) ? this.formatArtifact(item) : this.extractFormattedContent(item, ignored)))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * 回答的正文块：按顺序尝试 contentSelector，取第一个有匹配的选择器的全部最外层匹配
+   * （回答被 Artifact 卡片或工具调用分成多段时有多个正文块）；:scope 或未配置时为回答元素本身
+   * @returns {Array<Element>}
+   */
+  findAnswerBlocks(element, thinkingSection) {
+    const selectors = AdapterSpecs.toList(this.spec.contentSelector);
+    if (selectors.length === 0) {
+      return [element];
+    }
+
+    for (const selector of selectors) {
+      if (selector === ':scope') {
+        return [element];
+      }
+      let blocks;
+      try {
+        blocks = Array.from(element.querySelectorAll(selector));
+      } catch (error) {
+        console.warn(`AI Chat Memory: 无效的选择器 ${selector}:`, error);
+        continue;
+      }
+      blocks = blocks.filter(block =>
+        (!thinkingSection || !thinkingSection.contains(block)) && (block.textContent || '').trim()
+      );
+      blocks = blocks.filter(block => !blocks.some(other => other !== block && other.contains(block)));
+      if (blocks.length > 0) return blocks;
+    }
+    return [];
+  }
+
+  /**
+   * 编辑或重新生成后消息下方显示“1 / 2”切换器
+   */
+  readMessageBranch(element) {
+    return this.readBranchPosition(
+      element.closest('[data-test-render-count]') || element.parentElement,
+      ['.tabular-nums', 'span.self-center']
+    );
+  }
+
+  /**
+   * 提取扩展思考（回答顶部的折叠面板，标题按钮展开后显示思考内容），折叠时临时展开读取
+   * @param {Element} element - 回答元素
+   * @returns {Object} - { thinking, thinkingDuration, section: 思考区域元素（正文中需忽略） }
+   */
+  extractThinking(element) {
+    const toggle = Array.from(element.querySelectorAll('button, [role="button"]')).find(button =>
+      ClaudeAdapter.THINKING_HEADER_PATTERN.test((button.innerText || button.textContent || '').trim())
+    );
+    if (!toggle || !toggle.parentElement || toggle.parentElement === element) {
+      return { thinking: '', thinkingDuration: null, section: null };
+    }
+
+    const section = toggle.parentElement;
+    const readContent = () => Array.from(section.children)
+      .filter(child => !child.contains(toggle))
+      .map(child => this.extractFormattedContent(child))
+      .filter(Boolean)
+      .join('\n\n');
+    const ariaExpanded = toggle.getAttribute('aria-expanded');
+    const expanded = ariaExpanded === 'true' || (ariaExpanded !== 'false' && readContent() !== '');
+
+    return {
+      thinking: this.readCollapsibleThinking(section, toggle, expanded, readContent),
+      thinkingDuration: this.parseThinkingDuration(toggle.innerText || toggle.textContent || ''),
+      section
+    };
+  }
+
+  findArtifactCards(element) {
+    const cards = Array.from(element.querySelectorAll(ClaudeAdapter.ARTIFACT_CARD_SELECTORS.join(', ')));
+    // 模糊类名可能同时匹配卡片内部元素，只保留最外层
+    return cards.filter(card => !cards.some(other => other !== card && other.contains(card)));
+  }
+
+  /**
+   * 读取 Artifact 卡片的标题与类型（如“Code · Version 2”）
+   * @returns {Object} - { title, type }
+   */
+  readArtifactCard(card) {
+    const lines = (card.innerText || card.textContent || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    return { title: lines[0] || 'Artifact', type: lines[1] || '' };
+  }
+
+  /**
+   * 卡片标识：标题、类型（含版本，如“Code · Version 2”）与同名同类型卡片中的序号
+   */
+  getArtifactKey(card) {
+    const { title, type } = this.readArtifactCard(card);
+    const index = this.findArtifactCards(document.body)
+      .filter(other => {
+        const info = this.readArtifactCard(other);
+        return info.title === title && info.type === type;
+      })
+      .indexOf(card);
+    return JSON.stringify([title, type, index]);
+  }
+
+  /**
+   * Artifact 以标题和类型附在回答末尾；只有在本标签页侧边面板中打开过的 Artifact 才能附上其内容，
+   * 其余只保存标题与类型，并注明内容未保存
+   */
+  formatArtifact(card) {
+    const { title, type } = this.readArtifactCard(card);
+    const header = `**Artifact: ${title}**${type ? ` · ${type}` : ''}`;
+    const cached = this.artifactContents.get(this.getArtifactKey(card));
+    if (!cached) {
+      return `${header}\n\n*（未在侧边面板中打开，内容未保存）*`;
+    }
+
+    if (cached.language === null) {
+      return `${header}\n\n${cached.content}`;
+    }
+    const longestRun = Math.max(0, ...(cached.content.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${header}\n\n${fence}${cached.language}\n${cached.content}\n${fence}`;
+  }
+
+  /**
+   * 侧边面板显示的 Artifact 对应的卡片标识：优先使用用户点击打开的卡片，
+   * 否则（如回答生成时面板自动打开）取页面中同名的最后一张卡片
+   */
+  findOpenArtifactKey(title) {
+    if (this.openedArtifactKey && JSON.parse(this.openedArtifactKey)[0] === title) {
+      return this.openedArtifactKey;
+    }
+
+    const cards = this.findArtifactCards(document.body).filter(card => this.readArtifactCard(card).title === title);
+    return cards.length > 0 ? this.getArtifactKey(cards[cards.length - 1]) : null;
+  }
+
+  /**
+   * 侧边面板打开时缓存其中 Artifact 的内容：代码类记录语言与原始代码，文档类转为 Markdown
+   */
+  cacheOpenArtifact() {
+    const panel = document.querySelector(ClaudeAdapter.ARTIFACT_PANEL_SELECTORS.join(', '));
+    if (!panel) return;
+
+    const heading = panel.querySelector('h1, h2, h3, [data-testid="artifact-title"]');
+    const title = heading ? (heading.innerText || heading.textContent || '').trim() : '';
+    const key = title ? this.findOpenArtifactKey(title) : null;
+    if (!key) return;
+
+    const code = panel.querySelector('pre code');
+    if (code) {
+      this.artifactContents.set(key, {
+        language: MarkdownConverter.detectCodeLanguage(code.closest('pre'), code),
+        content: (code.textContent || '').replace(/\n$/, '')
+      });
+      return;
+    }
+
+    const body = panel.querySelector('.font-claude-response, .font-claude-message, [class*="prose"]');
+    const content = body ? this.extractFormattedContent(body) : '';
+    if (content) {
+      this.artifactContents.set(key, { language: null, content });
+    }
+  }
+}
+
+function initClaudeAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('claude').then(spec => {
+    const adapter = new ClaudeAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: Claude适配器已启动');
+  });
+}
+
+initClaudeAdapter();
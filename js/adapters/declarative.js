@@ -0,0 +1,38 @@
+/**
+ * AI Chat Memory - 自定义适配规则的适配器
+ * 用户导入的适配规则（非内置平台）完全由 DeclarativeAdapter 执行
+ * 本脚本由后台为选择了自定义规则的自建站点在运行时注册注入，按当前页面的源找到站点对应的规则
+ */
+
+function initDeclarativeAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  chrome.storage.local.get(['customSites'], async (result) => {
+    if (chrome.runtime.lastError) {
+      console.error('AI Chat Memory: 读取自建站点失败:', chrome.runtime.lastError);
+      return;
+    }
+
+    const sites = Array.isArray(result.customSites) ? result.customSites : [];
+    const site = sites.find(item => item.origin === location.origin);
+    if (!site) {
+      console.log('AI Chat Memory: 当前站点未配置适配规则');
+      return;
+    }
+
+    const spec = await AdapterSpecs.load(site.platform);
+    if (!spec) {
+      console.error(`AI Chat Memory: 未找到适配规则 ${site.platform}`);
+      return;
+    }
+
+    const adapter = new DeclarativeAdapter(spec);
+    adapter.start();
+    console.log(`AI Chat Memory: ${adapter.displayName}适配器已启动`);
+  });
+}
+
+initDeclarativeAdapter();
@@ -0,0 +1,160 @@
+/**
+ * AI Chat Memory - DeepSeek平台适配器
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
+ */
+
+class DeepSeekAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('deepseek')) {
+    super(spec);
+  }
+
+  /**
+   * 深度思考（R1）展开后的思考内容区域
+   */
+  static get THINKING_CONTENT_SELECTORS() {
+    return ['.ds-think-content', '[class*="think-content"]'];
+  }
+
+  /**
+   * 思考区域标题（如“已深度思考（用时 23 秒）”“Thought for 23 seconds”），点击可折叠
+   */
+  static get THINKING_HEADER_PATTERN() {
+    return /^(已深度思考|深度思考中|已思考|思考中|正在思考|thought for|thinking)/i;
+  }
+
+  /**
+   * 标题取侧边栏中指向当前对话的条目，页面标题通常只是站点名
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const title = this.readConversationLinkTitle() ||
+      (document.title || '').replace(/\s*[-|–]\s*DeepSeek.*$/i, '').trim();
+    if (title && !/^DeepSeek\b/i.test(title)) {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 提问与回答共用消息元素：回答带正文或深度思考区域，提问只有纯文本
+   * @param {Element} element - 消息元素
+   * @param {number} index - 消息元素的位置
+   * @returns {Object|null}
+   */
+  extractMessage(element, index) {
+    const { thinking, thinkingDuration, section } = this.extractThinking(element);
+    const answer = this.findAnswerElement(element);
+
+    if (!answer && !section) {
+      const content = this.extractUserContent(element);
+      if (!content) return null;
+
+      return {
+        messageId: null,
+        sender: 'user',
+        content,
+        thinking: '',
+        position: index,
+        createdAt: this.readMessageTimestamp(element)
+      };
+    }
+
+    const content = answer ? this.extractFormattedContent(answer) : '';
+    if (!content) return null;
+
+    return {
+      messageId: null,
+      sender: 'AI',
+      content,
+      thinking,
+      thinkingDuration,
+      position: index,
+      createdAt: this.readMessageTimestamp(element)
+    };
+  }
+
+  /**
+   * 回答正文：不在思考内容中的 contentSelector 元素（思考内容中也有同名类）
+   * @param {Element} element - 消息元素
+   * @returns {Element|null}
+   */
+  findAnswerElement(element) {
+    const thinkingSelector = DeepSeekAdapter.THINKING_CONTENT_SELECTORS.join(', ');
+    const selector = AdapterSpecs.toList(this.spec.contentSelector).join(', ');
+    if (!selector) return null;
+    return Array.from(element.querySelectorAll(selector))
+      .find(markdown => !markdown.closest(thinkingSelector)) || null;
+  }
+
+  /**
+   * 提取深度思考内容与用时
+   * 思考区域由标题与内容组成，点击标题折叠；折叠后内容不在 DOM 中时临时展开读取
+   * @param {Element} element - 消息元素
+   * @returns {Object} - { thinking, thinkingDuration, section: 思考区域元素 }
+   */
+  extractThinking(element) {
+    const thinkingSelector = DeepSeekAdapter.THINKING_CONTENT_SELECTORS.join(', ');
+    const answerSelector = AdapterSpecs.toList(this.spec.contentSelector).join(', ');
+    // 标题是不含正文的短文本元素；折叠时外层容器的文字与标题相同，取最内层的匹配
+    const headers = Array.from(element.querySelectorAll('div, span, button, [role="button"]')).filter(node => {
+      const text = (node.innerText || node.textContent || '').trim();
+      return text.length <= 40 &&
+        !node.closest(thinkingSelector) &&
+        !(answerSelector && node.closest(answerSelector)) &&
+        DeepSeekAdapter.THINKING_HEADER_PATTERN.test(text);
+    });
+    const toggle = headers[headers.length - 1];
+    if (!toggle || !toggle.parentElement || toggle.parentElement === element) {
+      return { thinking: '', thinkingDuration: null, section: null };
+    }
+
+    const thinkingDuration = this.parseThinkingDuration(toggle.innerText || toggle.textContent || '');
+    // 没有思考内容也没有用时的短句可能只是提问文字
+    if (thinkingDuration === null && !element.querySelector(thinkingSelector)) {
+      return { thinking: '', thinkingDuration: null, section: null };
+    }
+
+    const section = toggle.parentElement;
+    const readContent = () => {
+      const content = section.querySelector(thinkingSelector) || element.querySelector(thinkingSelector);
+      return content ? this.extractFormattedContent(content) : '';
+    };
+
+    return {
+      thinking: this.readCollapsibleThinking(section, toggle, readContent() !== '', readContent),
+      thinkingDuration,
+      section
+    };
+  }
+
+  /**
+   * 代码块标题栏（语言名、复制/下载按钮）由 noiseSelectors 排除，语言名写在标题栏中
+   */
+  getMarkdownOptions() {
+    return {
+      ...super.getMarkdownOptions(),
+      getCodeLanguage: pre => {
+        const block = pre.closest('.md-code-block');
+        const label = block && block.querySelector('.md-code-block-infostring');
+        const language = label ? (label.textContent || '').trim().toLowerCase() : '';
+        return language || null;
+      }
+    };
+  }
+}
+
+function initDeepSeekAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('deepseek').then(spec => {
+    const adapter = new DeepSeekAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: DeepSeek适配器已启动');
+  });
+}
+
+initDeepSeekAdapter();
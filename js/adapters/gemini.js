@@ -1,102 +1,11 @@
 /**
  * AI Chat Memory - Gemini平台适配器
- * 继承BasePlatformAdapter，只实现平台特定的逻辑
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
  */
 
-class GeminiAdapter extends BasePlatformAdapter {
-  constructor() {
-    super('gemini');
-  }
-
-  /**
-   * 验证是否为有效的Gemini对话URL
-   * @param {string} url - 要验证的URL
-   * @returns {boolean} - 是否为有效的对话URL
-   */
-  isValidConversationUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-      const pathname = urlObj.pathname;
-
-      if (!hostname.includes('gemini.google.com')) {
-        return false;
-      }
-
-      // 支持多种URL格式
-      const validPatterns = [
-        /^\/gem\/[^/]+\/[^/]+$/, // /gem/*/conversation_id
-        /^\/app\/[^/]+$/, // /app/conversation_id
-        /^\/[^/]+\/[^/]+\/app\/[^/]+$/, // /*/*/app/conversation_id
-        /^\/[^/]+\/[^/]+\/gem\/[^/]+\/[^/]+$/ // /*/*/gem/*/conversation_id
-      ];
-
-      // 排除初始无内容页面
-      if (pathname === '/app' ||
-          /^\/gem\/[^/]+$/.test(pathname) ||
-          /^\/[^/]+\/[^/]+\/app$/.test(pathname) ||
-          /^\/[^/]+\/[^/]+\/gem\/[^/]+$/.test(pathname)) {
-        return false;
-      }
-
-      return validPatterns.some(pattern => pattern.test(pathname));
-    } catch (error) {
-      console.error('AI Chat Memory: URL验证失败:', error);
-      return false;
-    }
-  }
-
-  /**
-   * 从URL中提取对话ID
-   * @param {string} url - 要分析的URL
-   * @returns {Object} - 包含对话ID和是否为新对话的对象
-   */
-  extractConversationInfo(url) {
-    const result = {
-      conversationId: null,
-      isNewConversation: false
-    };
-
-    try {
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-
-      // 移除开头的斜杠，获取完整路径
-      const pathWithoutLeadingSlash = pathname.startsWith('/') ? pathname.substring(1) : pathname;
-
-      // 分析路径段
-      const pathSegments = pathWithoutLeadingSlash.split('/');
-
-      // 根据不同的路径格式提取对话ID
-      let conversationId = null;
-
-      if (pathSegments.length >= 2) {
-        if (pathSegments[0] === 'app' && pathSegments[1]) {
-          conversationId = pathSegments[1];
-        }
-        else if (pathSegments[0] === 'gem' && pathSegments.length >= 3 && pathSegments[2]) {
-          conversationId = pathSegments[2];
-        }
-        else if (pathSegments.length >= 4 && pathSegments[2] === 'app' && pathSegments[3]) {
-          conversationId = pathSegments[3];
-        }
-        else if (pathSegments.length >= 5 && pathSegments[2] === 'gem' && pathSegments[4]) {
-          conversationId = pathSegments[4];
-        }
-      }
-
-      if (conversationId) {
-        // 使用完整路径作为对话ID，将斜杠替换为下划线
-        result.conversationId = pathWithoutLeadingSlash.replace(/\//g, '_');
-
-        console.log(`AI Chat Memory: 提取到Gemini对话ID: ${result.conversationId}`);
-      }
-
-      return result;
-    } catch (error) {
-      console.error('AI Chat Memory: 解析URL时出错:', error);
-      return result;
-    }
+class GeminiAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('gemini')) {
+    super(spec);
   }
 
   /**
@@ -105,6 +14,10 @@ class GeminiAdapter extends BasePlatformAdapter {
    * @returns {boolean} - 是否为消息元素
    */
   isMessageElement(node) {
+    if (super.isMessageElement(node)) {
+      return true;
+    }
+
     if (node.nodeType !== Node.ELEMENT_NODE || !node.classList) {
       return false;
     }
@@ -113,30 +26,12 @@ class GeminiAdapter extends BasePlatformAdapter {
       return true;
     }
 
-    if (node.tagName === 'USER-QUERY' || node.tagName === 'MODEL-RESPONSE') {
-      return true;
-    }
-
     // 检查是否包含消息内容元素
-    if (node.querySelector('user-query') ||
-        node.querySelector('model-response') ||
-        node.querySelector('.query-text') ||
-        node.querySelector('message-content')) {
+    if (node.querySelector('.query-text') || node.querySelector('message-content')) {
       return true;
     }
 
-    // 检查父元素是否为消息容器
-    let parent = node.parentElement;
-    while (parent && parent !== document.body) {
-      if (parent.classList.contains('conversation-container') ||
-          parent.tagName === 'USER-QUERY' ||
-          parent.tagName === 'MODEL-RESPONSE') {
-        return true;
-      }
-      parent = parent.parentElement;
-    }
-
-    return false;
+    return !!node.closest('.conversation-container');
   }
 
   /**
@@ -164,94 +59,102 @@ class GeminiAdapter extends BasePlatformAdapter {
   }
 
   /**
-   * 提取页面上的所有消息
-   * @returns {Array} - 消息数组
+   * 生成回复时发送按钮变为停止按钮
+   * @returns {boolean}
    */
-  extractMessages() {
-    const messages = [];
-
-    const chatHistoryContainer = document.querySelector('#chat-history');
-    if (!chatHistoryContainer) {
-      console.log('AI Chat Memory: 未找到聊天历史容器 #chat-history');
-      return messages;
-    }
-
-    const conversationBlocks = chatHistoryContainer.querySelectorAll('.conversation-container');
-    if (conversationBlocks.length === 0) {
-      console.log('AI Chat Memory: 在 #chat-history 中未找到对话块');
-      return messages;
-    }
+  isResponseStreaming() {
+    return this.hasVisibleElement([
+      'button.send-button.stop',
+      '.send-button-container mat-icon[fonticon="stop"]',
+      '.send-button-container [data-mat-icon-name="stop"]'
+    ]);
+  }
 
-    console.log(`AI Chat Memory: 找到 ${conversationBlocks.length} 个对话块`);
+  /**
+   * 较早的轮次在滚动到顶部时才由 infinite-scroller 加载，加载时顶部显示进度动画
+   * @returns {boolean}
+   */
+  isFullConversationLoaded() {
+    return this.isConversationStartLoaded([
+      'infinite-scroller mat-progress-spinner',
+      'infinite-scroller .loading-history-spinner-container',
+      '.loading-content-spinner-container'
+    ]);
+  }
 
-    // 检查对话块中是否存在textarea（编辑状态）
-    const existTextarea = Array.from(conversationBlocks).find(block => this.isInEditMode(block));
-    if (existTextarea) {
-      console.log('AI Chat Memory: 检测到用户正在编辑，跳过消息提取');
-      return [];
+  /**
+   * 提取回答的思考过程（“显示思路”折叠区域 model-thoughts）与用时
+   * 折叠时思考内容不在 DOM 中，临时展开读取
+   * @param {Element} modelResponseEntity - model-response 元素
+   * @returns {Object} - { thinking, thinkingDuration }
+   */
+  extractThinking(modelResponseEntity) {
+    const section = modelResponseEntity.querySelector('model-thoughts, .model-thoughts');
+    if (!section) {
+      return { thinking: '', thinkingDuration: null };
     }
 
-    conversationBlocks.forEach((block, blockIndex) => {
-      // 提取用户消息
-      const userQueryContainer = block.querySelector('user-query .query-text');
-      if (userQueryContainer) {
-        let userContent = '';
-
-        userContent = this.extractFormattedContent(userQueryContainer);
-
-        if (userContent && userContent.trim()) {
-          const position = blockIndex * 2; // 用户消息在偶数位置
-          const userMessageId = this.generateMessageId('user', userContent, position);
+    const toggle = section.querySelector('[data-test-id="thoughts-header-button"], .thoughts-header-button, .thoughts-header button');
+    const readContent = () => {
+      const body = section.querySelector('[data-test-id="thoughts-content"], .thoughts-body, .thoughts-content');
+      return body ? this.extractFormattedContent(body) : '';
+    };
+    const ariaExpanded = toggle ? toggle.getAttribute('aria-expanded') : null;
+    const expanded = ariaExpanded === 'true' || (ariaExpanded !== 'false' && readContent() !== '');
+    const header = section.querySelector('.thoughts-header, [data-test-id="thoughts-header"]') || toggle;
 
-          messages.push({
-            messageId: userMessageId,
-            sender: 'user',
-            content: userContent,
-            thinking: '',
-            position: position,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          });
-        }
-      }
+    return {
+      thinking: this.readCollapsibleThinking(section, toggle, expanded, readContent),
+      thinkingDuration: header ? this.parseThinkingDuration(header.innerText || header.textContent || '') : null
+    };
+  }
 
-      // 提取AI响应
-      const modelResponseEntity = block.querySelector('model-response');
-      if (modelResponseEntity) {
-        let aiContent = '';
+  /**
+   * 读取回答的草稿选择（“显示草稿”中的草稿卡片），返回当前选中的是第几个草稿
+   * 没有草稿卡片时视为唯一的回答；用户消息不记录分支
+   * @param {Element} element - model-response 元素
+   * @param {string} sender - 'user' 或 'AI'
+   * @returns {Object} - { siblingIndex, siblingCount }
+   */
+  readMessageBranch(element, sender) {
+    if (sender === 'user') {
+      return {};
+    }
 
-        const messageContentContainer = modelResponseEntity.querySelector('.model-response-text');
-        if (messageContentContainer) {
-          aiContent = this.extractFormattedContent(messageContentContainer);
-        }
+    const block = element.closest('.conversation-container') || element;
+    const drafts = Array.from(block.querySelectorAll('[data-test-id="draft-chip"], .draft-chip, .response-draft'));
+    if (drafts.length < 2) {
+      return { siblingIndex: 0, siblingCount: 1 };
+    }
 
-        if (aiContent && aiContent.trim()) {
-          const position = blockIndex * 2 + 1; // AI消息在奇数位置
-          const aiMessageId = this.generateMessageId('AI', aiContent, position);
+    const selectedIndex = drafts.findIndex(draft =>
+      draft.getAttribute('aria-selected') === 'true' ||
+      draft.getAttribute('aria-pressed') === 'true' ||
+      draft.classList.contains('selected')
+    );
+    return { siblingIndex: Math.max(selectedIndex, 0), siblingCount: drafts.length };
+  }
 
-          messages.push({
-            messageId: aiMessageId,
-            sender: 'AI',
-            content: aiContent,
-            thinking: '',
-            position: position,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          });
-        }
+  /**
+   * 代码语言写在代码块标题中（标题由 noiseSelectors 排除），不在 code 的类名上
+   */
+  getMarkdownOptions() {
+    return {
+      ...super.getMarkdownOptions(),
+      getCodeLanguage: (pre) => {
+        const codeBlock = pre.closest('code-block, .code-block');
+        const label = codeBlock && codeBlock.querySelector('.code-block-decoration span, .code-block-decoration');
+        return label ? (label.textContent || '').trim().toLowerCase().split(/\s+/)[0] : null;
       }
-    });
-
-    console.log(`AI Chat Memory: 成功提取 ${messages.length} 条消息`);
-    return messages;
+    };
   }
 
   /**
-   * 提取格式化内容
-   * @param {Element} element - 包含格式化内容的元素
+   * 提取用户输入的纯文本
+   * @param {Element} element - 包含用户输入的元素
    * @returns {string} - 提取的文本内容
    */
-  extractFormattedContent(element) {
+  extractPlainText(element) {
     if (!element) return '';
 
     const textContent = element.innerText || element.textContent || '';
@@ -271,15 +174,17 @@ class GeminiAdapter extends BasePlatformAdapter {
 }
 
 function initGeminiAdapter() {
-  if (typeof BasePlatformAdapter === 'undefined') {
-    console.error('AI Chat Memory: BasePlatformAdapter未加载');
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
     return;
   }
 
-  console.log('AI Chat Memory: BasePlatformAdapter已加载');
-  const adapter = new GeminiAdapter();
-  adapter.start();
-  console.log('AI Chat Memory: Gemini适配器已启动');
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('gemini').then(spec => {
+    const adapter = new GeminiAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: Gemini适配器已启动');
+  });
 }
 
 initGeminiAdapter();
\ No newline at end of file
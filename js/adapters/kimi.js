@@ -0,0 +1,133 @@
+/**
+ * AI Chat Memory - Kimi平台适配器
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
+ */
+
+class KimiAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('kimi')) {
+    super(spec);
+  }
+
+  /**
+   * 联网搜索时正文中的引用角标（显示为编号，悬停显示来源）
+   */
+  static get CITATION_SELECTORS() {
+    return ['.rag-tag', '[class*="rag-tag"]', '[class*="citation-tag"]', 'sup[class*="citation"]'];
+  }
+
+  /**
+   * 回答中的搜索结果列表（“搜索到 N 个网页”展开后的网页链接）
+   */
+  static get SOURCE_LIST_SELECTORS() {
+    return ['[class*="search-plus"]', '[class*="search-result"]', '[class*="site-list"]', '[class*="reference"]'];
+  }
+
+  /**
+   * 标题取侧边栏中指向当前对话的条目，页面标题通常只是站点名
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const title = this.readConversationLinkTitle() ||
+      (document.title || '').replace(/\s*[-|–]\s*Kimi.*$/i, '').trim();
+    if (title && !/^Kimi\b/i.test(title)) {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 回答附带搜索来源
+   * @param {Element} element - 消息元素
+   * @param {number} index - 消息元素的位置
+   * @returns {Object|null}
+   */
+  extractMessage(element, index) {
+    const message = super.extractMessage(element, index);
+    if (message && message.sender === 'AI') {
+      message.sources = this.extractSources(element);
+    }
+    return message;
+  }
+
+  /**
+   * 提问元素带 chat-content-item-user 类，回答带 chat-content-item-assistant 类；
+   * 规则中配置了 userSelector/assistantSelector 时优先使用
+   */
+  readSender(element) {
+    const sender = super.readSender(element);
+    if (sender) return sender;
+
+    const className = (element.getAttribute('class') || '').toLowerCase();
+    if (className.includes('assistant')) return 'AI';
+    if (className.includes('user')) return 'user';
+    const userContentSelector = AdapterSpecs.toList(this.spec.userContentSelector)
+      .filter(selector => selector !== ':scope')
+      .join(', ');
+    return userContentSelector && element.querySelector(userContentSelector) ? 'user' : 'AI';
+  }
+
+  /**
+   * 提取回答的搜索来源：搜索结果列表中的网页，以及正文中带链接的引用角标
+   * 编号与正文中的 [n] 对应；列表没有编号时按顺序编号
+   * @param {Element} element - 回答元素
+   * @returns {Array} - [{ index, title, url }]，按编号排列
+   */
+  extractSources(element) {
+    const sources = new Map();
+    const addSource = (index, url, title) => {
+      if (!index || !/^https?:/i.test(url || '')) return;
+      const existing = sources.get(index);
+      if (!existing || (!existing.title && title)) {
+        sources.set(index, { index, title: title || '', url });
+      }
+    };
+    const readIndex = node => {
+      const match = (node.getAttribute('data-index') || node.getAttribute('data-num') || '').match(/\d+/);
+      return match ? Number(match[0]) : null;
+    };
+
+    const listLinks = Array.from(element.querySelectorAll(
+      KimiAdapter.SOURCE_LIST_SELECTORS.map(selector => `${selector} a[href]`).join(', ')
+    ));
+    listLinks.forEach((link, position) => {
+      addSource(readIndex(link) || position + 1, link.href, this.readLinkTitle(link));
+    });
+
+    element.querySelectorAll(KimiAdapter.CITATION_SELECTORS.join(', ')).forEach(citation => {
+      const link = citation.matches('a[href]') ? citation : citation.querySelector('a[href]');
+      const url = link ? link.href : citation.getAttribute('data-url');
+      const match = (citation.textContent || '').match(/\d+/);
+      addSource(readIndex(citation) || (match ? Number(match[0]) : null), url, citation.getAttribute('title'));
+    });
+
+    return Array.from(sources.values()).sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * 引用角标输出为 [n]；搜索结果列表单独整理为来源，操作按钮等由 noiseSelectors 排除
+   */
+  getMarkdownOptions() {
+    const options = super.getMarkdownOptions();
+    return {
+      ...options,
+      ignoreSelectors: [...options.ignoreSelectors, ...KimiAdapter.SOURCE_LIST_SELECTORS],
+      citationSelectors: KimiAdapter.CITATION_SELECTORS
+    };
+  }
+}
+
+function initKimiAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('kimi').then(spec => {
+    const adapter = new KimiAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: Kimi适配器已启动');
+  });
+}
+
+initKimiAdapter();
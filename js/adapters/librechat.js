@@ -0,0 +1,105 @@
+/**
+ * AI Chat Memory - LibreChat平台适配器
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
+ * LibreChat 部署在用户自己的主机上，本脚本由后台按用户添加的站点在运行时注册注入，不检查主机名
+ */
+
+class LibreChatAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('librechat')) {
+    super(spec);
+  }
+
+  /**
+   * 推理模型的思考区域标题
+   */
+  static get THINKING_HEADER_PATTERN() {
+    return /^(thoughts?|thinking|reasoning|已思考|思考中|正在思考)/i;
+  }
+
+  /**
+   * 标题取侧边栏中指向当前对话的条目，其次是页面标题
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const title = this.readConversationLinkTitle() ||
+      (document.title || '').replace(/\s*[|•-]\s*LibreChat\s*$/i, '').trim();
+    if (title && !/^(LibreChat|New Chat|新对话)$/i.test(title)) {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 生成回复时输入框旁显示停止按钮
+   * @returns {boolean}
+   */
+  isResponseStreaming() {
+    return this.hasVisibleElement([
+      'button[data-testid="stop-generation-button"]',
+      'button[aria-label="Stop generating"]'
+    ]);
+  }
+
+  /**
+   * 提问所在轮次带 user-turn 类，回答带 agent-turn 类；旧版本没有这些类时看消息上方的发送者名称
+   */
+  readSender(element) {
+    const sender = super.readSender(element);
+    if (sender) return sender;
+
+    const senderLabel = element.querySelector('h2, .select-none.font-semibold');
+    return senderLabel && /^(you|我)$/i.test((senderLabel.textContent || '').trim()) ? 'user' : 'AI';
+  }
+
+  /**
+   * 编辑或重新生成后消息下方显示“1 / 2”切换器
+   */
+  readMessageBranch(element) {
+    return this.readBranchPosition(element, ['.tabular-nums']);
+  }
+
+  /**
+   * 提取思考过程（回答上方的折叠面板，标题按钮展开后显示思考内容），折叠时临时展开读取
+   * @param {Element} element - 消息元素
+   * @returns {Object} - { thinking, thinkingDuration, section: 思考区域元素（正文中需忽略） }
+   */
+  extractThinking(element) {
+    const toggle = Array.from(element.querySelectorAll('button, [role="button"]')).find(button =>
+      LibreChatAdapter.THINKING_HEADER_PATTERN.test((button.innerText || button.textContent || '').trim())
+    );
+    if (!toggle || !toggle.parentElement || toggle.parentElement === element) {
+      return { thinking: '', thinkingDuration: null, section: null };
+    }
+
+    const section = toggle.parentElement;
+    const readContent = () => Array.from(section.children)
+      .filter(child => !child.contains(toggle))
+      .map(child => this.extractFormattedContent(child))
+      .filter(Boolean)
+      .join('\n\n');
+    const ariaExpanded = toggle.getAttribute('aria-expanded');
+    const expanded = ariaExpanded === 'true' || (ariaExpanded !== 'false' && readContent() !== '');
+
+    return {
+      thinking: this.readCollapsibleThinking(section, toggle, expanded, readContent),
+      thinkingDuration: this.parseThinkingDuration(toggle.innerText || toggle.textContent || ''),
+      section
+    };
+  }
+}
+
+function initLibreChatAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('librechat').then(spec => {
+    const adapter = new LibreChatAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: LibreChat适配器已启动');
+  });
+}
+
+initLibreChatAdapter();
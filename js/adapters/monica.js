@@ -1,124 +1,11 @@
 /**
  * AI Chat Memory - Monica平台适配器
- * 继承BasePlatformAdapter，只实现平台特定的逻辑
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
  */
 
-class MonicaAdapter extends BasePlatformAdapter {
-  constructor() {
-    super('monica');
-  }
-
-  /**
-   * 验证是否为有效的Monica对话URL
-   * @param {string} url - 要验证的URL
-   * @returns {boolean} - 是否为有效的对话URL
-   */
-  isValidConversationUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-
-      // 支持monica.im和app.monica.im
-      if (!hostname.includes('monica.im')) {
-        return false;
-      }
-
-      const pathname = urlObj.pathname;
-
-      // 排除登录页、设置页等非对话页面
-      const excludePatterns = [
-        /^\/login/,
-        /^\/register/,
-        /^\/settings/,
-        /^\/billing/,
-        /^\/profile/
-      ];
-
-      // 如果是排除的页面，返回false
-      if (excludePatterns.some(pattern => pattern.test(pathname))) {
-        return false;
-      }
-
-      // 有效的对话页面通常包含chat、conversation或类似路径
-      const validPatterns = [
-        /\/chat(\/|$)/,
-        /\/conversation(\/|$)/,
-        /^\/home\/chat(\/|$)/,
-        /\/c\//,
-        /\/t\//
-      ];
-
-      return validPatterns.some(pattern => pattern.test(pathname));
-    } catch (error) {
-      console.error('AI Chat Memory: Monica URL验证失败:', error);
-      return false;
-    }
-  }
-
-  /**
-   * 从URL中提取对话ID
-   * @param {string} url - 要分析的URL
-   * @returns {Object} - 包含对话ID和是否为新对话的对象
-   */
-  extractConversationInfo(url) {
-    const result = {
-      conversationId: null,
-      isNewConversation: false
-    };
-
-    try {
-      const urlObj = new URL(url);
-      const pathname = urlObj.pathname;
-      const searchParams = urlObj.searchParams;
-
-      // 移除开头的斜杠
-      const pathWithoutLeadingSlash = pathname.startsWith('/') ? pathname.substring(1) : pathname;
-
-      // 分析路径段
-      const pathSegments = pathWithoutLeadingSlash.split('/');
-
-      // 根据Monica的URL格式提取对话ID
-      let conversationId = null;
-
-      // 优先使用 query 参数（例如 convId）
-      const qpConvIdRaw = searchParams.get('convId') || searchParams.get('conversationId') || searchParams.get('cid');
-      const qpConvId = qpConvIdRaw ? decodeURIComponent(qpConvIdRaw) : null;
-      if (qpConvId && typeof qpConvId === 'string') {
-        conversationId = qpConvId;
-      }
-
-      // 常见的Monica对话URL模式
-      if (!conversationId && pathSegments.length >= 2) {
-        const seg0 = pathSegments[0];
-        const seg1 = pathSegments[1];
-        const looksLikeConv = (s) => typeof s === 'string' && (/^conv[_:]/.test(s) || /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i.test(s));
-
-        if ((seg0 === 'chat' || seg0 === 'conversation' || seg0 === 'c' || seg0 === 't') && looksLikeConv(seg1)) {
-          conversationId = seg1;
-        }
-        // 不再从 /home/chat/... 的其他段构造ID，避免误判
-      }
-
-      // 不再使用路径兜底为ID，等待真正的会话ID出现，避免混淆
-      const sanitize = (s) => (s || '').replace(/[\/:?&=#%]/g, '_');
-
-      if (conversationId) {
-        // 统一清理，保证ID稳定
-        const sanitized = sanitize(conversationId);
-        result.conversationId = sanitized;
-        // 避免重复刷屏日志，仅在变化时记录
-        this._lastLoggedConversationId = this._lastLoggedConversationId || null;
-        if (this._lastLoggedConversationId !== sanitized) {
-          console.log(`AI Chat Memory: 提取到Monica对话ID: ${sanitized}`);
-          this._lastLoggedConversationId = sanitized;
-        }
-      }
-
-      return result;
-    } catch (error) {
-      console.error('AI Chat Memory: 解析Monica URL时出错:', error);
-      return result;
-    }
+class MonicaAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('monica')) {
+    super(spec);
   }
 
   /**
@@ -127,36 +14,19 @@ class MonicaAdapter extends BasePlatformAdapter {
    * @returns {boolean} - 是否为消息元素
    */
   isMessageElement(node) {
+    if (super.isMessageElement(node)) {
+      return true;
+    }
+
     if (node.nodeType !== Node.ELEMENT_NODE) {
       return false;
     }
 
-    // Monica可能的消息容器选择器
-    const messageSelectors = [
-      '.message',
-      '.chat-message',
-      '.conversation-message',
-      '[data-testid*="message"]',
-      '.msg-item',
-      '.chat-item',
-      '.message-item',
-      '.message-bubble',
-      '.chat-bubble',
-      // 新版类名（模糊匹配）
-      '[class*="chat-message"]',
-      '[class*="message--"]',
-      '[class*="chat-question"]',
-      '[class*="chat-answer"]'
-    ];
-
-    // 检查当前元素
-    for (const selector of messageSelectors) {
-      if (node.matches && node.matches(selector)) {
-        return true;
-      }
+    if (node.matches('.message-bubble, .chat-bubble') || node.closest('.message-bubble, .chat-bubble')) {
+      return true;
     }
 
-    // 检查是否有消息内容的子元素
+    // 消息元素类名随版本变化，包含内容类元素的节点也视为消息
     const contentSelectors = [
       '.message-content',
       '.chat-content',
@@ -167,24 +37,7 @@ class MonicaAdapter extends BasePlatformAdapter {
       '[class*="text"]'
     ];
 
-    for (const selector of contentSelectors) {
-      if (node.querySelector && node.querySelector(selector)) {
-        return true;
-      }
-    }
-
-    // 检查父元素是否为消息容器
-    let parent = node.parentElement;
-    while (parent && parent !== document.body) {
-      for (const selector of messageSelectors) {
-        if (parent.matches && parent.matches(selector)) {
-          return true;
-        }
-      }
-      parent = parent.parentElement;
-    }
-
-    return false;
+    return contentSelectors.some(selector => node.querySelector && node.querySelector(selector));
   }
 
   /**
@@ -251,64 +104,39 @@ class MonicaAdapter extends BasePlatformAdapter {
   }
 
   /**
-   * 提取页面上的所有消息
-   * @returns {Array} - 消息数组
+   * 生成回复时显示“停止生成”按钮或加载动画（类名随版本变化，按关键字模糊匹配）
+   * @returns {boolean}
    */
-  extractMessages() {
-    const messages = [];
-
-    // 尝试找到聊天容器
-    const chatContainer = this.findChatContainer();
-    if (!chatContainer) {
-      console.log('AI Chat Memory: 未找到Monica聊天容器');
-      return messages;
-    }
-
-    // 检查是否在编辑状态
-    if (this.isInEditMode(chatContainer)) {
-      console.log('AI Chat Memory: 检测到用户正在编辑，跳过消息提取');
-      return [];
-    }
-
-    // 查找所有消息元素
-    const messageElements = this.findAllMessageElements(chatContainer);
-    console.log(`AI Chat Memory: 找到 ${messageElements.length} 个Monica消息元素`);
-
-    messageElements.forEach((element, index) => {
-      const message = this.extractMessageFromElement(element, index);
-      if (message) {
-        messages.push(message);
-      }
-    });
+  isResponseStreaming() {
+    return this.hasVisibleElement([
+      '[class*="stop-generat"]',
+      '[class*="stopGenerat"]',
+      '[class*="StopGenerat"]',
+      '[class*="chat-message"] [class*="loading"]',
+      '[class*="chat-answer"] [class*="loading"]'
+    ]);
+  }
 
-    console.log(`AI Chat Memory: Monica成功提取 ${messages.length} 条消息`);
-    return messages;
+  /**
+   * 历史消息分页加载：顶部显示“加载更多”或加载动画时还有更早的消息（类名随版本变化，按关键字模糊匹配）
+   * @returns {boolean}
+   */
+  isFullConversationLoaded() {
+    return this.isConversationStartLoaded([
+      '[class*="load-more"]',
+      '[class*="loadMore"]',
+      '[class*="LoadMore"]',
+      '[class*="loading-history"]',
+      '[class*="history-loading"]'
+    ]);
   }
 
   /**
-   * 查找聊天容器
+   * 查找聊天容器：containerSelector 中优先返回可见的容器，找不到时查找包含多条消息的元素或同源 iframe
    */
-  findChatContainer() {
-    const containerSelectors = [
-      // 常规类名
-      '.chat-container',
-      '.conversation-container',
-      '.messages-container',
-      '.chat-messages',
-      '.conversation-messages',
-      '.chat-main',
-      '.conversation-main',
-      '#chat-container',
-      '#messages-container',
-      '[data-testid*="chat-container"]',
-      '[data-testid*="messages-container"]',
-      // Monica 新版常见 BEM/哈希类名（使用模糊匹配）
-      '[class*="chat-items-container"]',
-      '[class*="chat-items"]',
-      '[class*="chat-body"]',
-      '[class*="chat-content"]',
-      '[class*="chat-root"]'
-    ];
+  findContainer() {
+    const containerSelectors = AdapterSpecs.toList(this.spec.containerSelector);
+    const messageSelector = AdapterSpecs.toList(this.spec.messageSelector).join(', ');
 
     // 优先返回可见容器
     for (const selector of containerSelectors) {
@@ -318,11 +146,11 @@ class MonicaAdapter extends BasePlatformAdapter {
       if (candidates.length > 0) return candidates[0];
     }
 
-    // 回退1：查找包含大量消息元素的容器（模糊匹配类名）
+    // 回退1：查找包含大量消息元素的容器
     try {
       const allElements = document.querySelectorAll('*');
       for (const element of allElements) {
-        const messageCount = element.querySelectorAll('[class*="chat-message"], [class*="message--"], [data-testid*="message"]').length;
+        const messageCount = element.querySelectorAll(messageSelector).length;
         if (messageCount > 2 && this.isElementVisible(element)) {
           return element;
         }
@@ -348,7 +176,7 @@ class MonicaAdapter extends BasePlatformAdapter {
         }
 
         const richContainer = Array.from(doc.querySelectorAll('*')).find(el =>
-          el.querySelectorAll('[class*="chat-message"], [class*="message--"], [data-testid*="message"]').length > 2
+          el.querySelectorAll(messageSelector).length > 2
         );
         if (richContainer) return richContainer;
       }
@@ -358,73 +186,17 @@ class MonicaAdapter extends BasePlatformAdapter {
   }
 
   /**
-   * 查找所有消息元素
+   * 查找所有消息元素：messageSelector 都没有匹配时逐个检查容器中的元素；
+   * 仅保留可见消息元素，避免 Monica 切换时隐藏旧消息导致混淆
    */
-  findAllMessageElements(container) {
-    const messageSelectors = [
-      '.message',
-      '.chat-message',
-      '.conversation-message',
-      '[data-testid*="message"]',
-      '.msg-item',
-      '.chat-item',
-      '.message-item',
-      // 模糊匹配新版类名
-      '[class*="chat-message"]',
-      '[class*="message--"]',
-      '[class*="chat-question"]',
-      '[class*="chat-answer"]'
-    ];
-
-    let messageElements = [];
-
-    for (const selector of messageSelectors) {
-      const elements = container.querySelectorAll(selector);
-      if (elements.length > 0) {
-        messageElements = Array.from(elements);
-        break;
-      }
-    }
+  findMessageElements(container) {
+    let messageElements = super.findMessageElements(container);
 
-    // 如果没有找到消息元素，尝试更通用的方法
     if (messageElements.length === 0) {
       messageElements = Array.from(container.querySelectorAll('*')).filter(child => this.isMessageElement(child));
     }
 
-    // 仅保留可见消息元素，避免 Monica 切换时隐藏旧消息导致混淆
-    messageElements = messageElements.filter(el => this.isElementVisible(el));
-
-    return messageElements;
-  }
-
-  /**
-   * 从元素中提取消息
-   */
-  extractMessageFromElement(element, index) {
-    try {
-      if (!this.isElementVisible(element)) return null;
-      const sender = this.determineSender(element);
-      const content = this.extractContent(element);
-
-      if (!content || content.trim() === '') {
-        return null;
-      }
-
-      const messageId = this.generateMessageId(sender, content, index);
-
-      return {
-        messageId,
-        sender,
-        content: content.trim(),
-        thinking: '', // Monica通常不显示thinking过程
-        position: index,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('AI Chat Memory: 提取Monica消息失败:', error);
-      return null;
-    }
+    return messageElements.filter(el => this.isElementVisible(el));
   }
 
   // 判断元素是否可见（排除 display:none / visibility:hidden / 尺寸为0 / 祖先隐藏）
@@ -448,8 +220,19 @@ class MonicaAdapter extends BasePlatformAdapter {
   }
 
   /**
-   * 判断消息发送者
+   * 判断消息发送者：规则中配置了 userSelector/assistantSelector 时优先使用，否则按类名与属性中的关键字判断
+   */
+  readSender(element) {
+    return super.readSender(element) || this.determineSender(element);
+  }
+
+  /**
+   * 用户消息同样按 Markdown 提取（Monica 的提问中可能带有格式）
    */
+  extractUserContent(element) {
+    return this.extractFormattedContent(this.findContentElement(element, 'user'));
+  }
+
   determineSender(element) {
     // 检查元素的类名或属性来确定发送者
     const elementClasses = element.className || '';
@@ -518,7 +301,7 @@ class MonicaAdapter extends BasePlatformAdapter {
     }
 
     // 回退策略：假设第一个消息是用户消息，交替判断
-    const previousMessages = document.querySelectorAll('.message, .chat-message, [data-testid*="message"], [class*="chat-message"], [class*="message--"], [class*="chat-question"], [class*="chat-answer"]');
+    const previousMessages = document.querySelectorAll(AdapterSpecs.toList(this.spec.messageSelector).join(', '));
     const currentIndex = Array.from(previousMessages).indexOf(element);
 
     if (currentIndex === 0) {
@@ -530,115 +313,76 @@ class MonicaAdapter extends BasePlatformAdapter {
   }
 
   /**
-   * 提取消息内容
+   * 深度思考模型回答中的思考过程区域（模糊匹配类名）
    */
-  extractContent(element) {
-    const contentSelectors = [
-      '.message-content',
-      '.chat-content',
-      '.text-content',
-      '.msg-text',
-      '.message-text',
-      '[data-testid*="content"]',
-      '[data-testid*="text"]',
-      // 模糊匹配
-      '[class*="message-content"]',
-      '[class*="chat-content"]',
-      '[class*="text-content"]',
-      '[class*="message-text"]'
-    ];
+  static get THINKING_SELECTORS() {
+    return ['[class*="reasoning"]', '[class*="thinking-content"]', '[class*="think-content"]', '[class*="deep-think"]'];
+  }
 
-    for (const selector of contentSelectors) {
-      const contentElement = element.querySelector(selector);
-      if (contentElement && contentElement.textContent && contentElement.textContent.trim()) {
-        return this.extractFormattedContent(contentElement);
-      }
+  /**
+   * 提取回答中的思考过程与用时
+   * 思考区域第一行是“已深度思考（用时 12 秒）”一类的标题，去掉后作为思考内容
+   * @param {Element} element - 消息元素
+   * @returns {Object} - { thinking, thinkingDuration }
+   */
+  extractThinking(element) {
+    const section = element.querySelector(MonicaAdapter.THINKING_SELECTORS.join(', '));
+    if (!section) {
+      return { thinking: '', thinkingDuration: null };
     }
 
-    // 回退：直接从元素的文本内容获取
-    return this.extractFormattedContent(element);
+    // 思考区域内部的元素也可能匹配 THINKING_SELECTORS，不经过 extractFormattedContent 的忽略规则
+    const lines = (section.innerText || section.textContent || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    if (lines.length === 0) {
+      return { thinking: '', thinkingDuration: null };
+    }
+
+    const thinkingDuration = this.parseThinkingDuration(lines[0]);
+    if (thinkingDuration !== null || /^(已?深度思考|思考过程|thought|reasoning)/i.test(lines[0])) {
+      lines.shift();
+    }
+
+    return { thinking: lines.join('\n').trim(), thinkingDuration };
   }
 
   /**
    * 获取第一条用户消息（用于标题）
    */
   getFirstUserMessage() {
-    const container = this.findChatContainer();
+    const container = this.findContainer();
     if (!container) return null;
 
-    const messageElements = this.findAllMessageElements(container);
-
-    for (const element of messageElements) {
-      const sender = this.determineSender(element);
-      if (sender === 'user') {
-        return this.extractMessageFromElement(element, 0);
-      }
-    }
-
-    return null;
+    const element = this.findMessageElements(container).find(item => this.readSender(item) === 'user');
+    return element ? this.extractMessage(element, 0) : null;
   }
 
   /**
-   * 提取格式化内容
-   * @param {Element} element - 包含格式化内容的元素
-   * @returns {string} - 提取的文本内容
+   * 思考过程由 extractThinking 单独提取，不计入正文
    */
-  extractFormattedContent(element) {
-    if (!element) return '';
-
-    // 克隆节点以避免真实DOM被修改
-    const clone = element.cloneNode(true);
-
-    // 移除Monica界面上的工具按钮、模型切换区域等噪声元素
-    const noiseSelectors = [
-      '[class*="model-compare"]',
-      '[class*="compare-header"]',
-      '[class*="message-toolbar"]',
-      '[class*="toolbar--"]',
-      '[class*="monica-btn"]',
-      '[class*="bot-icons"]',
-      '[class*="popover-content"]',
-      '[class*="close-btn"]',
-      '[class*="reply-maker"]',
-      '[class*="badge--"]',
-      '[class*="share-button"]',
-      '[data-testid*="message-toolbar"]'
-    ];
-
-    try {
-      noiseSelectors.forEach(selector => {
-        clone.querySelectorAll(selector).forEach(node => node.remove());
-      });
-    } catch (error) {
-      console.warn('AI Chat Memory: 清理Monica噪声元素时出错', error);
-    }
-
-    const textContent = clone.innerText || clone.textContent || '';
-
-    return textContent
-      .split('\n')
-      .map(line => line.trim())
-      .filter((line, index, array) => {
-        if (line) return true;
-        const prevLine = array[index - 1];
-        const nextLine = array[index + 1];
-        return prevLine && nextLine && prevLine.trim() && nextLine.trim();
-      })
-      .join('\n')
-      .trim();
+  getMarkdownOptions() {
+    const options = super.getMarkdownOptions();
+    return {
+      ...options,
+      ignoreSelectors: options.ignoreSelectors.concat(MonicaAdapter.THINKING_SELECTORS)
+    };
   }
 }
 
 function initMonicaAdapter() {
-  if (typeof BasePlatformAdapter === 'undefined') {
-    console.error('AI Chat Memory: BasePlatformAdapter未加载');
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
     return;
   }
 
-  console.log('AI Chat Memory: BasePlatformAdapter已加载');
-  const adapter = new MonicaAdapter();
-  adapter.start();
-  console.log('AI Chat Memory: Monica适配器已启动');
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('monica').then(spec => {
+    const adapter = new MonicaAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: Monica适配器已启动');
+  });
 }
 
 initMonicaAdapter();
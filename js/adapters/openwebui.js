@@ -0,0 +1,108 @@
+/**
+ * AI Chat Memory - Open WebUI平台适配器
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
+ * Open WebUI 部署在用户自己的主机上，本脚本由后台按用户添加的站点在运行时注册注入，不检查主机名
+ */
+
+class OpenWebUIAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('openwebui')) {
+    super(spec);
+  }
+
+  /**
+   * 推理模型的思考区域标题（如“Thought for 5 seconds”）
+   */
+  static get THINKING_HEADER_PATTERN() {
+    return /^(thought for|thinking|reasoning|已思考|思考中|正在思考)/i;
+  }
+
+  /**
+   * 从页面提取标题（页面标题为“<对话标题> | Open WebUI”）
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const title = (document.title || '').replace(/\s*[|•-]\s*Open WebUI\s*$/i, '').trim();
+    if (title && !/^Open WebUI$/i.test(title)) {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 优先读取规则中的 messageIdAttribute；未配置时消息元素的 id 为 message-<消息ID>
+   */
+  readNativeMessageId(element) {
+    if (AdapterSpecs.toList(this.spec.messageIdAttribute).length > 0) {
+      return super.readNativeMessageId(element);
+    }
+    return (element.id || '').replace(/^message-/, '') || null;
+  }
+
+  /**
+   * 编辑或重新生成后消息下方显示“1 / 2”切换器
+   */
+  readMessageBranch(element) {
+    return this.readBranchPosition(element, ['.self-center', '.tabular-nums']);
+  }
+
+  /**
+   * 提取推理模型的思考过程与用时
+   * 思考区域是回答正文开头的折叠面板（标题按钮 + 内容），旧版本直接渲染为 <details type="reasoning">
+   * @param {Element} element - 消息元素
+   * @returns {Object} - { thinking, thinkingDuration, section: 思考区域元素（正文中需忽略） }
+   */
+  extractThinking(element) {
+    const responseElement = this.findContentElement(element, 'AI') || element;
+    const details = responseElement.querySelector('details[type="reasoning"]');
+    if (details) {
+      const summary = details.querySelector('summary');
+      const summaryText = summary ? (summary.textContent || '').trim() : '';
+      const thinking = Array.from(details.childNodes)
+        .filter(node => node !== summary)
+        .map(node => node.textContent || '')
+        .join('')
+        .trim();
+      return {
+        thinking,
+        thinkingDuration: this.parseThinkingDuration(summaryText) || Number(details.getAttribute('duration')) || null,
+        section: details
+      };
+    }
+
+    const toggle = Array.from(responseElement.querySelectorAll('button, [role="button"]')).find(button =>
+      OpenWebUIAdapter.THINKING_HEADER_PATTERN.test((button.innerText || button.textContent || '').trim())
+    );
+    if (!toggle || !toggle.parentElement || toggle.parentElement === responseElement) {
+      return { thinking: '', thinkingDuration: null, section: null };
+    }
+
+    const section = toggle.parentElement;
+    const readContent = () => Array.from(section.children)
+      .filter(child => !child.contains(toggle))
+      .map(child => this.extractFormattedContent(child))
+      .filter(Boolean)
+      .join('\n\n');
+
+    return {
+      thinking: this.readCollapsibleThinking(section, toggle, readContent() !== '', readContent),
+      thinkingDuration: this.parseThinkingDuration(toggle.innerText || toggle.textContent || ''),
+      section
+    };
+  }
+}
+
+function initOpenWebUIAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('openwebui').then(spec => {
+    const adapter = new OpenWebUIAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: Open WebUI适配器已启动');
+  });
+}
+
+initOpenWebUIAdapter();
@@ -0,0 +1,194 @@
+/**
+ * AI Chat Memory - Perplexity平台适配器
+ * 页面结构由适配规则描述（见 adapter-specs.js），这里只实现规则之外的逻辑
+ */
+
+class PerplexityAdapter extends DeclarativeAdapter {
+  constructor(spec = AdapterSpecs.getDefaultSpec('perplexity')) {
+    super(spec);
+
+    // 当前正在提取的回答中，来源地址 -> 编号（供正文中的引用角标使用）
+    this.citationIndexes = new Map();
+  }
+
+  /**
+   * 正文中的引用角标（显示编号或来源网站名，指向来源网页）
+   */
+  static get CITATION_SELECTORS() {
+    return ['a.citation', '.citation a[href]', 'a[data-citation]', '[class*="citation"] a[href]'];
+  }
+
+  /**
+   * 回答上方或“来源”标签页中的来源列表，顺序即来源编号
+   */
+  static get SOURCE_LIST_SELECTORS() {
+    return ['[data-testid="sources"]', '[data-testid="source-list"]', '[class*="sources"]'];
+  }
+
+  /**
+   * 从页面提取标题（页面标题为“<提问> | Perplexity”）
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const title = (document.title || '').replace(/\s*[-|–]\s*Perplexity\s*$/i, '').trim();
+    if (title && title !== 'Perplexity') {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 提取页面上的所有消息
+   * 提问、来源列表与回答按文档顺序排列，每个提问开始新的一轮，来源列表归属所在的一轮
+   * @returns {Array} - 消息数组
+   */
+  extractMessages() {
+    const messages = [];
+    const container = this.findContainer();
+    if (!container) {
+      console.log('AI Chat Memory: 未找到Perplexity对话容器');
+      return messages;
+    }
+
+    if (this.isEditing(container, [])) {
+      console.log('AI Chat Memory: 检测到用户正在编辑，跳过消息提取');
+      return [];
+    }
+
+    // 提问为 userSelector，回答为 contentSelector
+    const outermost = value => {
+      const selector = AdapterSpecs.toList(value).join(', ');
+      if (!selector) return [];
+      return Array.from(container.querySelectorAll(selector))
+        .filter(element => !element.parentElement || !element.parentElement.closest(selector));
+    };
+    const messageSelector = AdapterSpecs.toList(this.spec.messageSelector).join(', ');
+    // 模糊匹配的来源列表类名也可能出现在包住整轮问答的容器上，这类容器不是来源列表
+    const sourceLists = Array.from(container.querySelectorAll(PerplexityAdapter.SOURCE_LIST_SELECTORS.join(', ')))
+      .filter(element => !messageSelector || !element.querySelector(messageSelector))
+      .filter((element, index, lists) => !lists.some(other => other !== element && other.contains(element)));
+
+    const items = outermost(this.spec.userSelector).map(element => ({ element, type: 'query' }))
+      .concat(outermost(this.spec.contentSelector).map(element => ({ element, type: 'answer' })))
+      .concat(sourceLists.map(element => ({ element, type: 'sources' })))
+      .sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+    const turns = [];
+    items.forEach(item => {
+      if (item.type === 'query' || turns.length === 0) {
+        turns.push({ query: null, answers: [], sourceLists: [] });
+      }
+      const turn = turns[turns.length - 1];
+      if (item.type === 'query') turn.query = item.element;
+      if (item.type === 'answer') turn.answers.push(item.element);
+      if (item.type === 'sources') turn.sourceLists.push(item.element);
+    });
+
+    console.log(`AI Chat Memory: 找到 ${turns.length} 轮Perplexity问答`);
+
+    turns.forEach(turn => {
+      if (turn.query) {
+        const content = this.extractPlainText(turn.query);
+        if (content) {
+          messages.push({
+            messageId: null,
+            sender: 'user',
+            content,
+            thinking: '',
+            position: messages.length,
+            createdAt: this.readMessageTimestamp(turn.query)
+          });
+        }
+      }
+
+      turn.answers.forEach(answer => {
+        const sources = this.extractSources(answer, turn.sourceLists);
+        this.citationIndexes = new Map(sources.map(source => [source.url, source.index]));
+        const content = this.extractFormattedContent(answer);
+        this.citationIndexes = new Map();
+        if (!content) return;
+
+        messages.push({
+          messageId: null,
+          sender: 'AI',
+          content,
+          thinking: '',
+          sources,
+          position: messages.length,
+          createdAt: this.readMessageTimestamp(answer)
+        });
+      });
+    });
+
+    console.log(`AI Chat Memory: Perplexity成功提取 ${messages.length} 条消息`);
+    // Perplexity 页面没有稳定的消息ID，使用基于内容的ID
+    return this.assignMessageIds(messages);
+  }
+
+  /**
+   * 提取回答的来源：来源列表按顺序编号，正文中引用但不在列表中的网页依次追加编号
+   * @param {Element} answer - 回答元素
+   * @param {Array<Element>} sourceLists - 同一轮中的来源列表
+   * @returns {Array} - [{ index, title, url }]，按编号排列
+   */
+  extractSources(answer, sourceLists) {
+    const sources = [];
+    const byUrl = new Map();
+    const addSource = (url, title) => {
+      if (!/^https?:/i.test(url || '')) return;
+      const existing = byUrl.get(url);
+      if (existing) {
+        existing.title = existing.title || title;
+        return;
+      }
+      const source = { index: sources.length + 1, title: title || '', url };
+      sources.push(source);
+      byUrl.set(url, source);
+    };
+
+    sourceLists.forEach(list => {
+      list.querySelectorAll('a[href]').forEach(link => addSource(link.href, this.readLinkTitle(link)));
+    });
+
+    answer.querySelectorAll(PerplexityAdapter.CITATION_SELECTORS.join(', ')).forEach(citation => {
+      const link = citation.matches('a[href]') ? citation : citation.querySelector('a[href]');
+      if (!link) return;
+      // 角标文字是编号或网站名，不作为标题
+      addSource(link.href, link.getAttribute('title') || link.getAttribute('aria-label') || '');
+    });
+
+    return sources;
+  }
+
+  /**
+   * 引用角标按来源地址换成来源编号；来源列表单独保存，不计入正文
+   */
+  getMarkdownOptions() {
+    const options = super.getMarkdownOptions();
+    return {
+      ...options,
+      ignoreSelectors: [...options.ignoreSelectors, ...PerplexityAdapter.SOURCE_LIST_SELECTORS],
+      citationSelectors: PerplexityAdapter.CITATION_SELECTORS,
+      getCitationIndex: node => {
+        const link = node.matches('a[href]') ? node : node.querySelector('a[href]');
+        return link ? this.citationIndexes.get(link.href) || null : null;
+      }
+    };
+  }
+}
+
+function initPerplexityAdapter() {
+  if (typeof DeclarativeAdapter === 'undefined') {
+    console.error('AI Chat Memory: DeclarativeAdapter未加载');
+    return;
+  }
+
+  // 先读取用户覆盖的适配规则
+  AdapterSpecs.load('perplexity').then(spec => {
+    const adapter = new PerplexityAdapter(spec);
+    adapter.start();
+    console.log('AI Chat Memory: Perplexity适配器已启动');
+  });
+}
+
+initPerplexityAdapter();
@@ -3,6 +3,11 @@
  * 作为扩展的核心部分，负责数据库操作和消息处理
  */
 
+// 加载共享模块（Service Worker 中通过 importScripts 引入，路径相对于本脚本）
+if (typeof importScripts === 'function') {
+  importScripts('core/db-schema.js', 'core/search-index.js', 'core/message-utils.js', 'core/platforms.js', 'core/adapter-specs.js');
+}
+
 // 时间处理工具函数（与 compatibility.js 中的 TimeUtils.getMessageTime 保持一致）
 function getMessageTime(message) {
   if (!message) return '';
@@ -15,15 +20,47 @@ function getMessageTime(message) {
 
 // 初始化设置
 const defaultSettings = {
-  autoSave: true // 默认开启自动保存
+  autoSave: true, // 默认开启自动保存
+  trashRetentionDays: 30 // 回收站中的会话保留天数
 };
 
-// 平台名称映射（全局统一管理）
-const PLATFORM_NAMES = {
-  'chatgpt': 'ChatGPT',
-  'gemini': 'Gemini',
-  'monica': 'Monica'
-};
+// 回收站定期清理任务
+const TRASH_PURGE_ALARM = 'purgeTrash';
+const TRASH_PURGE_PERIOD_MINUTES = 24 * 60;
+
+// 重复会话定期检测任务及检测结果的存储键
+const DUPLICATE_SCAN_ALARM = 'scanDuplicates';
+const DUPLICATE_SCAN_PERIOD_MINUTES = 24 * 60;
+const DUPLICATE_SCAN_KEY = 'duplicateScan';
+
+// 完整备份格式（结构变化时递增版本号，并在 validateBackup 中兼容旧版本）
+const BACKUP_FORMAT = 'ai-chat-memory-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+// 悬浮标签位置（内容脚本按站点主机名写入 chrome.storage.local，随备份导出）
+const FLOAT_TAG_POSITIONS_KEY = 'floatTagPositions';
+
+// 自建站点（用户在设置中添加的 { origin, platform }，platform 为自建平台或自定义适配规则的标识，保存在 chrome.storage.local）
+const CUSTOM_SITES_KEY = 'customSites';
+
+// 为自建站点运行时注册的内容脚本：ID前缀与脚本列表（与 manifest.json 中内置平台一致，最后加上平台适配器）
+const CUSTOM_SITE_SCRIPT_PREFIX = 'custom-site-';
+const CUSTOM_SITE_CORE_SCRIPTS = [
+  'js/core/logger.js',
+  'js/core/compatibility.js',
+  'js/core/db-schema.js',
+  'js/core/message-utils.js',
+  'js/core/platforms.js',
+  'js/core/storage-manager.js',
+  'js/core/markdown-converter.js',
+  'js/core/base.js',
+  'js/core/adapter-specs.js',
+  'js/core/declarative-adapter.js',
+  'js/content_common.js'
+];
+
+// 使用自定义适配规则的站点注入的适配器
+const DECLARATIVE_ADAPTER_SCRIPT = 'js/adapters/declarative.js';
 
 // 扩展安装或更新时
 if (typeof chrome !== 'undefined' && chrome.runtime) {
@@ -39,6 +76,79 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
       //   url: 'html/welcome.html'
       // });
     }
+
+    scheduleMaintenanceAlarms();
+    syncCustomSiteScripts().catch(error => {
+      console.error('注册自建站点内容脚本失败:', error);
+    });
+  });
+
+  chrome.runtime.onStartup.addListener(() => {
+    scheduleMaintenanceAlarms();
+    syncCustomSiteScripts().catch(error => {
+      console.error('注册自建站点内容脚本失败:', error);
+    });
+  });
+
+  // 用户在扩展管理页撤销站点权限后，注销该站点的内容脚本
+  if (chrome.permissions && chrome.permissions.onRemoved) {
+    chrome.permissions.onRemoved.addListener(() => {
+      syncCustomSiteScripts().catch(error => {
+        console.error('注册自建站点内容脚本失败:', error);
+      });
+    });
+  }
+
+  if (chrome.alarms) {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      switch (alarm.name) {
+        case TRASH_PURGE_ALARM:
+          getSettings()
+            .then(settings => purgeTrash(settings.trashRetentionDays))
+            .then(count => {
+              if (count > 0) {
+                console.log(`AI Chat Memory: 已清理回收站中 ${count} 个过期会话`);
+                notifySidebarRefresh();
+              }
+            })
+            .catch(error => {
+              console.error('清理回收站失败:', error);
+            });
+          break;
+
+        case DUPLICATE_SCAN_ALARM:
+          scanDuplicateConversations()
+            .then(scan => {
+              if (scan.groups.length > 0) {
+                console.log(`AI Chat Memory: 检测到 ${scan.groups.length} 组可能重复的会话`);
+              }
+            })
+            .catch(error => {
+              console.error('检测重复会话失败:', error);
+            });
+          break;
+      }
+    });
+  }
+}
+
+// 注册每日维护任务：回收站清理与重复会话检测
+function scheduleMaintenanceAlarms() {
+  scheduleAlarm(TRASH_PURGE_ALARM, TRASH_PURGE_PERIOD_MINUTES);
+  scheduleAlarm(DUPLICATE_SCAN_ALARM, DUPLICATE_SCAN_PERIOD_MINUTES);
+}
+
+// 注册周期任务（已存在时不重复创建）
+function scheduleAlarm(name, periodInMinutes) {
+  if (typeof chrome === 'undefined' || !chrome.alarms) return;
+
+  chrome.alarms.get(name, (alarm) => {
+    if (!alarm) {
+      chrome.alarms.create(name, {
+        delayInMinutes: 1,
+        periodInMinutes
+      });
+    }
   });
 }
 
@@ -87,9 +197,45 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
           });
         return true;
 
+      case 'findOrCreateConversation':
+        findOrCreateConversation(message.conversation)
+          .then(result => {
+            sendResponse(result);
+            if (result.created) {
+              // 通知侧边栏刷新
+              notifySidebarRefresh();
+            }
+          })
+          .catch(error => {
+            console.error('查找或创建会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'rekeyConversation':
+        rekeyConversation(message.conversationId, message.externalId, message.link)
+          .then(result => {
+            sendResponse(result);
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('更新会话外部ID失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
       case 'updateConversation':
-        updateConversation(message.conversation)
-          .then(() => {
+        updateConversation(message.conversation, {
+          source: message.source,
+          isCompleteSnapshot: message.isCompleteSnapshot
+        })
+          .then(result => {
+            if (result.trashed) {
+              // 会话已移入回收站，内容脚本停止保存到该会话
+              sendResponse({ status: 'trashed' });
+              return;
+            }
             sendResponse({ status: 'ok' });
             // 通知侧边栏刷新
             notifySidebarRefresh();
@@ -122,6 +268,162 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
           });
         return true;
 
+      case 'searchConversations':
+        searchConversations(message.query, message.limit)
+          .then(results => {
+            sendResponse({ results });
+          })
+          .catch(error => {
+            console.error('检索会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'importConversations':
+        importConversations(message.conversations, { source: message.source })
+          .then(results => {
+            sendResponse({ results });
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('批量导入会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'getDuplicateConversations':
+        (message.rescan ? scanDuplicateConversations() : getDuplicateScan())
+          .then(scan => {
+            sendResponse({ scan });
+          })
+          .catch(error => {
+            console.error('检测重复会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'mergeDuplicateConversations':
+        mergeDuplicateConversations(message.primaryId, message.duplicateIds)
+          .then(result => {
+            sendResponse({ result });
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('合并重复会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'createBackup':
+        createBackup()
+          .then(backup => {
+            sendResponse({ backup });
+          })
+          .catch(error => {
+            console.error('生成备份失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'restoreBackup':
+        restoreBackup(message.backup, { mode: message.mode })
+          .then(summary => {
+            sendResponse({ summary });
+            notifySettingsUpdated(summary.settings);
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('恢复备份失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'organizeConversations':
+        organizeConversations(message.conversationIds, message.changes)
+          .then(() => {
+            sendResponse({ status: 'ok' });
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('整理会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'getTrash':
+        getTrash()
+          .then(items => {
+            sendResponse({ items });
+          })
+          .catch(error => {
+            console.error('获取回收站失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'restoreConversation':
+        restoreConversation(message.conversationId)
+          .then(() => {
+            sendResponse({ status: 'ok' });
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('恢复会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'permanentlyDeleteConversation':
+        permanentlyDeleteConversations([message.conversationId])
+          .then(() => {
+            sendResponse({ status: 'ok' });
+          })
+          .catch(error => {
+            console.error('永久删除会话失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'emptyTrash':
+        purgeTrash(0)
+          .then(count => {
+            sendResponse({ status: 'ok', count });
+          })
+          .catch(error => {
+            console.error('清空回收站失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'getConversationRevisions':
+        getConversationRevisions(message.conversationId)
+          .then(revisions => {
+            sendResponse({ revisions });
+          })
+          .catch(error => {
+            console.error('获取修订历史失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'restoreMessageRevision':
+        restoreMessageRevision(message.conversationId, message.messageId, message.revisionId)
+          .then(() => {
+            sendResponse({ status: 'ok' });
+            // 通知侧边栏刷新
+            notifySidebarRefresh();
+          })
+          .catch(error => {
+            console.error('恢复消息版本失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
       case 'deleteConversation':
         deleteConversation(message.conversationId)
           .then(() => {
@@ -148,9 +450,8 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
 
       case 'updateSettings':
         updateSettings(message.settings)
-          .then(() => {
-            // 通知所有内容脚本设置已更新
-            notifySettingsUpdated(message.settings);
+          .then(settings => {
+            notifySettingsUpdated(settings);
             sendResponse({ status: 'ok' });
           })
           .catch(error => {
@@ -170,6 +471,72 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
           });
         return true;
 
+      case 'getCustomSites':
+        getCustomSitesWithPermissions()
+          .then(sites => {
+            sendResponse({ sites });
+          })
+          .catch(error => {
+            console.error('获取自建站点失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'addCustomSite':
+        addCustomSite(message.origin, message.platform)
+          .then(sites => {
+            sendResponse({ status: 'ok', sites });
+          })
+          .catch(error => {
+            console.error('添加自建站点失败:', error);
+            sendResponse({ error: error.message || error.toString() });
+          });
+        return true;
+
+      case 'removeCustomSite':
+        removeCustomSite(message.origin)
+          .then(sites => {
+            sendResponse({ status: 'ok', sites });
+          })
+          .catch(error => {
+            console.error('移除自建站点失败:', error);
+            sendResponse({ error: error.message || error.toString() });
+          });
+        return true;
+
+      case 'getAdapterSpecs':
+        AdapterSpecs.loadStored()
+          .then(specs => {
+            sendResponse({ specs });
+          })
+          .catch(error => {
+            console.error('获取适配规则失败:', error);
+            sendResponse({ error: error.toString() });
+          });
+        return true;
+
+      case 'saveAdapterSpec':
+        saveAdapterSpec(message.spec)
+          .then(specs => {
+            sendResponse({ status: 'ok', specs });
+          })
+          .catch(error => {
+            console.error('保存适配规则失败:', error);
+            sendResponse({ error: error.message || error.toString() });
+          });
+        return true;
+
+      case 'removeAdapterSpec':
+        removeAdapterSpec(message.id)
+          .then(specs => {
+            sendResponse({ status: 'ok', specs });
+          })
+          .catch(error => {
+            console.error('删除适配规则失败:', error);
+            sendResponse({ error: error.message || error.toString() });
+          });
+        return true;
+
       case 'openSidePanel':
         // 处理来自内容脚本的侧边栏打开请求
         if (sender.tab && sender.tab.id) {
@@ -204,42 +571,86 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
   }
 }
 
-// 数据库对象和相关函数
-const DB_NAME = 'AIChatMemoryDB';
-const DB_VERSION = 2;
-const CONVERSATION_STORE = 'conversations';
+// 数据库对象和相关函数（结构与迁移定义在 core/db-schema.js）
+const CONVERSATION_STORE = DBSchema.STORES.CONVERSATIONS;
+const MESSAGE_STORE = DBSchema.STORES.MESSAGES;
+const SEARCH_INDEX_STORE = DBSchema.STORES.SEARCH_INDEX;
+const REVISION_STORE = DBSchema.STORES.REVISIONS;
+const TRASH_STORE = DBSchema.STORES.TRASH;
+const SEARCH_INDEX_VERSION_KEY = 'searchIndexVersion';
 
 // 打开数据库连接
 function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+  return DBSchema.open();
+}
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
+// 会话对应的全部消息主键范围（[conversationId] 是 [conversationId, 任意messageId] 的前缀）
+function conversationMessageRange(conversationId) {
+  return IDBKeyRange.bound([conversationId], [conversationId, []]);
+}
 
-      let conversationStore;
-      if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
-        conversationStore = db.createObjectStore(CONVERSATION_STORE, { keyPath: 'conversationId' });
-      } else {
-        conversationStore = event.target.transaction.objectStore(CONVERSATION_STORE);
-      }
+// 转换为消息存储中的记录（消息ID须已分配）
+function toStoredMessage(conversationId, message) {
+  return DBSchema.stamp(Object.assign({}, message, { conversationId }));
+}
 
-      const ensureIndex = (store, name, keyPath, options = { unique: false }) => {
-        if (!store.indexNames.contains(name)) {
-          store.createIndex(name, keyPath, options);
-        }
-      };
+// 从消息存储记录还原为会话中的消息对象
+function fromStoredMessage(record) {
+  const { conversationId, ...message } = record;
+  return message;
+}
 
-      ensureIndex(conversationStore, 'link', 'link');
-      ensureIndex(conversationStore, 'platform', 'platform');
-      ensureIndex(conversationStore, 'updatedAt', 'updatedAt');
-      ensureIndex(conversationStore, 'createdAt', 'createdAt');
-      // 新增：外部会话ID索引
-      ensureIndex(conversationStore, 'externalId', 'externalId');
-    };
+// 拆分会话记录与消息（messages 为 undefined 表示调用方未携带消息）
+// 读取时拆出的 branchMessages（非当前分支）写回时与 messages 一起保存
+function splitConversation(conversation) {
+  const { messages, branchMessages, ...record } = conversation;
+  return {
+    record,
+    messages: Array.isArray(messages) && Array.isArray(branchMessages) ? messages.concat(branchMessages) : messages
+  };
+}
+
+// 把会话的消息拆分为当前路径（messages）与其他分支（branchMessages），供侧边栏和导出只使用当前路径
+function attachBranchMessages(conversation, messages) {
+  conversation.messages = messages.filter(message => !message.inactiveBranch);
+  conversation.branchMessages = messages.filter(message => message.inactiveBranch);
+  return conversation;
+}
+
+// 按位置排序消息
+function sortStoredMessages(messages) {
+  return messages.sort((a, b) => {
+    const positionA = typeof a.position === 'number' ? a.position : Number.MAX_SAFE_INTEGER;
+    const positionB = typeof b.position === 'number' ? b.position : Number.MAX_SAFE_INTEGER;
+    return positionA - positionB;
+  });
+}
+
+// 在同一事务中只写入发生变化的消息
+function applyMessageChanges(messageStore, conversationId, currentMessages, changes) {
+  const currentMap = new Map();
+  currentMessages.forEach(msg => {
+    currentMap.set(msg.messageId, msg);
+  });
+
+  changes.newMessages.forEach(message => {
+    messageStore.put(toStoredMessage(conversationId, message));
+  });
+  changes.updatedMessages.forEach(change => {
+    messageStore.put(toStoredMessage(conversationId, currentMap.get(change.messageId)));
+  });
+  changes.removedMessages.forEach(message => {
+    messageStore.delete([conversationId, message.messageId]);
+  });
+}
+
+// 读取单个会话的所有消息
+function readConversationMessages(messageStore, conversationId) {
+  return new Promise((resolve, reject) => {
+    const request = messageStore.index('conversationId').getAll(conversationId);
 
-    request.onsuccess = (event) => {
-      resolve(event.target.result);
+    request.onsuccess = () => {
+      resolve(sortStoredMessages((request.result || []).map(fromStoredMessage)));
     };
 
     request.onerror = (event) => {
@@ -248,7 +659,7 @@ function openDB() {
   });
 }
 
-// 根据URL查找会话
+// 根据URL查找会话（仅返回会话元数据，不包含消息）
 async function findConversationByUrl(url) {
   const db = await openDB();
 
@@ -268,7 +679,7 @@ async function findConversationByUrl(url) {
   });
 }
 
-// 根据外部ID查找会话
+// 根据外部ID查找会话（仅返回会话元数据，不包含消息）
 async function findConversationByExternalId(externalId) {
   const db = await openDB();
 
@@ -296,115 +707,1189 @@ async function findConversationByExternalId(externalId) {
 }
 
 // 创建新会话
-async function createConversation(conversation) {
+// options: { preserveTimestamps: 导入已有数据时保留原 updatedAt }
+async function createConversation(conversation, options = {}) {
   const db = await openDB();
+  const { record, messages } = prepareNewConversation(conversation, options);
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE], 'readwrite');
+
+    addNewConversation(transaction, record, messages);
 
+    transaction.oncomplete = () => {
+      resolve(record.conversationId);
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 补全新会话的ID、时间戳、标签与文件夹，拆分为会话记录与消息
+function prepareNewConversation(conversation, options = {}) {
   // 生成唯一ID
   conversation.conversationId = conversation.conversationId || generateId();
 
   // 设置时间戳
   const now = new Date().toISOString();
   conversation.createdAt = conversation.createdAt || now;
-  conversation.updatedAt = now;
+  conversation.updatedAt = (options.preserveTimestamps && conversation.updatedAt) || now;
 
-  // 初始化消息数组
-  if (!conversation.messages) {
-    conversation.messages = [];
-  }
+  const { record, messages } = splitConversation(conversation);
+  record.tags = normalizeTags(record.tags);
+  record.folder = normalizeFolderPath(record.folder);
+  return { record, messages: messages || [] };
+}
+
+// 在已有事务中写入新会话的记录、消息与检索索引（缺少时间的消息以会话创建时间为准）
+function addNewConversation(transaction, record, messages) {
+  const messageStore = transaction.objectStore(MESSAGE_STORE);
+
+  MessageUtils.applyTimestamps([], MessageUtils.assignContentIds(messages), record.createdAt);
+  transaction.objectStore(CONVERSATION_STORE).add(DBSchema.stamp(record));
+  messages.forEach(message => {
+    messageStore.put(toStoredMessage(record.conversationId, message));
+  });
+  indexConversation(transaction.objectStore(SEARCH_INDEX_STORE), record, messages);
+}
+
+// 查找或创建会话（在同一个读写事务中完成，多个标签页或框架同时打开同一会话时只会创建一条记录）
+// 先按真实外部ID查找，再按链接查找（外部ID冲突的不算同一会话，缺少外部ID的顺便补上），都找不到才创建
+// 新对话的临时ID在每个标签页内唯一，只按该ID查找；新对话页面的链接（如站点首页）为所有新对话共用，不能用来匹配
+// 返回 { conversationId, created }
+async function findOrCreateConversation(conversation) {
+  const db = await openDB();
+  const externalId = conversation.externalId;
+  const hasExternalId = !isPlaceholderExternalId(externalId);
+  const hasTemporaryId = !hasExternalId && !!externalId;
 
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([CONVERSATION_STORE], 'readwrite');
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE], 'readwrite');
     const store = transaction.objectStore(CONVERSATION_STORE);
-    const request = store.add(conversation);
+    let result = null;
 
-    request.onsuccess = () => {
-      resolve(conversation.conversationId);
+    const findByLink = () => {
+      if (!conversation.link) {
+        create();
+        return;
+      }
+
+      const request = store.index('link').getAll(conversation.link);
+      request.onsuccess = () => {
+        const existing = (request.result || []).find(record =>
+          record.platform === conversation.platform &&
+          !(hasExternalId && !isPlaceholderExternalId(record.externalId) && record.externalId !== externalId)
+        );
+        if (!existing) {
+          create();
+          return;
+        }
+
+        if (hasExternalId && isPlaceholderExternalId(existing.externalId)) {
+          existing.externalId = externalId;
+          store.put(DBSchema.stamp(existing));
+        }
+        result = { conversationId: existing.conversationId, created: false };
+      };
     };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
+    const create = () => {
+      const { record, messages } = prepareNewConversation(conversation);
+      addNewConversation(transaction, record, messages);
+      result = { conversationId: record.conversationId, created: true };
+    };
+
+    if (hasExternalId || hasTemporaryId) {
+      const request = store.index('externalId').get(externalId);
+      request.onsuccess = () => {
+        if (request.result) {
+          result = { conversationId: request.result.conversationId, created: false };
+        } else if (hasTemporaryId) {
+          create();
+        } else {
+          findByLink();
+        }
+      };
+    } else {
+      findByLink();
+    }
+
+    transaction.oncomplete = () => {
+      resolve(result);
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
     };
   });
 }
 
-// 更新会话
-async function updateConversation(conversation) {
-  const db = await openDB();
+// 新对话获得平台真实ID后，把以临时ID保存的会话改为真实外部ID与链接
+// 该外部ID已属于其他会话（如另一个标签页先保存了跳转后的页面）时，把临时会话合并进去
+// 返回 { conversationId, merged }，conversationId 为之后应继续使用的会话
+async function rekeyConversation(conversationId, externalId, link) {
+  if (isPlaceholderExternalId(externalId)) {
+    throw new Error('无效的外部ID');
+  }
 
-  // 更新时间戳
-  conversation.updatedAt = new Date().toISOString();
+  const existing = await findConversationByExternalId(externalId);
+  if (existing && existing.conversationId !== conversationId) {
+    await mergeDuplicateConversations(existing.conversationId, [conversationId]);
+    return { conversationId: existing.conversationId, merged: true };
+  }
+
+  const db = await openDB();
 
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([CONVERSATION_STORE], 'readwrite');
     const store = transaction.objectStore(CONVERSATION_STORE);
-    const request = store.put(conversation);
 
+    const request = store.get(conversationId);
     request.onsuccess = () => {
-      resolve();
+      const record = request.result;
+      if (!record) {
+        transaction.abort();
+        return;
+      }
+
+      record.externalId = externalId;
+      record.link = link || record.link;
+      store.put(DBSchema.stamp(record));
     };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
+    transaction.oncomplete = () => {
+      resolve({ conversationId, merged: false });
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error || new Error('会话不存在'));
     };
   });
 }
 
-// 获取会话
-async function getConversationById(conversationId) {
+// 更新会话（携带消息时与已存储消息合并后只写入变化的消息，被覆盖或移除的内容记入修订历史）
+// options: { source: 修订来源, isCompleteSnapshot: 页面是否确定包含完整对话（为 true 时才删除未出现的消息） }
+// 标签与文件夹只能通过 organizeConversations 修改，这里始终保留已存储的值，避免内容脚本持有的旧副本覆盖
+// 会话已移入回收站时不写入任何内容（仍打开该会话的标签页自动保存会把它写回会话列表），返回 { trashed: true }
+async function updateConversation(conversation, options = {}) {
   const db = await openDB();
 
+  // 更新时间戳
+  conversation.updatedAt = new Date().toISOString();
+
+  const { record, messages } = splitConversation(conversation);
+
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([CONVERSATION_STORE], 'readonly');
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE, REVISION_STORE, TRASH_STORE], 'readwrite');
     const store = transaction.objectStore(CONVERSATION_STORE);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const revisionStore = transaction.objectStore(REVISION_STORE);
+    const trashStore = transaction.objectStore(TRASH_STORE);
+    let trashed = false;
+
+    const save = (stored) => {
+      record.tags = stored && Array.isArray(stored.tags) ? stored.tags : normalizeTags(record.tags);
+      record.folder = stored && typeof stored.folder === 'string' ? stored.folder : normalizeFolderPath(record.folder);
+
+      store.put(DBSchema.stamp(record));
+      reindexEntry(searchIndexStore, record.conversationId, SearchIndexer.META_ID, SearchIndexer.getMetaText(record));
+
+      if (Array.isArray(messages)) {
+        readConversationMessages(messageStore, record.conversationId)
+          .then(storedMessages => {
+            const mergedMessages = MessageUtils.mergeMessages(storedMessages, messages, {
+              isCompleteSnapshot: options.isCompleteSnapshot === true
+            });
+            const changes = MessageUtils.calculateMessageChanges(storedMessages, mergedMessages);
+            applyMessageChanges(messageStore, record.conversationId, mergedMessages, changes);
+            updateMessageIndex(searchIndexStore, record.conversationId, mergedMessages, changes);
+            MessageUtils.buildRevisions(record.conversationId, storedMessages, mergedMessages, changes, options.source || 'auto-save')
+              .forEach(revision => revisionStore.add(DBSchema.stamp(revision)));
+          })
+          .catch(() => {
+            transaction.abort();
+          });
+      }
+    };
+
+    const storedRequest = store.get(record.conversationId);
+    storedRequest.onsuccess = () => {
+      const stored = storedRequest.result;
+      if (stored) {
+        save(stored);
+        return;
+      }
+
+      // 会话列表中没有时，检查是否已移入回收站
+      const trashRequest = trashStore.count(record.conversationId);
+      trashRequest.onsuccess = () => {
+        if (trashRequest.result > 0) {
+          trashed = true;
+          return;
+        }
+        save(null);
+      };
+    };
+
+    transaction.oncomplete = () => {
+      resolve({ trashed });
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 获取会话
+async function getConversationById(conversationId) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE], 'readonly');
+    const store = transaction.objectStore(CONVERSATION_STORE);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
     const request = store.get(conversationId);
 
-    request.onsuccess = () => {
-      resolve(request.result || null);
+    request.onsuccess = () => {
+      const conversation = request.result;
+      if (!conversation) {
+        resolve(null);
+        return;
+      }
+
+      readConversationMessages(messageStore, conversationId)
+        .then(messages => {
+          resolve(attachBranchMessages(conversation, messages));
+        })
+        .catch(reject);
+    };
+
+    request.onerror = (event) => {
+      reject(event.target.error);
+    };
+  });
+}
+
+// 获取对话的排序时间（与显示逻辑保持一致）
+function getConversationSortTime(conversation) {
+  if (!conversation) return new Date().toISOString();
+
+  // 优先使用最后一条消息的时间
+  if (conversation.messages && conversation.messages.length > 0) {
+    const lastMessage = conversation.messages[conversation.messages.length - 1];
+    if (lastMessage.updatedAt) return lastMessage.updatedAt;
+    if (lastMessage.createdAt) return lastMessage.createdAt;
+    if (lastMessage.timestamp) return lastMessage.timestamp;
+  }
+
+  // 如果没有消息，使用对话本身的时间
+  if (conversation.lastMessageAt) return conversation.lastMessageAt;
+  if (conversation.createdAt) return conversation.createdAt;
+  if (conversation.timestamp) return conversation.timestamp;
+
+  // 最后降级处理
+  return new Date().toISOString();
+}
+
+// 获取所有会话
+async function getAllConversations() {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE], 'readonly');
+    const store = transaction.objectStore(CONVERSATION_STORE);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const request = store.getAll();
+    const messagesRequest = messageStore.getAll();
+
+    transaction.oncomplete = () => {
+      const conversations = request.result || [];
+      attachStoredMessages(conversations, messagesRequest.result || []);
+
+      // 按最后消息时间倒序排序（与显示逻辑保持一致）
+      conversations.sort((a, b) => {
+        return new Date(getConversationSortTime(b)) - new Date(getConversationSortTime(a));
+      });
+      resolve(conversations);
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 将消息存储记录按会话分组后挂到会话记录上（按位置排序）
+function attachStoredMessages(conversations, messageRecords) {
+  const messagesByConversation = new Map();
+  messageRecords.forEach(record => {
+    if (!messagesByConversation.has(record.conversationId)) {
+      messagesByConversation.set(record.conversationId, []);
+    }
+    messagesByConversation.get(record.conversationId).push(fromStoredMessage(record));
+  });
+
+  conversations.forEach(conversation => {
+    attachBranchMessages(conversation, sortStoredMessages(messagesByConversation.get(conversation.conversationId) || []));
+  });
+  return conversations;
+}
+
+// 删除会话：会话连同消息移入回收站，并移除检索索引（修订历史保留到永久删除时）
+async function deleteConversation(conversationId) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE, TRASH_STORE], 'readwrite');
+    const store = transaction.objectStore(CONVERSATION_STORE);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const trashStore = transaction.objectStore(TRASH_STORE);
+
+    const request = store.get(conversationId);
+
+    request.onsuccess = () => {
+      const record = request.result;
+      if (!record) return;
+
+      readConversationMessages(messageStore, conversationId)
+        .then(messages => {
+          trashStore.put(DBSchema.stamp(Object.assign({}, record, {
+            messages,
+            deletedAt: new Date().toISOString()
+          })));
+          store.delete(conversationId);
+          messageStore.delete(conversationMessageRange(conversationId));
+          removeConversationIndex(searchIndexStore, conversationId);
+        })
+        .catch(() => {
+          transaction.abort();
+        });
+    };
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// ========== 标签与文件夹 ==========
+
+// 规范化标签：去除首尾空白、去重、忽略空标签
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const result = [];
+  tags.forEach(tag => {
+    const name = String(tag || '').trim().substring(0, 50);
+    if (name && !result.includes(name)) {
+      result.push(name);
+    }
+  });
+  return result;
+}
+
+// 规范化文件夹路径：以 / 分隔层级，去除空层级，空字符串表示未归档
+function normalizeFolderPath(folder) {
+  if (typeof folder !== 'string') return '';
+
+  return folder
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+// 批量整理会话：changes 可包含 tags（整体替换）、addTags、removeTags、folder
+async function organizeConversations(conversationIds, changes = {}) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE], 'readwrite');
+    const store = transaction.objectStore(CONVERSATION_STORE);
+
+    (conversationIds || []).forEach(conversationId => {
+      const request = store.get(conversationId);
+
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) return;
+
+        let tags = Array.isArray(changes.tags) ? normalizeTags(changes.tags) : normalizeTags(record.tags);
+        if (Array.isArray(changes.addTags)) {
+          tags = normalizeTags(tags.concat(changes.addTags));
+        }
+        if (Array.isArray(changes.removeTags)) {
+          const removed = new Set(normalizeTags(changes.removeTags));
+          tags = tags.filter(tag => !removed.has(tag));
+        }
+
+        record.tags = tags;
+        if (typeof changes.folder === 'string') {
+          record.folder = normalizeFolderPath(changes.folder);
+        }
+
+        store.put(DBSchema.stamp(record));
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// ========== 回收站 ==========
+
+// 获取回收站列表（不含消息内容，按删除时间倒序）
+async function getTrash() {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TRASH_STORE], 'readonly');
+    const request = transaction.objectStore(TRASH_STORE).getAll();
+
+    request.onsuccess = () => {
+      const items = (request.result || []).map(({ messages, ...record }) => Object.assign(record, {
+        messageCount: Array.isArray(messages) ? messages.length : 0
+      }));
+      items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+      resolve(items);
+    };
+
+    request.onerror = (event) => {
+      reject(event.target.error);
+    };
+  });
+}
+
+// 从回收站恢复会话（重新写入会话、消息与检索索引）
+async function restoreConversation(conversationId) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE, TRASH_STORE], 'readwrite');
+    const store = transaction.objectStore(CONVERSATION_STORE);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const trashStore = transaction.objectStore(TRASH_STORE);
+
+    const request = trashStore.get(conversationId);
+
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry) {
+        transaction.abort();
+        return;
+      }
+
+      const { deletedAt, ...conversation } = entry;
+      const { record, messages } = splitConversation(conversation);
+      const restoredMessages = MessageUtils.assignContentIds(messages || []);
+
+      store.put(DBSchema.stamp(record));
+      restoredMessages.forEach(message => {
+        messageStore.put(toStoredMessage(conversationId, message));
+      });
+      indexConversation(searchIndexStore, record, restoredMessages);
+      trashStore.delete(conversationId);
+    };
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error || new Error('回收站中不存在该会话'));
+    };
+  });
+}
+
+// 永久删除回收站中的会话及其修订历史
+async function permanentlyDeleteConversations(conversationIds) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([TRASH_STORE, REVISION_STORE], 'readwrite');
+    const trashStore = transaction.objectStore(TRASH_STORE);
+    const revisionStore = transaction.objectStore(REVISION_STORE);
+
+    conversationIds.forEach(conversationId => {
+      trashStore.delete(conversationId);
+      removeConversationRevisions(revisionStore, conversationId);
+    });
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 清理删除时间早于保留天数的会话，返回清理数量（retentionDays 为 0 时清空回收站）
+async function purgeTrash(retentionDays) {
+  const days = Number(retentionDays);
+  const retention = Number.isFinite(days) && days >= 0 ? days : defaultSettings.trashRetentionDays;
+  const cutoff = new Date(Date.now() - retention * 24 * 60 * 60 * 1000).toISOString();
+
+  const db = await openDB();
+  const expiredIds = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([TRASH_STORE], 'readonly');
+    const request = transaction.objectStore(TRASH_STORE).index('deletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff));
+
+    request.onsuccess = () => {
+      resolve(request.result || []);
+    };
+
+    request.onerror = (event) => {
+      reject(event.target.error);
+    };
+  });
+
+  if (expiredIds.length > 0) {
+    await permanentlyDeleteConversations(expiredIds);
+  }
+  return expiredIds.length;
+}
+
+// ========== 批量导入 ==========
+
+// 批量导入会话（如内容脚本回退模式下写入页面源数据库的会话）
+// 依次按会话ID、外部ID、链接查找已有会话：找到则补全元数据并合并消息，否则新建
+// 返回每条来源会话的处理结果，调用方据此清理来源数据
+async function importConversations(conversations, options = {}) {
+  const source = options.source || 'import';
+  const results = [];
+
+  for (const incoming of conversations || []) {
+    if (!incoming) continue;
+
+    const { revisions, ...conversation } = incoming;
+    const sourceId = conversation.conversationId || null;
+
+    try {
+      const existing = await findImportTarget(conversation);
+      let conversationId;
+      let action;
+
+      if (existing) {
+        const merged = Object.assign({}, existing);
+        ['title', 'link', 'platform', 'externalId'].forEach(key => {
+          if (!merged[key] && conversation[key]) {
+            merged[key] = conversation[key];
+          }
+        });
+        merged.messages = Array.isArray(conversation.messages) ? conversation.messages : [];
+        merged.branchMessages = Array.isArray(conversation.branchMessages) ? conversation.branchMessages : [];
+
+        await updateConversation(merged, { source });
+        conversationId = existing.conversationId;
+        action = 'merged';
+      } else {
+        conversationId = await createConversation(Object.assign({}, conversation, {
+          messages: Array.isArray(conversation.messages) ? conversation.messages : []
+        }), { preserveTimestamps: true });
+        action = 'created';
+      }
+
+      if (Array.isArray(revisions) && revisions.length > 0) {
+        await addRevisions(conversationId, revisions);
+      }
+
+      results.push({ sourceId, conversationId, action });
+    } catch (error) {
+      console.error('导入会话失败:', sourceId, error);
+      results.push({ sourceId, error: error.toString() });
+    }
+  }
+
+  return results;
+}
+
+// 查找导入会话对应的已有会话
+async function findImportTarget(conversation) {
+  if (conversation.conversationId) {
+    const sameId = await getConversationById(conversation.conversationId);
+    if (sameId) {
+      const { messages, ...record } = sameId;
+      return record;
+    }
+  }
+
+  const externalId = conversation.externalId;
+  if (externalId && !String(externalId).startsWith('new_conversation_')) {
+    const byExternalId = await findConversationByExternalId(externalId);
+    if (byExternalId) return byExternalId;
+  }
+
+  if (conversation.link) {
+    const byLink = await findConversationByUrl(conversation.link);
+    // 链接相同但外部ID不同的是两个不同的会话
+    if (byLink && !(externalId && byLink.externalId && byLink.externalId !== externalId)) {
+      return byLink;
+    }
+  }
+
+  return null;
+}
+
+// 写入导入的修订记录（重新分配主键，归属到导入后的会话）
+async function addRevisions(conversationId, revisions) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([REVISION_STORE], 'readwrite');
+    const revisionStore = transaction.objectStore(REVISION_STORE);
+
+    revisions.forEach(revision => {
+      const { revisionId, ...record } = revision;
+      revisionStore.add(DBSchema.stamp(Object.assign(record, { conversationId })));
+    });
+
+    transaction.oncomplete = () => {
+      resolve();
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// ========== 重复会话 ==========
+
+// 外部ID是否为新会话的临时占位ID
+function isPlaceholderExternalId(externalId) {
+  return !externalId || String(externalId).startsWith('new_conversation_');
+}
+
+// 检测可能重复的会话
+// 同一平台内外部ID相同、链接相同，或消息内容高度重合（占位会话与真实会话）的会话归为一组
+// 返回 [{ conversationIds, reasons }]，conversationIds 的第一个为建议保留的会话
+async function findDuplicateGroups() {
+  const conversations = await getAllConversations();
+  const byId = new Map(conversations.map(conversation => [conversation.conversationId, conversation]));
+  const parent = new Map(conversations.map(conversation => [conversation.conversationId, conversation.conversationId]));
+  // 每组已包含的真实外部ID，避免占位会话把两个不同的会话传递地连到同一组
+  const groupExternalIds = new Map(conversations.map(conversation => [
+    conversation.conversationId,
+    isPlaceholderExternalId(conversation.externalId) ? null : conversation.externalId
+  ]));
+  const links = [];
+
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const link = (a, b, reason) => {
+    const rootA = find(a.conversationId);
+    const rootB = find(b.conversationId);
+    if (rootA !== rootB) {
+      const externalIdA = groupExternalIds.get(rootA);
+      const externalIdB = groupExternalIds.get(rootB);
+      if (externalIdA && externalIdB && externalIdA !== externalIdB) return;
+      parent.set(rootA, rootB);
+      groupExternalIds.set(rootB, externalIdB || externalIdA);
+    }
+    links.push({ id: a.conversationId, reason });
+  };
+
+  const linkBuckets = (keyOf, reason) => {
+    const buckets = new Map();
+    conversations.forEach(conversation => {
+      const key = keyOf(conversation);
+      if (!key) return;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(conversation);
+    });
+    buckets.forEach(bucket => {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          link(bucket[i], bucket[j], reason);
+        }
+      }
+    });
+  };
+
+  linkBuckets(conversation => !isPlaceholderExternalId(conversation.externalId) && `${conversation.platform}|${conversation.externalId}`, 'externalId');
+  linkBuckets(conversation => conversation.link && `${conversation.platform}|${conversation.link}`, 'link');
+  findMessageOverlaps(conversations).forEach(([a, b]) => link(byId.get(a), byId.get(b), 'messages'));
+
+  const groups = new Map();
+  conversations.forEach(conversation => {
+    const root = find(conversation.conversationId);
+    if (!groups.has(root)) {
+      groups.set(root, { members: [], reasons: new Set() });
+    }
+    groups.get(root).members.push(conversation);
+  });
+  links.forEach(({ id, reason }) => {
+    groups.get(find(id)).reasons.add(reason);
+  });
+
+  return Array.from(groups.values())
+    .filter(group => group.members.length > 1)
+    .map(group => ({
+      conversationIds: sortDuplicateCandidates(group.members).map(conversation => conversation.conversationId),
+      reasons: Array.from(group.reasons)
+    }));
+}
+
+// 找出消息内容高度重合的会话对（按共同消息数从多到少）：共同消息占较短会话的 80% 以上，
+// 且至少有两条共同消息（一方是占位会话时一条即可）；出现在过多会话中的消息（如“你好”）不参与比较
+function findMessageOverlaps(conversations) {
+  const keySets = new Map();
+  const conversationsByKey = new Map();
+
+  conversations.forEach(conversation => {
+    const keys = new Set((conversation.messages || []).map(message => MessageUtils.contentKey(message)).filter(Boolean));
+    keySets.set(conversation.conversationId, keys);
+    keys.forEach(key => {
+      const indexKey = `${conversation.platform}|${key}`;
+      if (!conversationsByKey.has(indexKey)) {
+        conversationsByKey.set(indexKey, []);
+      }
+      conversationsByKey.get(indexKey).push(conversation);
+    });
+  });
+
+  const sharedCounts = new Map();
+  conversationsByKey.forEach(members => {
+    if (members.length < 2 || members.length > 10) return;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const pairKey = `${members[i].conversationId}\n${members[j].conversationId}`;
+        sharedCounts.set(pairKey, (sharedCounts.get(pairKey) || 0) + 1);
+      }
+    }
+  });
+
+  const byId = new Map(conversations.map(conversation => [conversation.conversationId, conversation]));
+  const pairs = [];
+  sharedCounts.forEach((shared, pairKey) => {
+    const [a, b] = pairKey.split('\n');
+    const smaller = Math.min(keySets.get(a).size, keySets.get(b).size);
+    const hasPlaceholder = isPlaceholderExternalId(byId.get(a).externalId) || isPlaceholderExternalId(byId.get(b).externalId);
+    if (shared / smaller >= 0.8 && (shared >= 2 || hasPlaceholder)) {
+      pairs.push({ pair: [a, b], shared });
+    }
+  });
+  return pairs
+    .sort((x, y) => y.shared - x.shared)
+    .map(({ pair }) => pair);
+}
+
+// 建议保留的顺序：有真实外部ID的优先，其次消息多的，最后更新时间晚的
+function sortDuplicateCandidates(conversations) {
+  return [...conversations].sort((a, b) => {
+    const placeholderA = isPlaceholderExternalId(a.externalId) ? 1 : 0;
+    const placeholderB = isPlaceholderExternalId(b.externalId) ? 1 : 0;
+    if (placeholderA !== placeholderB) return placeholderA - placeholderB;
+
+    const countA = (a.messages || []).length;
+    const countB = (b.messages || []).length;
+    if (countA !== countB) return countB - countA;
+
+    return new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0);
+  });
+}
+
+// 执行重复检测并保存结果，供侧边栏显示
+async function scanDuplicateConversations() {
+  const scan = {
+    scannedAt: new Date().toISOString(),
+    groups: await findDuplicateGroups()
+  };
+  await setLocalValue(DUPLICATE_SCAN_KEY, scan);
+  return scan;
+}
+
+// 读取最近一次检测结果（从未检测过时立即检测）
+async function getDuplicateScan() {
+  const scan = await getLocalValue(DUPLICATE_SCAN_KEY);
+  return scan || scanDuplicateConversations();
+}
+
+// 合并重复会话：消息取并集并按位置排序写入保留的会话（重合部分以保留会话的内容为准），
+// 补全外部ID、链接等元数据并合并标签，其余会话移入回收站
+async function mergeDuplicateConversations(primaryId, duplicateIds) {
+  const primary = await getConversationById(primaryId);
+  if (!primary) {
+    throw new Error('要保留的会话不存在');
+  }
+
+  const duplicates = [];
+  for (const conversationId of duplicateIds || []) {
+    if (conversationId === primaryId) continue;
+    const duplicate = await getConversationById(conversationId);
+    if (duplicate) {
+      duplicates.push(duplicate);
+    }
+  }
+
+  if (duplicates.length === 0) {
+    return { conversationId: primaryId, merged: 0 };
+  }
+
+  const { messages: primaryMessages, ...record } = primary;
+  const primaryById = new Map(primaryMessages.map(message => [message.messageId, message]));
+  let messages = primaryMessages;
+  const addTags = [];
+  let folder = record.folder;
+
+  duplicates.forEach(duplicate => {
+    messages = MessageUtils.mergeMessages(messages, MessageUtils.sortByPosition([...duplicate.messages]))
+      .map(message => primaryById.has(message.messageId) ?
+        Object.assign({}, primaryById.get(message.messageId), { position: message.position }) :
+        message);
+
+    if (isPlaceholderExternalId(record.externalId) && !isPlaceholderExternalId(duplicate.externalId)) {
+      record.externalId = duplicate.externalId;
+      record.link = duplicate.link || record.link;
+    }
+    ['title', 'link', 'platform', 'externalId'].forEach(key => {
+      if (!record[key] && duplicate[key]) {
+        record[key] = duplicate[key];
+      }
+    });
+    if (duplicate.createdAt && (!record.createdAt || duplicate.createdAt < record.createdAt)) {
+      record.createdAt = duplicate.createdAt;
+    }
+
+    // 重复会话中的其他分支一并保留
+    record.branchMessages = (record.branchMessages || []).concat(duplicate.branchMessages || []);
+    addTags.push(...(duplicate.tags || []));
+    folder = folder || duplicate.folder;
+  });
+
+  await updateConversation(Object.assign(record, { messages }), {
+    source: 'duplicate-merge',
+    isCompleteSnapshot: true
+  });
+  await organizeConversations([primaryId], { addTags, folder: folder || '' });
+
+  for (const duplicate of duplicates) {
+    await deleteConversation(duplicate.conversationId);
+  }
+
+  await scanDuplicateConversations();
+  return { conversationId: primaryId, merged: duplicates.length, messageCount: messages.length };
+}
+
+// ========== 备份与恢复 ==========
+
+// 生成完整备份：会话与消息原样导出，附带修订历史、回收站、设置与悬浮标签位置
+async function createBackup() {
+  const [settings, floatTagPositions] = await Promise.all([
+    getSettings(),
+    getLocalValue(FLOAT_TAG_POSITIONS_KEY)
+  ]);
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, REVISION_STORE, TRASH_STORE], 'readonly');
+    const conversationsRequest = transaction.objectStore(CONVERSATION_STORE).getAll();
+    const messagesRequest = transaction.objectStore(MESSAGE_STORE).getAll();
+    const revisionsRequest = transaction.objectStore(REVISION_STORE).getAll();
+    const trashRequest = transaction.objectStore(TRASH_STORE).getAll();
+
+    transaction.oncomplete = () => {
+      resolve({
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        schemaVersion: DBSchema.VERSION,
+        exportedAt: new Date().toISOString(),
+        settings,
+        floatTagPositions: floatTagPositions || {},
+        conversations: attachStoredMessages(conversationsRequest.result || [], messagesRequest.result || []),
+        revisions: revisionsRequest.result || [],
+        trash: trashRequest.result || []
+      });
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 校验备份文件：格式标识、备份版本与数据库结构版本（不能高于当前扩展）
+function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('不是有效的 AI Chat Memory 备份文件');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_FORMAT_VERSION) {
+    throw new Error(`不支持的备份格式版本: ${backup.version}`);
+  }
+  if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion > DBSchema.VERSION) {
+    throw new Error(`备份的数据库结构版本（v${backup.schemaVersion}）高于当前扩展（v${DBSchema.VERSION}），请先升级扩展`);
+  }
+  if (!Array.isArray(backup.conversations)) {
+    throw new Error('备份文件缺少会话数据');
+  }
+
+  backup.conversations.forEach((conversation, index) => {
+    if (!conversation || !conversation.conversationId || !Array.isArray(conversation.messages)) {
+      throw new Error(`备份中第 ${index + 1} 个会话缺少会话ID或消息`);
+    }
+  });
+
+  ['revisions', 'trash'].forEach(key => {
+    if (backup[key] !== undefined && !Array.isArray(backup[key])) {
+      throw new Error(`备份文件中的 ${key} 数据无效`);
+    }
+  });
+}
+
+// 从备份恢复
+// mode 为 'replace' 时清空现有数据后原样写入；为 'merge'（默认）时按会话ID、外部ID、链接与现有会话合并
+async function restoreBackup(backup, options = {}) {
+  validateBackup(backup);
+  // 旧结构版本的备份先按迁移规则升级，写入的记录才能标记为当前版本
+  DBSchema.upgradeBackup(backup);
+
+  const mode = options.mode === 'replace' ? 'replace' : 'merge';
+  const summary = mode === 'replace' ?
+    await replaceWithBackup(backup) :
+    await mergeBackup(backup);
+
+  const settings = await restoreBackupPreferences(backup, mode);
+  return Object.assign({ mode, settings }, summary);
+}
+
+// 替换模式：在同一事务中清空并写入，失败时保持原有数据不变
+async function replaceWithBackup(backup) {
+  const db = await openDB();
+  const revisions = backup.revisions || [];
+  const trash = backup.trash || [];
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE, REVISION_STORE, TRASH_STORE], 'readwrite');
+    const store = transaction.objectStore(CONVERSATION_STORE);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const revisionStore = transaction.objectStore(REVISION_STORE);
+    const trashStore = transaction.objectStore(TRASH_STORE);
+
+    [store, messageStore, searchIndexStore, revisionStore, trashStore].forEach(objectStore => objectStore.clear());
+
+    backup.conversations.forEach(conversation => {
+      const { record, messages } = splitConversation(conversation);
+      record.tags = normalizeTags(record.tags);
+      record.folder = normalizeFolderPath(record.folder);
+
+      store.put(DBSchema.stamp(record));
+      MessageUtils.assignContentIds(messages || []).forEach(message => {
+        messageStore.put(toStoredMessage(record.conversationId, message));
+      });
+      indexConversation(searchIndexStore, record, messages || []);
+    });
+
+    revisions.forEach(revision => revisionStore.put(DBSchema.stamp(Object.assign({}, revision))));
+    trash.forEach(entry => trashStore.put(DBSchema.stamp(Object.assign({}, entry))));
+
+    transaction.oncomplete = () => {
+      resolve({
+        created: backup.conversations.length,
+        merged: 0,
+        failed: 0,
+        revisions: revisions.length,
+        trash: trash.length
+      });
     };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
+    transaction.onabort = () => {
+      reject(transaction.error);
     };
   });
 }
 
-// 获取对话的排序时间（与显示逻辑保持一致）
-function getConversationSortTime(conversation) {
-  if (!conversation) return new Date().toISOString();
+// 合并模式：会话走批量导入流程；新建的会话补回修订历史，已有会话补充标签与文件夹，
+// 并补回能对应到合并后消息的修订记录（对应不上的计入 skippedRevisions）；回收站只补充本地不存在的会话
+async function mergeBackup(backup) {
+  const incomingById = new Map(backup.conversations.map(conversation => [conversation.conversationId, conversation]));
+  const revisionsById = new Map();
+  (backup.revisions || []).forEach(revision => {
+    if (!revisionsById.has(revision.conversationId)) {
+      revisionsById.set(revision.conversationId, []);
+    }
+    revisionsById.get(revision.conversationId).push(revision);
+  });
 
-  // 优先使用最后一条消息的时间
-  if (conversation.messages && conversation.messages.length > 0) {
-    const lastMessage = conversation.messages[conversation.messages.length - 1];
-    if (lastMessage.updatedAt) return lastMessage.updatedAt;
-    if (lastMessage.createdAt) return lastMessage.createdAt;
-    if (lastMessage.timestamp) return lastMessage.timestamp;
+  const results = await importConversations(backup.conversations, { source: 'backup-restore' });
+  const summary = { created: 0, merged: 0, failed: 0, revisions: 0, skippedRevisions: 0, trash: 0 };
+
+  for (const result of results) {
+    if (result.error) {
+      summary.failed++;
+      continue;
+    }
+    summary[result.action]++;
+
+    const incoming = incomingById.get(result.sourceId);
+    if (result.action === 'created') {
+      const revisions = revisionsById.get(result.sourceId) || [];
+      if (revisions.length > 0) {
+        await addRevisions(result.conversationId, revisions);
+        summary.revisions += revisions.length;
+      }
+    } else if (incoming) {
+      const existing = await getConversationById(result.conversationId);
+      const changes = { addTags: incoming.tags || [] };
+      if (incoming.folder && existing && !existing.folder) {
+        changes.folder = incoming.folder;
+      }
+      await organizeConversations([result.conversationId], changes);
+
+      const revisions = revisionsById.get(result.sourceId) || [];
+      if (revisions.length > 0 && existing) {
+        const { kept, skipped } = matchBackupRevisions(
+          incoming,
+          existing,
+          revisions,
+          await getConversationRevisions(result.conversationId)
+        );
+        if (kept.length > 0) {
+          await addRevisions(result.conversationId, kept);
+        }
+        summary.revisions += kept.length;
+        summary.skippedRevisions += skipped;
+      }
+    }
   }
 
-  // 如果没有消息，使用对话本身的时间
-  if (conversation.lastMessageAt) return conversation.lastMessageAt;
-  if (conversation.createdAt) return conversation.createdAt;
-  if (conversation.timestamp) return conversation.timestamp;
+  summary.trash = await mergeTrashEntries(backup.trash || []);
+  return summary;
+}
 
-  // 最后降级处理
-  return new Date().toISOString();
+// 把备份中的修订记录对应到合并后会话的消息：消息ID相同，或发送者与内容相同即视为同一条消息
+// 本地已有的同一修订（消息、时间与旧内容都相同）不重复写入；对应不上的记录跳过并计数
+// 返回 { kept: 改写了消息ID的修订记录, skipped }
+function matchBackupRevisions(incoming, merged, revisions, existingRevisions) {
+  const mergedMessages = (merged.messages || []).concat(merged.branchMessages || []);
+  const mergedIds = new Set(mergedMessages.map(message => message.messageId));
+  const idsByContent = new Map();
+  mergedMessages.forEach(message => {
+    const key = MessageUtils.contentKey(message);
+    if (key && !idsByContent.has(key)) {
+      idsByContent.set(key, message.messageId);
+    }
+  });
+
+  const idMap = new Map();
+  (incoming.messages || []).concat(incoming.branchMessages || []).forEach(message => {
+    if (mergedIds.has(message.messageId)) {
+      idMap.set(message.messageId, message.messageId);
+    } else if (idsByContent.has(MessageUtils.contentKey(message))) {
+      idMap.set(message.messageId, idsByContent.get(MessageUtils.contentKey(message)));
+    }
+  });
+
+  const revisionKey = revision => `${revision.messageId}\n${revision.timestamp}\n${revision.oldContent}`;
+  const existingKeys = new Set(existingRevisions.map(revisionKey));
+  const kept = [];
+  let skipped = 0;
+
+  revisions.forEach(revision => {
+    const messageId = idMap.get(revision.messageId);
+    if (!messageId) {
+      skipped++;
+      return;
+    }
+    const remapped = Object.assign({}, revision, { messageId });
+    if (!existingKeys.has(revisionKey(remapped))) {
+      existingKeys.add(revisionKey(remapped));
+      kept.push(remapped);
+    }
+  });
+
+  return { kept, skipped };
 }
 
-// 获取所有会话
-async function getAllConversations() {
+// 写入本地既不在会话列表也不在回收站中的回收站条目，返回写入数量
+async function mergeTrashEntries(entries) {
+  if (entries.length === 0) return 0;
+
   const db = await openDB();
 
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([CONVERSATION_STORE], 'readonly');
+    const transaction = db.transaction([CONVERSATION_STORE, TRASH_STORE], 'readwrite');
     const store = transaction.objectStore(CONVERSATION_STORE);
-    const request = store.getAll();
+    const trashStore = transaction.objectStore(TRASH_STORE);
+    let added = 0;
+
+    entries.forEach(entry => {
+      if (!entry || !entry.conversationId) return;
+
+      const activeRequest = store.getKey(entry.conversationId);
+      const trashRequest = trashStore.getKey(entry.conversationId);
+      trashRequest.onsuccess = () => {
+        if (activeRequest.result === undefined && trashRequest.result === undefined) {
+          trashStore.put(DBSchema.stamp(Object.assign({}, entry)));
+          added++;
+        }
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve(added);
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 恢复设置与悬浮标签位置：替换模式以备份为准，合并模式用备份中的值覆盖同名项
+async function restoreBackupPreferences(backup, mode) {
+  let settings = await getSettings();
+  if (backup.settings && typeof backup.settings === 'object') {
+    const base = mode === 'replace' ? defaultSettings : settings;
+    settings = await updateSettings(Object.assign({}, base, backup.settings));
+  }
+
+  if (backup.floatTagPositions && typeof backup.floatTagPositions === 'object') {
+    const current = mode === 'replace' ? {} : await getLocalValue(FLOAT_TAG_POSITIONS_KEY);
+    await setLocalValue(FLOAT_TAG_POSITIONS_KEY, Object.assign({}, current, backup.floatTagPositions));
+  }
+
+  return settings;
+}
+
+// ========== 消息修订历史 ==========
+
+// 获取会话的全部修订记录（按时间倒序）
+async function getConversationRevisions(conversationId) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([REVISION_STORE], 'readonly');
+    const request = transaction.objectStore(REVISION_STORE).index('conversationId').getAll(conversationId);
 
     request.onsuccess = () => {
-      // 按最后消息时间倒序排序（与显示逻辑保持一致）
-      const conversations = request.result || [];
-      conversations.sort((a, b) => {
-        return new Date(getConversationSortTime(b)) - new Date(getConversationSortTime(a));
-      });
-      resolve(conversations);
+      resolve((request.result || []).sort((a, b) => b.revisionId - a.revisionId));
     };
 
     request.onerror = (event) => {
@@ -413,21 +1898,472 @@ async function getAllConversations() {
   });
 }
 
-// 删除会话
-async function deleteConversation(conversationId) {
+// 将消息恢复为某条修订记录中的旧内容（当前内容同样记入修订历史，可再次恢复）
+async function restoreMessageRevision(conversationId, messageId, revisionId) {
   const db = await openDB();
 
   return new Promise((resolve, reject) => {
-    const transaction = db.transaction([CONVERSATION_STORE], 'readwrite');
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE, REVISION_STORE], 'readwrite');
     const store = transaction.objectStore(CONVERSATION_STORE);
-    const request = store.delete(conversationId);
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const revisionStore = transaction.objectStore(REVISION_STORE);
+
+    const revisionRequest = revisionStore.get(revisionId);
+    const messageRequest = messageStore.get([conversationId, messageId]);
+    const conversationRequest = store.get(conversationId);
+
+    // 同一事务中的请求按顺序完成，最后一个请求成功时其余结果均已就绪
+    conversationRequest.onsuccess = () => {
+      const revision = revisionRequest.result;
+      const conversation = conversationRequest.result;
+      if (!revision || !conversation || revision.conversationId !== conversationId || revision.messageId !== messageId) {
+        transaction.abort();
+        return;
+      }
 
-    request.onsuccess = () => {
+      const now = new Date().toISOString();
+      const current = messageRequest.result;
+      // 消息已被移除时按修订记录中的发送者与位置重新创建
+      const restored = Object.assign({}, current || {
+        conversationId,
+        messageId,
+        sender: revision.sender,
+        position: revision.position,
+        createdAt: revision.timestamp
+      }, {
+        content: revision.oldContent,
+        thinking: revision.oldThinking || '',
+        updatedAt: now
+      });
+
+      revisionStore.add(DBSchema.stamp({
+        conversationId,
+        messageId,
+        sender: restored.sender,
+        position: restored.position,
+        oldContent: current ? current.content : null,
+        newContent: restored.content,
+        oldThinking: current ? (current.thinking || '') : '',
+        newThinking: restored.thinking,
+        timestamp: now,
+        source: 'restore'
+      }));
+      messageStore.put(DBSchema.stamp(restored));
+      reindexEntry(searchIndexStore, conversationId, messageId, restored.content);
+
+      conversation.updatedAt = now;
+      store.put(DBSchema.stamp(conversation));
+    };
+
+    transaction.oncomplete = () => {
       resolve();
     };
 
-    request.onerror = (event) => {
-      reject(event.target.error);
+    transaction.onabort = () => {
+      reject(transaction.error || new Error('修订记录不存在'));
+    };
+  });
+}
+
+// 删除会话的全部修订记录
+function removeConversationRevisions(revisionStore, conversationId) {
+  const request = revisionStore.index('conversationId').getAllKeys(conversationId);
+
+  request.onsuccess = () => {
+    (request.result || []).forEach(primaryKey => revisionStore.delete(primaryKey));
+  };
+}
+
+// ========== 自建站点 ==========
+
+// 读取自建站点列表
+async function getCustomSites() {
+  const sites = await getLocalValue(CUSTOM_SITES_KEY);
+  return Array.isArray(sites) ? sites : [];
+}
+
+// 自建站点列表，附带当前是否仍有该站点的访问权限（granted）
+async function getCustomSitesWithPermissions() {
+  const sites = await getCustomSites();
+  return Promise.all(sites.map(async site => Object.assign({}, site, {
+    granted: await hasOriginPermission(site.origin)
+  })));
+}
+
+// 是否已获得源的访问权限
+async function hasOriginPermission(origin) {
+  if (typeof chrome === 'undefined' || !chrome.permissions) return false;
+  return chrome.permissions.contains({ origins: [PlatformRegistry.getOriginMatchPattern(origin)] });
+}
+
+// 添加自建站点
+// 权限申请必须由用户操作触发，由侧边栏在点击“添加”时调用 chrome.permissions.request；这里确认已获得权限后保存并注册内容脚本
+async function addCustomSite(originInput, platformId) {
+  const origin = PlatformRegistry.normalizeOrigin(originInput);
+  if (!origin) {
+    throw new Error('无效的站点地址');
+  }
+  const adapter = getCustomSiteAdapter(platformId, await AdapterSpecs.loadStored());
+  if (!adapter) {
+    throw new Error(`不支持的平台: ${platformId}`);
+  }
+  if (!(await hasOriginPermission(origin))) {
+    throw new Error('未获得该站点的访问权限');
+  }
+
+  const sites = (await getCustomSites()).filter(site => site.origin !== origin);
+  sites.push({ origin, platform: platformId });
+  await setLocalValue(CUSTOM_SITES_KEY, sites);
+  await syncCustomSiteScripts();
+  return getCustomSitesWithPermissions();
+}
+
+// 移除自建站点：注销内容脚本并撤销该站点的访问权限
+async function removeCustomSite(origin) {
+  const sites = (await getCustomSites()).filter(site => site.origin !== origin);
+  await setLocalValue(CUSTOM_SITES_KEY, sites);
+  await syncCustomSiteScripts();
+
+  if (typeof chrome !== 'undefined' && chrome.permissions) {
+    try {
+      await chrome.permissions.remove({ origins: [PlatformRegistry.getOriginMatchPattern(origin)] });
+    } catch (error) {
+      console.warn('撤销站点权限失败:', error);
+    }
+  }
+  return getCustomSitesWithPermissions();
+}
+
+// 按自建站点列表重新注册内容脚本（先注销之前注册的全部自建站点脚本，没有权限的站点跳过）
+async function syncCustomSiteScripts() {
+  if (typeof chrome === 'undefined' || !chrome.scripting || !chrome.scripting.registerContentScripts) return;
+
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const staleIds = registered
+    .map(script => script.id)
+    .filter(id => id.startsWith(CUSTOM_SITE_SCRIPT_PREFIX));
+  if (staleIds.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: staleIds });
+  }
+
+  const storedSpecs = await AdapterSpecs.loadStored();
+  const scripts = [];
+  for (const site of await getCustomSites()) {
+    const adapter = getCustomSiteAdapter(site.platform, storedSpecs);
+    if (!adapter || !(await hasOriginPermission(site.origin))) continue;
+
+    scripts.push({
+      id: `${CUSTOM_SITE_SCRIPT_PREFIX}${scripts.length}`,
+      matches: [PlatformRegistry.getOriginMatchPattern(site.origin)],
+      css: ['css/content.css'],
+      js: CUSTOM_SITE_CORE_SCRIPTS.concat(adapter),
+      runAt: 'document_end',
+      persistAcrossSessions: true
+    });
+  }
+
+  if (scripts.length > 0) {
+    await chrome.scripting.registerContentScripts(scripts);
+  }
+  console.log(`AI Chat Memory: 已为 ${scripts.length} 个自建站点注册内容脚本`);
+}
+
+// 自建站点注入的适配器脚本：自建平台使用各自的适配器，自定义适配规则使用声明式适配器；未知平台返回 null
+function getCustomSiteAdapter(platformId, storedSpecs) {
+  const platform = PlatformRegistry.getSelfHostedPlatforms().find(item => item.id === platformId);
+  if (platform) return platform.adapter;
+  return AdapterSpecs.getCustomSpecs(storedSpecs).some(spec => spec.id === platformId)
+    ? DECLARATIVE_ADAPTER_SCRIPT
+    : null;
+}
+
+// 页面是否属于内置平台或已添加的自建站点
+function isTrackedUrl(url, customSites) {
+  if (PlatformRegistry.isSupportedUrl(url)) return true;
+  const origin = PlatformRegistry.normalizeOrigin(url);
+  return customSites.some(site => site.origin === origin);
+}
+
+// ========== 适配规则 ==========
+
+// 保存适配规则：内置平台只保存与默认规则不同的字段（没有差异时删除覆盖），自定义平台保存完整规则
+async function saveAdapterSpec(spec) {
+  if (!spec || typeof spec !== 'object' || typeof spec.id !== 'string') {
+    throw new Error('规则缺少 id');
+  }
+
+  const stored = await AdapterSpecs.loadStored();
+  const base = AdapterSpecs.getDefaultSpec(spec.id);
+  const merged = base ? AdapterSpecs.merge(base, spec) : AdapterSpecs.merge({ id: spec.id }, spec);
+  const errors = AdapterSpecs.validate(merged);
+  if (errors.length > 0) {
+    throw new Error(errors.join('；'));
+  }
+
+  const specs = Object.assign({}, stored);
+  if (base) {
+    const overrides = AdapterSpecs.diff(base, merged);
+    if (Object.keys(overrides).length > 0) {
+      specs[spec.id] = overrides;
+    } else {
+      delete specs[spec.id];
+    }
+  } else {
+    specs[spec.id] = merged;
+  }
+
+  await setLocalValue(AdapterSpecs.STORAGE_KEY, specs);
+  return specs;
+}
+
+// 删除适配规则：内置平台恢复默认规则，自定义平台同时不再为使用它的站点注入脚本
+async function removeAdapterSpec(id) {
+  const specs = Object.assign({}, await AdapterSpecs.loadStored());
+  delete specs[id];
+  await setLocalValue(AdapterSpecs.STORAGE_KEY, specs);
+
+  if (!AdapterSpecs.isBuiltIn(id)) {
+    await syncCustomSiteScripts();
+  }
+  return specs;
+}
+
+// ========== 全文检索 ==========
+
+// 写入会话元数据与全部消息的索引条目
+function indexConversation(searchIndexStore, record, messages) {
+  SearchIndexer.buildEntries(record.conversationId, SearchIndexer.META_ID, SearchIndexer.getMetaText(record))
+    .forEach(entry => searchIndexStore.put(entry));
+
+  messages.forEach(message => {
+    if (!message || !message.messageId) return;
+    SearchIndexer.buildEntries(record.conversationId, message.messageId, message.content)
+      .forEach(entry => searchIndexStore.put(entry));
+  });
+}
+
+// 重建单条消息（或元数据）的索引：删除不再出现的检索词，覆盖写入其余检索词
+function reindexEntry(searchIndexStore, conversationId, messageId, text) {
+  const entries = SearchIndexer.buildEntries(conversationId, messageId, text);
+  const tokens = new Set(entries.map(entry => entry.token));
+  const request = searchIndexStore.index('message').getAllKeys([conversationId, messageId]);
+
+  request.onsuccess = () => {
+    (request.result || []).forEach(primaryKey => {
+      if (!tokens.has(primaryKey[0])) {
+        searchIndexStore.delete(primaryKey);
+      }
+    });
+    entries.forEach(entry => searchIndexStore.put(entry));
+  };
+}
+
+// 根据消息变化增量维护索引
+function updateMessageIndex(searchIndexStore, conversationId, currentMessages, changes) {
+  const currentMap = new Map();
+  currentMessages.forEach(msg => {
+    currentMap.set(msg.messageId, msg);
+  });
+
+  changes.newMessages.forEach(message => {
+    reindexEntry(searchIndexStore, conversationId, message.messageId, message.content);
+  });
+  changes.updatedMessages
+    .filter(change => change.oldContent !== change.newContent)
+    .forEach(change => {
+      reindexEntry(searchIndexStore, conversationId, change.messageId, currentMap.get(change.messageId).content);
+    });
+  changes.removedMessages.forEach(message => {
+    reindexEntry(searchIndexStore, conversationId, message.messageId, '');
+  });
+}
+
+// 删除会话的全部索引条目
+function removeConversationIndex(searchIndexStore, conversationId) {
+  const request = searchIndexStore.index('conversationId').getAllKeys(conversationId);
+
+  request.onsuccess = () => {
+    (request.result || []).forEach(primaryKey => searchIndexStore.delete(primaryKey));
+  };
+}
+
+// 确保索引与当前分词规则一致（首次升级或分词规则变化时全量重建）
+let searchIndexReadyPromise = null;
+function ensureSearchIndex() {
+  if (!searchIndexReadyPromise) {
+    searchIndexReadyPromise = getLocalValue(SEARCH_INDEX_VERSION_KEY)
+      .then(version => {
+        if (version === SearchIndexer.VERSION) return;
+        return rebuildSearchIndex()
+          .then(() => setLocalValue(SEARCH_INDEX_VERSION_KEY, SearchIndexer.VERSION));
+      })
+      .catch(error => {
+        searchIndexReadyPromise = null;
+        throw error;
+      });
+  }
+  return searchIndexReadyPromise;
+}
+
+// 全量重建倒排索引
+async function rebuildSearchIndex() {
+  const db = await openDB();
+  console.log('AI Chat Memory: 开始重建全文索引');
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE, SEARCH_INDEX_STORE], 'readwrite');
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const conversationsRequest = transaction.objectStore(CONVERSATION_STORE).getAll();
+    const messagesRequest = transaction.objectStore(MESSAGE_STORE).getAll();
+
+    searchIndexStore.clear();
+
+    messagesRequest.onsuccess = () => {
+      (conversationsRequest.result || []).forEach(record => {
+        indexConversation(searchIndexStore, record, []);
+      });
+      (messagesRequest.result || []).forEach(message => {
+        SearchIndexer.buildEntries(message.conversationId, message.messageId, message.content)
+          .forEach(entry => searchIndexStore.put(entry));
+      });
+    };
+
+    transaction.oncomplete = () => {
+      console.log('AI Chat Memory: 全文索引重建完成');
+      resolve();
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 检索会话，返回按相关度排序的命中结果及消息级摘要
+async function searchConversations(query, limit = 50) {
+  const tokens = Array.from(new Set(SearchIndexer.tokenize(query, { forQuery: true })));
+  if (tokens.length === 0) {
+    // 单个字母、符号（如 C++）等不产生检索词，退回到逐条比对文本
+    return searchConversationsBySubstring(query, limit);
+  }
+
+  await ensureSearchIndex();
+  const db = await openDB();
+
+  // 第一步：读取各检索词的倒排记录并排序
+  const ranked = await new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, SEARCH_INDEX_STORE], 'readonly');
+    const searchIndexStore = transaction.objectStore(SEARCH_INDEX_STORE);
+    const countRequest = transaction.objectStore(CONVERSATION_STORE).count();
+    const postingsByToken = new Map();
+
+    tokens.forEach(token => {
+      const range = SearchIndexer.isPrefixToken(token)
+        ? IDBKeyRange.bound([token], [token + '\uffff'])
+        : IDBKeyRange.bound([token], [token, []]);
+      const request = searchIndexStore.getAll(range);
+      request.onsuccess = () => {
+        postingsByToken.set(token, request.result || []);
+      };
+    });
+
+    transaction.oncomplete = () => {
+      resolve(SearchIndexer.rank(postingsByToken, countRequest.result || 0).slice(0, limit));
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+
+  if (ranked.length === 0) {
+    return [];
+  }
+
+  // 第二步：读取命中消息内容生成摘要（每个会话最多3条）
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([MESSAGE_STORE], 'readonly');
+    const messageStore = transaction.objectStore(MESSAGE_STORE);
+    const results = ranked.map(hit => ({
+      conversationId: hit.conversationId,
+      score: hit.score,
+      matches: []
+    }));
+
+    ranked.forEach((hit, index) => {
+      hit.messages.slice(0, 3).forEach(messageHit => {
+        const request = messageStore.get([hit.conversationId, messageHit.messageId]);
+        request.onsuccess = () => {
+          const message = request.result;
+          if (!message) return;
+          results[index].matches.push({
+            messageId: message.messageId,
+            sender: message.sender,
+            position: message.position,
+            snippet: SearchIndexer.buildSnippet(message.content, query)
+          });
+        };
+      });
+    });
+
+    transaction.oncomplete = () => {
+      resolve(results);
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
+    };
+  });
+}
+
+// 不产生检索词的查询：在标题、平台与消息内容中查找子串（不区分大小写），命中消息多的会话排在前面
+async function searchConversationsBySubstring(query, limit = 50) {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) {
+    return [];
+  }
+
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([CONVERSATION_STORE, MESSAGE_STORE], 'readonly');
+    const conversationsRequest = transaction.objectStore(CONVERSATION_STORE).getAll();
+    const messagesRequest = transaction.objectStore(MESSAGE_STORE).getAll();
+
+    transaction.oncomplete = () => {
+      const hits = new Map();
+      const getHit = conversationId => {
+        if (!hits.has(conversationId)) {
+          hits.set(conversationId, { conversationId, score: 0, matches: [] });
+        }
+        return hits.get(conversationId);
+      };
+
+      (conversationsRequest.result || []).forEach(record => {
+        if (SearchIndexer.getMetaText(record).toLowerCase().includes(needle)) {
+          getHit(record.conversationId).score += 3;
+        }
+      });
+
+      MessageUtils.sortByPosition(messagesRequest.result || []).forEach(message => {
+        if (!(message.content || '').toLowerCase().includes(needle)) return;
+        const hit = getHit(message.conversationId);
+        hit.score += 1;
+        if (hit.matches.length < 3) {
+          hit.matches.push({
+            messageId: message.messageId,
+            sender: message.sender,
+            position: message.position,
+            snippet: SearchIndexer.buildSnippet(message.content, query)
+          });
+        }
+      });
+
+      resolve(Array.from(hits.values()).sort((a, b) => b.score - a.score).slice(0, limit));
+    };
+
+    transaction.onabort = () => {
+      reject(transaction.error);
     };
   });
 }
@@ -465,15 +2401,17 @@ async function getStorageUsage() {
   });
 }
 
-// 更新设置
+// 更新设置（与已保存的设置合并，返回合并后的完整设置）
 async function updateSettings(settings) {
+  const merged = Object.assign({}, await getSettings(), settings);
+
   return new Promise((resolve, reject) => {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.sync) {
-      chrome.storage.sync.set({ settings }, () => {
+      chrome.storage.sync.set({ settings: merged }, () => {
         if (chrome.runtime.lastError) {
           reject(chrome.runtime.lastError);
         } else {
-          resolve();
+          resolve(merged);
         }
       });
     } else {
@@ -490,11 +2428,46 @@ async function getSettings() {
         if (chrome.runtime.lastError) {
           reject(chrome.runtime.lastError);
         } else {
-          resolve(result.settings || defaultSettings);
+          // 补全新增设置项的默认值
+          resolve(Object.assign({}, defaultSettings, result.settings));
+        }
+      });
+    } else {
+      resolve(Object.assign({}, defaultSettings));
+    }
+  });
+}
+
+// 读取 chrome.storage.local 中的单个值
+function getLocalValue(key) {
+  return new Promise((resolve, reject) => {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      chrome.storage.local.get([key], (result) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(result[key]);
+        }
+      });
+    } else {
+      resolve(undefined);
+    }
+  });
+}
+
+// 写入 chrome.storage.local 中的单个值
+function setLocalValue(key, value) {
+  return new Promise((resolve, reject) => {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      chrome.storage.local.set({ [key]: value }, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
         }
       });
     } else {
-      resolve(defaultSettings);
+      resolve();
     }
   });
 }
@@ -502,16 +2475,10 @@ async function getSettings() {
 // 通知所有内容脚本设置已更新
 function notifySettingsUpdated(settings) {
   if (typeof chrome !== 'undefined' && chrome.tabs) {
-    chrome.tabs.query({}, (tabs) => {
+    getCustomSites().catch(() => []).then(customSites => chrome.tabs.query({}, (tabs) => {
       tabs.forEach(tab => {
         // 过滤出支持的AI Chat页面
-        if (tab.url && (
-          tab.url.includes('chatgpt.com') ||
-          tab.url.includes('chat.openai.com') ||
-          tab.url.includes('gemini.google.com') ||
-          tab.url.includes('monica.im') ||
-          tab.url.includes('app.monica.im')
-        )) {
+        if (tab.url && isTrackedUrl(tab.url, customSites)) {
           chrome.tabs.sendMessage(tab.id, {
             type: 'settingsUpdated',
             settings
@@ -521,7 +2488,7 @@ function notifySettingsUpdated(settings) {
           });
         }
       });
-    });
+    }));
   }
 }
 
@@ -17,6 +17,10 @@ window.aiChatMemorySettings = {
 
 const FLOAT_ICON_SIZE = '28px';
 
+// 悬浮标签位置：页面 localStorage 用于同步读取，同时按站点主机名镜像到扩展存储，以便随备份导出与恢复
+const FLOAT_POSITION_KEY = 'ai-chat-memory-float-position';
+const FLOAT_TAG_POSITIONS_KEY = 'floatTagPositions';
+
 // 判断扩展运行时是否可用（runtime.id 某些情况下会暂时不可用）
 function canUseRuntimeAPI() {
   return typeof chrome !== 'undefined' &&
@@ -52,9 +56,9 @@ function initCommon() {
           window.aiChatMemorySettings = Object.assign({}, window.aiChatMemorySettings, result.settings);
         }
 
-        // 创建悬浮标签（确保在有效上下文中）
+        // 创建悬浮标签（确保在有效上下文中），位置以扩展存储中的为准
         if (canUseRuntimeAPI()) {
-          createFloatTag();
+          syncFloatTagPositionFromExtension(createFloatTag);
         }
       });
     } else {
@@ -153,16 +157,54 @@ function saveFloatTagPosition(x, y, isEdgeDocked = false, dockedSide = null) {
       dockedSide
     };
 
-    localStorage.setItem('ai-chat-memory-float-position', JSON.stringify(positionData));
+    localStorage.setItem(FLOAT_POSITION_KEY, JSON.stringify(positionData));
+    persistFloatTagPosition(positionData);
   } catch (error) {
     console.error('保存悬浮标签位置失败:', error);
   }
 }
 
+// 将悬浮标签位置写入扩展存储（按站点主机名区分）
+function persistFloatTagPosition(positionData) {
+  if (!canUseRuntimeAPI() || !chrome.storage || !chrome.storage.local) return;
+
+  chrome.storage.local.get([FLOAT_TAG_POSITIONS_KEY], (result) => {
+    if (chrome.runtime.lastError) return;
+    const positions = Object.assign({}, result && result[FLOAT_TAG_POSITIONS_KEY], {
+      [location.hostname]: positionData
+    });
+    chrome.storage.local.set({ [FLOAT_TAG_POSITIONS_KEY]: positions });
+  });
+}
+
+// 用扩展存储中的位置（如从备份恢复的）覆盖页面 localStorage；扩展存储中没有时把页面已有的位置同步过去
+function syncFloatTagPositionFromExtension(callback) {
+  try {
+    chrome.storage.local.get([FLOAT_TAG_POSITIONS_KEY], (result) => {
+      if (chrome.runtime.lastError) {
+        console.error('AI Chat Memory: 读取悬浮标签位置失败:', chrome.runtime.lastError);
+      } else {
+        const positions = (result && result[FLOAT_TAG_POSITIONS_KEY]) || {};
+        const stored = positions[location.hostname];
+        const saved = localStorage.getItem(FLOAT_POSITION_KEY);
+        if (stored) {
+          localStorage.setItem(FLOAT_POSITION_KEY, JSON.stringify(stored));
+        } else if (saved) {
+          persistFloatTagPosition(JSON.parse(saved));
+        }
+      }
+      callback();
+    });
+  } catch (error) {
+    console.error('AI Chat Memory: 同步悬浮标签位置失败:', error);
+    callback();
+  }
+}
+
 // 从本地存储恢复悬浮标签位置（基于边缘距离）
 function restoreFloatTagPosition() {
   try {
-    const savedPosition = localStorage.getItem('ai-chat-memory-float-position');
+    const savedPosition = localStorage.getItem(FLOAT_POSITION_KEY);
     if (savedPosition) {
       const position = JSON.parse(savedPosition);
 
@@ -182,7 +224,7 @@ function restoreFloatTagPosition() {
         };
 
         // 更新存储为新格式
-        localStorage.setItem('ai-chat-memory-float-position', JSON.stringify(newPosition));
+        localStorage.setItem(FLOAT_POSITION_KEY, JSON.stringify(newPosition));
         return newPosition;
       }
 
@@ -205,7 +247,7 @@ function restoreFloatTagPosition() {
         };
 
         // 更新存储为新格式
-        localStorage.setItem('ai-chat-memory-float-position', JSON.stringify(newPosition));
+        localStorage.setItem(FLOAT_POSITION_KEY, JSON.stringify(newPosition));
         return newPosition;
       }
 
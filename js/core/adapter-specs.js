@@ -0,0 +1,448 @@
+/**
+ * AI Chat Memory - 适配规则
+ * 以 JSON 描述平台页面结构（URL、对话ID、容器、消息、角色、正文与噪声选择器），由 DeclarativeAdapter 执行
+ * 内置平台的默认规则在此维护；用户在设置中导入或编辑的规则保存在扩展存储中：
+ * 内置平台只保存与默认值不同的字段（逐字段覆盖），其他标识视为自定义平台，保存完整规则
+ */
+
+class AdapterSpecs {
+  /**
+   * 扩展存储中的键：{ [平台标识]: 覆盖字段或自定义规则 }
+   */
+  static get STORAGE_KEY() {
+    return 'adapterSpecs';
+  }
+
+  /**
+   * 规则字段与取值类型：
+   * string - 字符串；patterns - 正则表达式字符串数组（匹配完整URL）；list - 字符串数组；
+   * selector - CSS 选择器，或按优先级依次尝试的选择器数组；selectors - 同时生效的选择器数组；
+   * attribute - 属性名，或依次尝试的属性名数组
+   */
+  static get FIELDS() {
+    return {
+      id: { type: 'string', description: '平台标识，保存为会话的 platform 字段' },
+      name: { type: 'string', description: '显示名称' },
+      urlPatterns: { type: 'patterns', description: '对话页面URL' },
+      newConversationPatterns: { type: 'patterns', description: '尚未分配对话ID的新对话页面URL' },
+      conversationIdPatterns: { type: 'patterns', description: '依次尝试，第一个捕获组为对话ID' },
+      conversationIdPrefix: { type: 'string', description: '对话ID前缀' },
+      canonicalQueryParams: { type: 'list', description: '规范链接中保留的查询参数' },
+      containerSelector: { type: 'selector', description: '消息所在的容器' },
+      messageSelector: { type: 'selector', description: '消息元素' },
+      userSelector: { type: 'selector', description: '用户消息（消息元素本身、其祖先或后代匹配）' },
+      assistantSelector: { type: 'selector', description: 'AI回答（同上）' },
+      contentSelector: { type: 'selector', description: 'AI回答正文，:scope 表示消息元素本身' },
+      userContentSelector: { type: 'selector', description: '用户消息正文，:scope 表示消息元素本身' },
+      noiseSelectors: { type: 'selectors', description: '不计入正文的界面元素' },
+      messageIdAttribute: { type: 'attribute', description: '保存原生消息ID的属性' }
+    };
+  }
+
+  /**
+   * 内置平台的页面结构规则，按平台标识索引（标识与显示名称见 PlatformRegistry.PLATFORMS）
+   */
+  static get BUILT_IN_RULES() {
+    return {
+      chatgpt: {
+        urlPatterns: ['^https://(?:[^/]+\\.)?(?:chatgpt\\.com|chat\\.openai\\.com)/(?:g/[^/?#]+/)?c/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https://(?:[^/]+\\.)?(?:chatgpt\\.com|chat\\.openai\\.com)/(?:g/[^/?#]+/?)?(?:[?#]|$)'],
+        conversationIdPatterns: ['^https://[^/]+/((?:g/[^/?#]+/)?c/[^/?#]+)'],
+        containerSelector: ['main', '[role="main"]', 'body'],
+        messageSelector: '[data-message-author-role]',
+        userSelector: '[data-message-author-role="user"]',
+        assistantSelector: '[data-message-author-role="assistant"]',
+        contentSelector: '.markdown.prose',
+        userContentSelector: '.whitespace-pre-wrap',
+        noiseSelectors: [],
+        messageIdAttribute: 'data-message-id'
+      },
+      gemini: {
+        urlPatterns: ['^https://gemini\\.google\\.com/(?:[^/?#]+/[^/?#]+/)?(?:app|gem/[^/?#]+)/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https://gemini\\.google\\.com/(?:[^/?#]+/[^/?#]+/)?(?:app|gem/[^/?#]+)/?(?:[?#]|$)'],
+        conversationIdPatterns: ['^https://[^/]+/((?:[^/?#]+/[^/?#]+/)?(?:app|gem/[^/?#]+)/[^/?#]+)(?:[?#]|$)'],
+        containerSelector: '#chat-history',
+        messageSelector: 'user-query, model-response',
+        userSelector: 'user-query',
+        assistantSelector: 'model-response',
+        contentSelector: '.model-response-text',
+        userContentSelector: '.query-text',
+        noiseSelectors: ['.code-block-decoration', 'message-actions', 'sources-carousel-inline', 'source-footnote']
+      },
+      monica: {
+        urlPatterns: [
+          '^https://(?:[^/]+\\.)?monica\\.im/(?!login|register|settings|billing|profile)(?:[^?#]*/)?(?:chat|conversation)(?:[/?#]|$)',
+          '^https://(?:[^/]+\\.)?monica\\.im/(?!login|register|settings|billing|profile)(?:[^?#]*/)?[ct]/'
+        ],
+        conversationIdPatterns: [
+          '^[^#]*[?&]convId=([^&#]+)',
+          '^[^#]*[?&]conversationId=([^&#]+)',
+          '^[^#]*[?&]cid=([^&#]+)',
+          '^https://[^/]+/(?:chat|conversation|c|t)/((?:conv[_:]|[^/?#]*[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12})[^/?#]*)'
+        ],
+        canonicalQueryParams: ['convId', 'conversationId', 'cid'],
+        containerSelector: [
+          '.chat-container',
+          '.conversation-container',
+          '.messages-container',
+          '.chat-messages',
+          '.conversation-messages',
+          '.chat-main',
+          '.conversation-main',
+          '#chat-container',
+          '#messages-container',
+          '[data-testid*="chat-container"]',
+          '[data-testid*="messages-container"]',
+          '[class*="chat-items-container"]',
+          '[class*="chat-items"]',
+          '[class*="chat-body"]',
+          '[class*="chat-content"]',
+          '[class*="chat-root"]'
+        ],
+        messageSelector: [
+          '.message',
+          '.chat-message',
+          '.conversation-message',
+          '[data-testid*="message"]',
+          '.msg-item',
+          '.chat-item',
+          '.message-item',
+          '[class*="chat-message"]',
+          '[class*="message--"]',
+          '[class*="chat-question"]',
+          '[class*="chat-answer"]'
+        ],
+        contentSelector: [
+          '.message-content',
+          '.chat-content',
+          '.text-content',
+          '.msg-text',
+          '.message-text',
+          '[data-testid*="content"]',
+          '[data-testid*="text"]',
+          '[class*="message-content"]',
+          '[class*="chat-content"]',
+          '[class*="text-content"]',
+          '[class*="message-text"]',
+          ':scope'
+        ],
+        noiseSelectors: [
+          '[class*="model-compare"]',
+          '[class*="compare-header"]',
+          '[class*="message-toolbar"]',
+          '[class*="toolbar--"]',
+          '[class*="monica-btn"]',
+          '[class*="bot-icons"]',
+          '[class*="popover-content"]',
+          '[class*="close-btn"]',
+          '[class*="reply-maker"]',
+          '[class*="badge--"]',
+          '[class*="share-button"]',
+          '[data-testid*="message-toolbar"]',
+          '[class*="code-enhance-header"]'
+        ],
+        messageIdAttribute: ['data-message-id', 'data-msg-id']
+      },
+      claude: {
+        urlPatterns: ['^https://(?:[^/]+\\.)?claude\\.ai/chat/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https://(?:[^/]+\\.)?claude\\.ai/(?:new|project/[^/?#]+)/?(?:[?#]|$)'],
+        conversationIdPatterns: ['^https://[^/]+/chat/([^/?#]+)(?:[?#]|$)'],
+        conversationIdPrefix: 'chat_',
+        containerSelector: ['main', 'body'],
+        messageSelector: '[data-testid="user-message"], .font-claude-message, .font-claude-response',
+        userSelector: '[data-testid="user-message"]',
+        assistantSelector: '.font-claude-message, .font-claude-response',
+        contentSelector: ['.standard-markdown, .progressive-markdown', ':scope'],
+        noiseSelectors: []
+      },
+      deepseek: {
+        urlPatterns: ['^https://(?:[^/]+\\.)?chat\\.deepseek\\.com/(?:a/)?chat/s/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https://(?:[^/]+\\.)?chat\\.deepseek\\.com/(?:a/chat/?|chat/?)?(?:[?#]|$)'],
+        conversationIdPatterns: ['^https://[^/]+/(?:a/)?chat/s/([^/?#]+)(?:[?#]|$)'],
+        conversationIdPrefix: 'deepseek_',
+        containerSelector: ['main', 'body'],
+        messageSelector: '.ds-message',
+        contentSelector: '.ds-markdown',
+        userContentSelector: ':scope',
+        noiseSelectors: ['.md-code-block-banner', '.ds-markdown-code-copy-button']
+      },
+      kimi: {
+        urlPatterns: ['^https://(?:[^/]+\\.)?(?:kimi\\.moonshot\\.cn|kimi\\.com)/chat/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https://(?:[^/]+\\.)?(?:kimi\\.moonshot\\.cn|kimi\\.com)/(?:chat/?)?(?:[?#]|$)'],
+        conversationIdPatterns: ['^https://[^/]+/chat/([^/?#]+)(?:[?#]|$)'],
+        conversationIdPrefix: 'kimi_',
+        containerSelector: ['.chat-content-list', 'main', 'body'],
+        messageSelector: '.chat-content-item',
+        contentSelector: ['.markdown-container, .markdown, [class*="markdown"]', ':scope'],
+        userContentSelector: ['.user-content, .segment-user, [class*="user-content"]', ':scope'],
+        noiseSelectors: ['[class*="segment-assistant-actions"]', '[class*="chat-action"]']
+      },
+      perplexity: {
+        urlPatterns: ['^https://(?:[^/]+\\.)?perplexity\\.ai/search/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https://(?:[^/]+\\.)?perplexity\\.ai/(?:[?#]|$)'],
+        conversationIdPatterns: ['^https://[^/]+/search/([^/?#]+)(?:[?#]|$)'],
+        conversationIdPrefix: 'perplexity_',
+        containerSelector: ['main', 'body'],
+        messageSelector: '[class*="group/query"], [data-testid="user-query"], h1[class*="query"], [id^="markdown-content-"], [data-testid="answer"]',
+        userSelector: '[class*="group/query"], [data-testid="user-query"], h1[class*="query"]',
+        contentSelector: '[id^="markdown-content-"], [data-testid="answer"]',
+        noiseSelectors: []
+      },
+      openwebui: {
+        urlPatterns: ['^https?://[^/]+/c/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https?://[^/]+/(?:[?#]|$)'],
+        conversationIdPatterns: ['^https?://[^/]+/c/([^/?#]+)(?:[?#]|$)'],
+        conversationIdPrefix: 'openwebui_',
+        containerSelector: ['#messages-container', 'main', 'body'],
+        messageSelector: '[id^="message-"]',
+        userSelector: '.user-message',
+        contentSelector: ['#response-content-container, .chat-assistant .markdown-prose, .markdown-prose', ':scope'],
+        userContentSelector: ['.user-message', ':scope'],
+        noiseSelectors: []
+      },
+      librechat: {
+        urlPatterns: ['^https?://[^/]+/c/[^/?#]+(?:[?#]|$)'],
+        newConversationPatterns: ['^https?://[^/]+/c/new(?:[?#]|$)'],
+        conversationIdPatterns: ['^https?://[^/]+/c/([^/?#]+)(?:[?#]|$)'],
+        conversationIdPrefix: 'librechat_',
+        containerSelector: ['main', 'body'],
+        messageSelector: '.message-render',
+        userSelector: '.user-turn',
+        assistantSelector: '.agent-turn',
+        contentSelector: ['.markdown', '[class*="message-content"], .whitespace-pre-wrap', ':scope'],
+        userContentSelector: ['.markdown, [class*="message-content"], .whitespace-pre-wrap', ':scope'],
+        noiseSelectors: [],
+        messageIdAttribute: 'id'
+      }
+    };
+  }
+
+  /**
+   * 内置平台的默认规则：平台标识与显示名称取自 PlatformRegistry，页面结构取自 BUILT_IN_RULES
+   * （依赖 platforms.js 已加载）
+   */
+  static get DEFAULT_SPECS() {
+    const rules = AdapterSpecs.BUILT_IN_RULES;
+    return PlatformRegistry.PLATFORMS
+      .filter(platform => rules[platform.id])
+      .map(platform => Object.assign({ id: platform.id, name: platform.name }, rules[platform.id]));
+  }
+
+  /**
+   * 内置平台的默认规则（副本），未知平台返回 null
+   */
+  static getDefaultSpec(id) {
+    const spec = AdapterSpecs.DEFAULT_SPECS.find(item => item.id === id);
+    return spec ? JSON.parse(JSON.stringify(spec)) : null;
+  }
+
+  static isBuiltIn(id) {
+    return AdapterSpecs.DEFAULT_SPECS.some(spec => spec.id === id);
+  }
+
+  /**
+   * 逐字段覆盖：overrides 中出现的规则字段替换 base 中的同名字段，null/undefined 表示沿用默认值
+   */
+  static merge(base, overrides) {
+    const result = Object.assign({}, base);
+    Object.keys(AdapterSpecs.FIELDS).forEach(field => {
+      if (overrides && overrides[field] !== undefined && overrides[field] !== null) {
+        result[field] = overrides[field];
+      }
+    });
+    if (base && base.id) {
+      result.id = base.id;
+    }
+    return result;
+  }
+
+  /**
+   * spec 中与 base 不同的字段（保存内置平台的覆盖时使用）
+   */
+  static diff(base, spec) {
+    const changes = {};
+    Object.keys(AdapterSpecs.FIELDS).forEach(field => {
+      if (field === 'id' || spec[field] === undefined) return;
+      if (JSON.stringify(spec[field]) !== JSON.stringify(base[field])) {
+        changes[field] = spec[field];
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * 选择器字段 -> 选择器数组（未配置时为空数组）
+   */
+  static toList(value) {
+    if (Array.isArray(value)) return value.filter(item => typeof item === 'string' && item.trim());
+    return typeof value === 'string' && value.trim() ? [value] : [];
+  }
+
+  /**
+   * 编译正则表达式字段，无效的表达式跳过
+   */
+  static compilePatterns(patterns) {
+    return AdapterSpecs.toList(patterns).map(source => {
+      try {
+        return new RegExp(source);
+      } catch (error) {
+        console.warn(`AI Chat Memory: 无效的正则表达式 ${source}:`, error);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * 校验规则，返回错误说明数组（为空表示有效）
+   * 有页面环境时同时检查选择器语法
+   */
+  static validate(spec) {
+    const errors = [];
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      return ['规则必须是 JSON 对象'];
+    }
+    if (typeof spec.id !== 'string' || !/^[a-z0-9_-]+$/i.test(spec.id)) {
+      errors.push('id 只能包含字母、数字、下划线与连字符');
+    }
+    // 显示名称会出现在侧边栏列表中，只接受不含尖括号、引号与控制字符的纯文本
+    if (typeof spec.name === 'string' && !/^[^<>"'`&\u0000-\u001f]{0,50}$/.test(spec.name)) {
+      errors.push('name 必须是不超过 50 个字符的纯文本，不能包含 < > " \' ` & 与控制字符');
+    }
+
+    const probe = typeof document !== 'undefined' ? document.createDocumentFragment() : null;
+    Object.entries(AdapterSpecs.FIELDS).forEach(([field, { type }]) => {
+      const value = spec[field];
+      if (value === undefined || value === null) return;
+
+      if (type === 'string') {
+        if (typeof value !== 'string') errors.push(`${field} 必须是字符串`);
+        return;
+      }
+
+      const isList = Array.isArray(value) && value.every(item => typeof item === 'string');
+      const allowsString = type === 'selector' || type === 'attribute';
+      if (!isList && !(allowsString && typeof value === 'string')) {
+        errors.push(`${field} 必须是${allowsString ? '字符串或' : ''}字符串数组`);
+        return;
+      }
+
+      if (type === 'patterns') {
+        value.forEach(source => {
+          try {
+            new RegExp(source);
+          } catch (error) {
+            errors.push(`${field} 中的正则表达式无效: ${source}`);
+          }
+        });
+      } else if (probe && (type === 'selector' || type === 'selectors')) {
+        AdapterSpecs.toList(value).filter(selector => selector !== ':scope').forEach(selector => {
+          try {
+            probe.querySelector(selector);
+          } catch (error) {
+            errors.push(`${field} 中的选择器无效: ${selector}`);
+          }
+        });
+      }
+    });
+
+    if (AdapterSpecs.toList(spec.urlPatterns).length === 0) {
+      errors.push('缺少 urlPatterns');
+    }
+    if (AdapterSpecs.toList(spec.conversationIdPatterns).length === 0) {
+      errors.push('缺少 conversationIdPatterns');
+    }
+    if (AdapterSpecs.toList(spec.messageSelector).length === 0) {
+      errors.push('缺少 messageSelector');
+    }
+    return errors;
+  }
+
+  /**
+   * 解析导入的规则文件：单个规则、规则数组或 { specs: [...] }
+   * @returns {Array<Object>}
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`规则不是有效的 JSON: ${error.message}`);
+    }
+
+    const specs = Array.isArray(data) ? data : (data && Array.isArray(data.specs) ? data.specs : [data]);
+    if (specs.length === 0 || specs.some(spec => !spec || typeof spec !== 'object' || Array.isArray(spec))) {
+      throw new Error('规则必须是 JSON 对象或对象数组');
+    }
+    return specs;
+  }
+
+  /**
+   * 读取扩展存储中保存的规则（覆盖字段与自定义规则）
+   * @returns {Promise<Object>}
+   */
+  static loadStored() {
+    return new Promise(resolve => {
+      try {
+        if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.local) {
+          resolve({});
+          return;
+        }
+        chrome.storage.local.get([AdapterSpecs.STORAGE_KEY], (result) => {
+          const stored = !chrome.runtime.lastError && result ? result[AdapterSpecs.STORAGE_KEY] : null;
+          resolve(stored && typeof stored === 'object' ? stored : {});
+        });
+      } catch (error) {
+        // 扩展上下文失效时沿用默认规则
+        resolve({});
+      }
+    });
+  }
+
+  /**
+   * 合并后的生效规则：内置平台为默认规则 + 覆盖字段，自定义平台为保存的规则
+   * @param {string} id - 平台标识
+   * @param {Object} stored - loadStored() 的结果
+   * @returns {Object|null}
+   */
+  static resolve(id, stored) {
+    const base = AdapterSpecs.getDefaultSpec(id);
+    const saved = stored && stored[id];
+    if (!base) {
+      return saved ? AdapterSpecs.merge({ id }, saved) : null;
+    }
+    return AdapterSpecs.merge(base, saved);
+  }
+
+  /**
+   * 保存的自定义平台规则（不是内置平台的标识）
+   */
+  static getCustomSpecs(stored) {
+    return Object.keys(stored || {})
+      .filter(id => !AdapterSpecs.isBuiltIn(id))
+      .map(id => AdapterSpecs.resolve(id, stored));
+  }
+
+  /**
+   * 读取平台的生效规则；覆盖后的规则无效时回退到默认规则
+   * @param {string} id - 平台标识
+   * @returns {Promise<Object|null>}
+   */
+  static async load(id) {
+    const spec = AdapterSpecs.resolve(id, await AdapterSpecs.loadStored());
+    if (!spec) return null;
+
+    const errors = AdapterSpecs.validate(spec);
+    if (errors.length > 0) {
+      console.warn(`AI Chat Memory: ${id} 的适配规则无效，使用默认规则:`, errors);
+      return AdapterSpecs.getDefaultSpec(id);
+    }
+    return spec;
+  }
+}
+
+// 导出适配规则（页面与内容脚本挂到 window，后台 Service Worker 挂到 self）
+if (typeof window !== 'undefined') {
+  window.AdapterSpecs = AdapterSpecs;
+} else if (typeof self !== 'undefined') {
+  self.AdapterSpecs = AdapterSpecs;
+}
@@ -0,0 +1,424 @@
+/**
+ * AI Chat Memory - 存档导入解析
+ * 解析侧边栏导出的 ShareGPT JSONL 与 Markdown 文本，还原为可交给后台 importConversations 的会话
+ * 只负责解析，不访问数据库；去重与合并由后台按会话ID、链接完成
+ */
+
+class ArchiveImporter {
+  /**
+   * ShareGPT 消息中思考过程的前缀（与 PopupManager.composeShareGPTMessageValue 一致）
+   */
+  static get THINKING_PREFIX() {
+    return '思考过程:\n';
+  }
+
+  /**
+   * Markdown 导出中思考过程的开始行（与 PopupManager.generateMarkdownExport 一致）：
+   * “*思考过程*:”，有用时时为“*思考过程*（用时 1 分 5 秒）:”，其后各行为思考内容，直到结束行；
+   * 旧版导出只有一行“*思考过程*: 内容”
+   */
+  static get MARKDOWN_THINKING_PATTERN() {
+    return /^\*思考过程\*(?:（用时 ([^）]*)）)?:(?: (.*))?$/;
+  }
+
+  /**
+   * Markdown 导出中思考过程的结束行
+   */
+  static get MARKDOWN_THINKING_END() {
+    return '*思考过程结束*';
+  }
+
+  /**
+   * Markdown 导出中回答来源的脚注定义（与 PopupManager.formatContentWithFootnotes 一致）：
+   * “[^m]: [标题](地址)”
+   */
+  static get MARKDOWN_FOOTNOTE_PATTERN() {
+    return /^\[\^(\d+)\]: \[((?:\\.|[^\]\\])*)\]\((\S+)\)$/;
+  }
+
+  /**
+   * 解析存档文件
+   * @param {string} text - 文件内容
+   * @param {string} filename - 文件名（用于判断格式）
+   * @returns {Object} - { format: 'sharegpt' | 'markdown' | null, conversations, errors }
+   */
+  static parse(text, filename = '') {
+    const content = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const trimmed = content.trim();
+
+    if (!trimmed) {
+      return { format: null, conversations: [], errors: ['文件内容为空'] };
+    }
+
+    if (/\.jsonl?$/i.test(filename) || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      return Object.assign({ format: 'sharegpt' }, ArchiveImporter.parseShareGPT(trimmed));
+    }
+
+    if (/^## 对话 \d+: /m.test(content)) {
+      return Object.assign({ format: 'markdown' }, ArchiveImporter.parseMarkdown(content));
+    }
+
+    return { format: null, conversations: [], errors: ['无法识别的文件格式，仅支持本扩展导出的 ShareGPT JSONL 或 Markdown 文本'] };
+  }
+
+  /**
+   * 解析 ShareGPT JSONL（每行一个会话），也兼容整个文件为 JSON 数组的情况
+   */
+  static parseShareGPT(text) {
+    const conversations = [];
+    const errors = [];
+
+    let records = null;
+    if (text.startsWith('[')) {
+      try {
+        records = JSON.parse(text).map((record, index) => ({ record, label: `第 ${index + 1} 项` }));
+      } catch (error) {
+        records = null;
+      }
+    }
+
+    if (!records) {
+      records = [];
+      text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+          records.push({ record: JSON.parse(line), label: `第 ${index + 1} 行` });
+        } catch (error) {
+          errors.push(`第 ${index + 1} 行不是有效的 JSON`);
+        }
+      });
+    }
+
+    records.forEach(({ record, label }) => {
+      const conversation = ArchiveImporter.fromShareGPTRecord(record);
+      if (conversation) {
+        conversations.push(conversation);
+      } else {
+        errors.push(`${label}缺少对话消息`);
+      }
+    });
+
+    return { conversations, errors };
+  }
+
+  /**
+   * 将单条 ShareGPT 记录转换为会话
+   * @returns {Object|null}
+   */
+  static fromShareGPTRecord(record) {
+    if (!record || typeof record !== 'object' || !Array.isArray(record.conversations)) {
+      return null;
+    }
+
+    const messages = record.conversations
+      .filter(turn => turn && typeof turn.value === 'string' && turn.from !== 'system')
+      .map(turn => Object.assign(
+        { sender: ArchiveImporter.mapShareGPTRole(turn.from) },
+        ArchiveImporter.splitShareGPTValue(turn.value, turn.thinking),
+        Number(turn.thinking_duration) > 0 ? { thinkingDuration: Number(turn.thinking_duration) } : {},
+        Array.isArray(turn.sources) ? { sources: MessageUtils.normalizeSources(turn.sources) } : {}
+      ));
+
+    if (messages.length === 0) {
+      return null;
+    }
+
+    return ArchiveImporter.buildConversation({
+      conversationId: record.conversation_id || record.id,
+      title: record.title,
+      platform: record.platform,
+      link: record.link,
+      createdAt: ArchiveImporter.parseDate(record.created_at),
+      updatedAt: ArchiveImporter.parseDate(record.updated_at)
+    }, messages);
+  }
+
+  /**
+   * 拆分 ShareGPT 消息中的思考过程与正文
+   * 导出时 value 为“思考过程 + 空行 + 正文”，思考过程另存于 thinking 字段，按该字段去掉 value 开头的思考过程；
+   * 旧版导出没有 thinking 字段，思考过程本身含空行时无法精确区分，以第一个空行为界
+   * @param {string} value - 消息的 value
+   * @param {string} [thinking] - 消息的 thinking 字段
+   */
+  static splitShareGPTValue(value, thinking) {
+    const text = (value || '').trim();
+    if (typeof thinking === 'string') {
+      const prefix = `${ArchiveImporter.THINKING_PREFIX}${thinking.trim()}`;
+      const content = thinking.trim() && text.startsWith(prefix) ? text.substring(prefix.length) : text;
+      return { content: content.trim(), thinking: thinking.trim() };
+    }
+    if (!text.startsWith(ArchiveImporter.THINKING_PREFIX)) {
+      return { content: text, thinking: '' };
+    }
+
+    const rest = text.substring(ArchiveImporter.THINKING_PREFIX.length);
+    const separatorIndex = rest.indexOf('\n\n');
+    if (separatorIndex === -1) {
+      return { content: '', thinking: rest.trim() };
+    }
+
+    return {
+      content: rest.substring(separatorIndex + 2).trim(),
+      thinking: rest.substring(0, separatorIndex).trim()
+    };
+  }
+
+  static mapShareGPTRole(from) {
+    const normalized = (from || '').toString().toLowerCase();
+    return normalized === 'human' || normalized === 'user' ? 'user' : 'AI';
+  }
+
+  /**
+   * 解析 Markdown 文本导出
+   * 结构：“## 对话 N: 标题”开始一个会话，随后是平台、链接、时间等字段，
+   * “**用户** [时间]:”/“**AI** [时间]:”开始一条消息，50 个“=”结束当前会话
+   */
+  static parseMarkdown(text) {
+    const conversations = [];
+    const errors = [];
+    const lines = text.split('\n');
+
+    let current = null;
+    let message = null;
+
+    const finishMessage = () => {
+      if (!message) return;
+      if (message.thinkingLines) {
+        message.thinking = message.thinkingLines.join('\n').trim();
+      }
+      const { content: body, sources } = ArchiveImporter.extractFootnoteSources(message.lines.join('\n').trim());
+      if (body || message.thinking) {
+        current.messages.push({
+          sender: message.sender,
+          content: body,
+          thinking: message.thinking,
+          thinkingDuration: message.thinkingDuration,
+          sources,
+          createdAt: message.createdAt
+        });
+      }
+      message = null;
+    };
+
+    const finishConversation = () => {
+      if (!current) return;
+      finishMessage();
+      if (current.messages.length > 0) {
+        conversations.push(ArchiveImporter.buildConversation(current.info, current.messages));
+      } else {
+        errors.push(`“${current.info.title || '未命名'}”没有可导入的消息`);
+      }
+      current = null;
+    };
+
+    lines.forEach(line => {
+      // 消息正文中也可能出现类似标题的行，只在会话之外识别新会话
+      const titleMatch = !current && line.match(/^## 对话 \d+: (.*)$/);
+      if (titleMatch) {
+        current = { info: { title: ArchiveImporter.unescapeHtml(titleMatch[1].trim()) }, messages: [], inBody: false };
+        return;
+      }
+      if (!current) return;
+
+      if (/^={50}$/.test(line)) {
+        finishConversation();
+        return;
+      }
+
+      if (!current.inBody) {
+        ArchiveImporter.readMarkdownField(current.info, line);
+        if (line === '--- 对话内容 ---') {
+          current.inBody = true;
+        }
+        return;
+      }
+
+      // 思考过程块到结束行为止（其中的空行与类似消息头的行都属于思考内容）
+      if (message && message.thinkingOpen) {
+        if (line === ArchiveImporter.MARKDOWN_THINKING_END) {
+          message.thinkingOpen = false;
+        } else {
+          message.thinkingLines.push(line);
+        }
+        return;
+      }
+
+      const senderMatch = line.match(/^\*\*(用户|AI)\*\* \[(.*)\]:$/);
+      if (senderMatch) {
+        finishMessage();
+        message = {
+          sender: senderMatch[1] === '用户' ? 'user' : 'AI',
+          createdAt: ArchiveImporter.parseDate(senderMatch[2]),
+          thinking: '',
+          thinkingDuration: null,
+          thinkingLines: null,
+          thinkingOpen: false,
+          lines: []
+        };
+        return;
+      }
+      if (!message) return;
+
+      // 思考过程紧跟在消息头之后
+      const thinkingMatch = message.lines.length === 0 && !message.thinking && !message.thinkingLines &&
+        line.match(ArchiveImporter.MARKDOWN_THINKING_PATTERN);
+      if (thinkingMatch) {
+        message.thinkingDuration = ArchiveImporter.parseDuration(thinkingMatch[1]);
+        if (thinkingMatch[2] !== undefined) {
+          message.thinking = thinkingMatch[2].trim();
+        } else {
+          message.thinkingLines = [];
+          message.thinkingOpen = true;
+        }
+        return;
+      }
+      message.lines.push(line);
+    });
+
+    // 文件被截断时保留最后一个会话
+    finishConversation();
+
+    return { conversations, errors };
+  }
+
+  /**
+   * 从消息正文中取出来源脚注：定义行还原为来源（按出现顺序重新编号），正文中的 [^m] 还原为 [n]
+   * @param {string} body - 消息正文
+   * @returns {Object} - { content, sources }
+   */
+  static extractFootnoteSources(body) {
+    const sources = [];
+    const indexes = new Map();
+    const lines = body.split('\n').filter(line => {
+      const match = line.match(ArchiveImporter.MARKDOWN_FOOTNOTE_PATTERN);
+      if (!match) return true;
+
+      indexes.set(match[1], sources.length + 1);
+      sources.push({
+        index: sources.length + 1,
+        title: match[2].replace(/\\([\\\[\]])/g, '$1'),
+        url: match[3].replace(/%28/g, '(').replace(/%29/g, ')')
+      });
+      return false;
+    });
+
+    if (sources.length === 0) {
+      return { content: body, sources };
+    }
+
+    const content = lines.join('\n').trim().replace(/\[\^(\d+)\]/g, (match, label) =>
+      (indexes.has(label) ? `[${indexes.get(label)}]` : match)
+    );
+    // 导出时没有标题的来源以地址作为标题
+    sources.forEach(source => {
+      if (source.title === source.url) source.title = '';
+    });
+    return { content, sources: MessageUtils.normalizeSources(sources) };
+  }
+
+  /**
+   * 读取 Markdown 会话头部的字段行
+   */
+  static readMarkdownField(info, line) {
+    const fieldMatch = line.match(/^(平台|链接|创建时间|更新时间): (.*)$/);
+    if (!fieldMatch) return;
+
+    const value = fieldMatch[2].trim();
+    switch (fieldMatch[1]) {
+      case '平台':
+        // 导出中写的是显示名（PopupManager.getPlatformDisplayName）
+        info.platform = PlatformRegistry.getPlatformId(value) || value.toLowerCase();
+        break;
+      case '链接':
+        info.link = value;
+        break;
+      case '创建时间':
+        info.createdAt = ArchiveImporter.parseDate(value);
+        break;
+      case '更新时间':
+        info.updatedAt = ArchiveImporter.parseDate(value);
+        break;
+    }
+  }
+
+  /**
+   * 组装会话：补全消息ID（与页面提取相同的基于内容的ID）与位置，丢弃导出时写入的无效字段
+   */
+  static buildConversation(info, messages) {
+    const link = info.link && info.link !== 'undefined' ? info.link : '';
+    const conversation = {
+      title: info.title || '未命名对话',
+      platform: ArchiveImporter.normalizePlatform(info.platform),
+      link,
+      messages: MessageUtils.assignContentIds(messages.map((message, position) => {
+        const result = {
+          sender: message.sender,
+          content: message.content || '',
+          thinking: message.thinking || '',
+          position
+        };
+        if (message.createdAt) {
+          result.createdAt = message.createdAt;
+        }
+        if (message.thinkingDuration) {
+          result.thinkingDuration = message.thinkingDuration;
+        }
+        if (message.sources && message.sources.length > 0) {
+          result.sources = message.sources;
+        }
+        return result;
+      }))
+    };
+
+    if (info.conversationId) conversation.conversationId = String(info.conversationId);
+    if (info.createdAt) conversation.createdAt = info.createdAt;
+    if (info.updatedAt) conversation.updatedAt = info.updatedAt;
+
+    return conversation;
+  }
+
+  /**
+   * 文件中的平台：已知平台（标识或显示名称）转为标识；其余只保留与自定义适配规则 id 格式相同的标识，否则记为 unknown
+   */
+  static normalizePlatform(value) {
+    const platformId = PlatformRegistry.getPlatformId(value);
+    if (platformId) return platformId;
+    return typeof value === 'string' && /^[a-z0-9_-]+$/i.test(value) ? value : 'unknown';
+  }
+
+  /**
+   * 解析导出中的时间（ISO 字符串或 toLocaleString 结果），无法解析时返回 null
+   */
+  static parseDate(value) {
+    if (!value || value === 'Invalid Date') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * 解析导出中的思考用时（PopupManager.formatThinkingDuration 的结果，如“1 分 5 秒”），返回秒数
+   */
+  static parseDuration(text) {
+    const match = (text || '').match(/^(?:(\d+) 分)?\s*(?:(\d+) 秒)?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+  }
+
+  /**
+   * 还原导出时经过 HTML 转义的文本（Markdown 导出的标题）
+   */
+  static unescapeHtml(text) {
+    return (text || '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&');
+  }
+}
+
+// 导出存档导入工具
+if (typeof window !== 'undefined') {
+  window.ArchiveImporter = ArchiveImporter;
+}
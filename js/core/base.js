@@ -22,10 +22,27 @@ class BasePlatformAdapter {
     this.DEBOUNCE_DELAY = 1000;
     this.lastMessagesJson = null;
 
+    // AI 正在输出时推迟自动保存：每隔 STREAMING_CHECK_INTERVAL 检查一次，最长等待 MAX_STREAMING_WAIT 后也会保存一次
+    this.STREAMING_CHECK_INTERVAL = 1000;
+    this.MAX_STREAMING_WAIT = 60000;
+    this.streamingStartedAt = null;
+    this.streamingTimer = null;
+
     this.lastKnownUrl = '';
     this.lastKnownConversationId = null;
     this.urlCheckInterval = null;
 
+    // 新对话页面（平台尚未分配ID）在本标签页内使用的临时ID
+    this.temporaryConversationId = null;
+
+    // 已被用户移入回收站的会话ID，本标签页不再保存到这些会话
+    this.trashedConversationIds = new Set();
+
+    // 折叠的思考过程：区域元素 -> 已读到的文本；自动展开过的区域读到内容后会折叠回去
+    this.thinkingCache = new WeakMap();
+    this.attemptedThinkingExpansions = new WeakSet();
+    this.autoExpandedThinking = new WeakSet();
+
     this.isCreatingConversation = false;
     this.creationPromise = null;
     this.currentUrlKey = null;
@@ -35,6 +52,8 @@ class BasePlatformAdapter {
 
     // 当扩展上下文无效或用户环境不允许时，强制使用本地存储
     this.forceLocalStorageMode = false;
+    this.isReconcilingLocalData = false;
+    this.runtimeRecoveryTimer = null;
 
     this.initializeComponents();
   }
@@ -124,6 +143,104 @@ class BasePlatformAdapter {
     return null;
   }
 
+  /**
+   * 侧边栏中指向当前对话的链接文字（页面标题只是站点名的平台用作对话标题）
+   * @returns {string} - 找不到时返回空字符串
+   */
+  readConversationLinkTitle() {
+    const pathname = window.location.pathname;
+    if (this.isNewConversationUrl(window.location.href)) {
+      return '';
+    }
+    const link = Array.from(document.querySelectorAll('a[href]')).find(anchor => {
+      try {
+        return new URL(anchor.href, window.location.origin).pathname === pathname;
+      } catch (error) {
+        return false;
+      }
+    });
+    return link ? (link.innerText || link.textContent || '').trim().split('\n')[0].trim() : '';
+  }
+
+  /**
+   * 页面是否确定已渲染完整对话（可选实现）
+   * 返回 true 时，保存会删除页面上不再出现的消息；默认 false，只合并不删除，
+   * 避免虚拟列表或懒加载卸载的旧消息被当作已删除
+   * @returns {boolean}
+   */
+  isFullConversationLoaded() {
+    return false;
+  }
+
+  /**
+   * AI 是否正在输出回复（可选实现，通常根据停止按钮或流式输出标记判断）
+   * 返回 true 时自动保存推迟到输出结束，避免保存大量半截回复
+   * @returns {boolean}
+   */
+  isResponseStreaming() {
+    return false;
+  }
+
+  /**
+   * 页面中是否存在匹配任一选择器的可见元素（供 isResponseStreaming 等检测使用）
+   * @param {Array<string>} selectors - CSS 选择器
+   * @param {Document|Element} root - 查找范围
+   * @returns {boolean}
+   */
+  hasVisibleElement(selectors, root = document) {
+    return selectors.some(selector => {
+      try {
+        return Array.from(root.querySelectorAll(selector)).some(element => element.offsetParent !== null);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * 生成会话的规范链接，用于保存、按链接查找会话以及侧边栏中的“打开链接”
+   * 各平台保留区分会话的查询参数，去掉跟踪参数与片段；默认不保留任何查询参数
+   * @param {string} url - 页面URL
+   * @returns {string} - 规范链接
+   */
+  buildCanonicalLink(url) {
+    return this.canonicalizeUrl(url);
+  }
+
+  /**
+   * 只保留指定的查询参数（按给定顺序排列，保证同一会话得到同一链接），去掉其余参数与片段
+   * @param {string} url - 页面URL
+   * @param {Array<string>} keepParams - 需要保留的查询参数名
+   * @returns {string}
+   */
+  canonicalizeUrl(url, keepParams = []) {
+    try {
+      const urlObj = new URL(url);
+      const params = new URLSearchParams();
+      keepParams.forEach(name => {
+        const value = urlObj.searchParams.get(name);
+        if (value) {
+          params.set(name, value);
+        }
+      });
+      const query = params.toString();
+      return `${urlObj.origin}${urlObj.pathname}${query ? `?${query}` : ''}`;
+    } catch (error) {
+      return String(url || '').split(/[?#]/)[0];
+    }
+  }
+
+  /**
+   * 是否为尚未分配对话ID的新对话页面（可选实现）
+   * 返回 true 的页面应被 isValidConversationUrl 接受，并由 extractConversationInfo
+   * 返回 getTemporaryConversationId() 作为对话ID；平台跳转到真实ID后会沿用同一条会话记录
+   * @param {string} url - 要检查的URL
+   * @returns {boolean}
+   */
+  isNewConversationUrl(url) {
+    return false;
+  }
+
   /**
    * 初始化适配器
    */
@@ -147,6 +264,11 @@ class BasePlatformAdapter {
       this.contentObserver.disconnect();
       this.contentObserver = null;
     }
+    if (this.streamingTimer) {
+      clearTimeout(this.streamingTimer);
+      this.streamingTimer = null;
+    }
+    this.streamingStartedAt = null;
 
     this.pageUrl = options.url || window.location.href;
     const extractedConversationId = options.conversationId;
@@ -156,7 +278,7 @@ class BasePlatformAdapter {
     console.log(`AI Chat Memory: 对话ID: ${extractedConversationId || '未提取'}`);
     console.log(`AI Chat Memory: 是否新对话: ${isNewConversation || false}`);
 
-    const cleanUrl = this.pageUrl.split('?')[0];
+    const cleanUrl = this.buildCanonicalLink(this.pageUrl);
     const urlKey = `${this.platform}_${cleanUrl}`;
     if (this.currentUrlKey !== urlKey) {
       this.isCreatingConversation = false;
@@ -166,6 +288,9 @@ class BasePlatformAdapter {
 
     this.connectToDatabase()
       .then(() => {
+        // 扩展上下文可用时，把之前回退模式留在页面源数据库中的会话同步到扩展
+        this.reconcileLocalConversations();
+
         if (window.aiChatMemorySettings && window.aiChatMemorySettings.autoSave) {
           return this.findOrCreateConversation();
         }
@@ -362,6 +487,7 @@ class BasePlatformAdapter {
     if (this.storageManager) {
       console.log('AI Chat Memory: 回退到本地StorageManager');
       this.forceLocalStorageMode = true;
+      this.scheduleRuntimeRecovery();
       this.storageManager.initDB().then(resolve).catch(reject);
     } else {
       console.error('AI Chat Memory: StorageManager未初始化，无法回退');
@@ -369,6 +495,118 @@ class BasePlatformAdapter {
     }
   }
 
+  /**
+   * 本地存储模式下探测扩展运行时的间隔（毫秒）
+   */
+  static get RUNTIME_RECOVERY_INTERVAL() {
+    return 30000;
+  }
+
+  /**
+   * 进入本地存储模式后定期探测扩展运行时（如 Service Worker 重启期间的暂时失败），
+   * 恢复可用时退出本地存储模式，并把这段时间写入页面源数据库的会话同步到扩展
+   * 扩展上下文已失效（扩展被重新加载或卸载，扩展ID消失）时不会恢复，停止探测
+   */
+  scheduleRuntimeRecovery() {
+    if (this.runtimeRecoveryTimer) return;
+
+    this.runtimeRecoveryTimer = setTimeout(async () => {
+      this.runtimeRecoveryTimer = null;
+      if (!this.forceLocalStorageMode || !this.hasRuntimeId()) return;
+
+      if (!(await this.probeRuntime())) {
+        this.scheduleRuntimeRecovery();
+        return;
+      }
+
+      console.log('AI Chat Memory: 扩展运行时已恢复，退出本地存储模式');
+      this.forceLocalStorageMode = false;
+      this.reconcileLocalConversations();
+    }, BasePlatformAdapter.RUNTIME_RECOVERY_INTERVAL);
+  }
+
+  /**
+   * 内容脚本所属的扩展上下文是否仍然有效
+   */
+  hasRuntimeId() {
+    try {
+      return typeof chrome !== 'undefined' && !!chrome.runtime && !!chrome.runtime.id;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * 向后台发送 connectDB，确认扩展运行时与数据库可用
+   * @returns {Promise<boolean>}
+   */
+  probeRuntime() {
+    return new Promise(resolve => {
+      try {
+        chrome.runtime.sendMessage({ type: 'connectDB' }, (response) => {
+          resolve(!chrome.runtime.lastError && !!response && response.status === 'ok');
+        });
+      } catch (_) {
+        resolve(false);
+      }
+    });
+  }
+
+  /**
+   * 将回退模式下写入页面源 IndexedDB 的会话导入扩展数据库，成功后删除页面源中的副本
+   * 页面源数据库只有在扩展上下文不可用时才会被创建，因此先检查数据库是否存在，避免凭空创建
+   */
+  async reconcileLocalConversations() {
+    if (this.isReconcilingLocalData || !this.storageManager || !this.canUseExtensionAPI()) {
+      return;
+    }
+
+    this.isReconcilingLocalData = true;
+    try {
+      if (!(await this.storageManager.hasDatabase())) {
+        return;
+      }
+
+      const conversations = await this.storageManager.getAllConversations();
+      if (conversations.length === 0) {
+        return;
+      }
+
+      console.log(`AI Chat Memory: 发现 ${conversations.length} 个页面本地保存的会话，开始同步到扩展`);
+
+      const BATCH_SIZE = 20;
+      let synced = 0;
+      for (let i = 0; i < conversations.length; i += BATCH_SIZE) {
+        const batch = conversations.slice(i, i + BATCH_SIZE);
+        for (const conversation of batch) {
+          conversation.revisions = await this.storageManager.getConversationRevisions(conversation.conversationId);
+        }
+
+        const response = await this.sendMessageWithRetry({
+          type: 'importConversations',
+          conversations: batch,
+          source: 'local-fallback'
+        });
+
+        if (!response || response.error || !Array.isArray(response.results)) {
+          throw new Error(response && response.error ? response.error : '导入会话失败');
+        }
+
+        for (const result of response.results) {
+          if (result.error || !result.sourceId) continue;
+          await this.storageManager.deleteConversation(result.sourceId);
+          synced++;
+        }
+      }
+
+      console.log(`AI Chat Memory: 已同步 ${synced} 个页面本地会话到扩展`);
+    } catch (error) {
+      console.warn('AI Chat Memory: 同步页面本地会话失败，稍后重试:', error);
+    } finally {
+      this.isReconcilingLocalData = false;
+    }
+  }
+
   /**
    * 检查是否可以使用扩展API
    * @returns {boolean}
@@ -450,7 +688,12 @@ class BasePlatformAdapter {
     return new Promise((resolve, reject) => {
       const externalId = this.lastKnownConversationId;
 
-      if (externalId && !externalId.startsWith('new_conversation_')) {
+      if (this.isTemporaryConversationId(externalId)) {
+        // 新对话页面的链接为所有新对话共用，只能按临时ID查找
+        this.findConversationByExternalId(externalId)
+          .then(conversation => resolve(conversation ? conversation.conversationId : null))
+          .catch(() => resolve(null));
+      } else if (externalId) {
         console.log(`AI Chat Memory: 使用外部ID查询会话: ${externalId}`);
         this.findConversationByExternalId(externalId)
           .then(conversation => {
@@ -474,7 +717,7 @@ class BasePlatformAdapter {
    * 回退到URL查询的函数
    */
   fallbackToUrlSearch(resolve) {
-    const cleanUrl = this.pageUrl.split('?')[0];
+    const cleanUrl = this.buildCanonicalLink(this.pageUrl);
     console.log(`AI Chat Memory: 回退到URL查询: ${cleanUrl}`);
 
     // 优先使用 Chrome extension API
@@ -558,7 +801,7 @@ class BasePlatformAdapter {
    */
   async findOrCreateConversation() {
     // 生成当前URL的唯一键
-    const cleanUrl = this.pageUrl.split('?')[0];
+    const cleanUrl = this.buildCanonicalLink(this.pageUrl);
     const urlKey = `${this.platform}_${cleanUrl}`;
 
     // 如果正在为同一URL创建对话，返回现有的Promise
@@ -613,13 +856,63 @@ class BasePlatformAdapter {
 
   /**
    * 处理对话的核心逻辑
+   * 扩展可用时由后台在一个事务内完成查找或创建，避免多个标签页/框架同时创建同一会话；
+   * 后台调用失败或处于本地存储模式时，回退到逐步查询后创建
    */
   processConversation(messages, resolve, reject) {
+    if (this.canUseExtensionAPI()) {
+      this.requestFindOrCreateConversation(messages)
+        .then(resolve)
+        .catch(error => {
+          console.warn('AI Chat Memory: 后台查找或创建会话失败，回退到逐步查询:', error);
+          this.findThenCreateConversation(messages, resolve, reject);
+        });
+      return;
+    }
+
+    this.findThenCreateConversation(messages, resolve, reject);
+  }
+
+  /**
+   * 请求后台原子地查找或创建会话
+   * @returns {Promise<string>} 会话ID
+   */
+  async requestFindOrCreateConversation(messages) {
+    const conversation = this.buildNewConversation(messages);
+    const response = await this.sendMessageWithRetry({
+      type: 'findOrCreateConversation',
+      conversation
+    });
+
+    if (!response || !response.conversationId) {
+      throw new Error('查找或创建会话失败: ' + (response?.error || '未知错误'));
+    }
+
+    if (response.created) {
+      console.log(`AI Chat Memory: 成功创建新会话: ${response.conversationId}`);
+      if (window.aiChatMemoryCommon) {
+        window.aiChatMemoryCommon.showSuccessStatus();
+      }
+    } else {
+      console.log(`AI Chat Memory: 找到已有会话: ${response.conversationId}`);
+    }
+    return response.conversationId;
+  }
+
+  /**
+   * 逐步查询（外部ID -> URL -> 双重检查）后创建会话
+   */
+  findThenCreateConversation(messages, resolve, reject) {
     const externalId = this.lastKnownConversationId;
-    const isNewConversation = externalId && externalId.startsWith('new_conversation_');
+    const isNewConversation = this.isTemporaryConversationId(externalId);
 
-    if (externalId && !isNewConversation) {
+    if (externalId) {
       console.log(`AI Chat Memory: 使用外部ID查询会话: ${externalId}`);
+      // 新对话页面的链接为所有新对话共用，临时ID查不到时直接创建，不按URL匹配
+      const fallback = isNewConversation ?
+        () => this.createNewConversation(messages, this.buildCanonicalLink(this.pageUrl), resolve, reject) :
+        () => this.fallbackToUrlSearchForCreate(messages, resolve, reject);
+
       this.findConversationByExternalId(externalId)
         .then(conversation => {
           if (conversation) {
@@ -627,11 +920,9 @@ class BasePlatformAdapter {
             resolve(conversation.conversationId);
             return;
           }
-          this.fallbackToUrlSearchForCreate(messages, resolve, reject);
+          fallback();
         })
-        .catch(() => {
-          this.fallbackToUrlSearchForCreate(messages, resolve, reject);
-        });
+        .catch(fallback);
     } else {
       this.fallbackToUrlSearchForCreate(messages, resolve, reject);
     }
@@ -641,7 +932,7 @@ class BasePlatformAdapter {
    * 创建新会话的URL查询回退
    */
   fallbackToUrlSearchForCreate(messages, resolve, reject) {
-    const cleanUrl = this.pageUrl.split('?')[0];
+    const cleanUrl = this.buildCanonicalLink(this.pageUrl);
     console.log(`AI Chat Memory: 回退到URL查询: ${cleanUrl}`);
 
     // 优先使用 Chrome extension API
@@ -780,16 +1071,7 @@ class BasePlatformAdapter {
    * 创建新会话
    */
   async createNewConversation(messages, cleanUrl, resolve, reject) {
-    const title = this.extractTitle() || this.generateTitleFromMessages(messages);
-
-    const conversation = {
-      conversationId: this.generateId(),
-      link: cleanUrl,
-      title: title,
-      platform: this.platform,
-      messages: messages,
-      externalId: this.lastKnownConversationId || null
-    };
+    const conversation = this.buildNewConversation(messages, cleanUrl);
 
     console.log(`AI Chat Memory: 创建新对话，包含消息数量: ${messages.length}`);
 
@@ -835,6 +1117,20 @@ class BasePlatformAdapter {
     }
   }
 
+  /**
+   * 根据当前页面构造待创建的会话
+   */
+  buildNewConversation(messages, cleanUrl = this.buildCanonicalLink(this.pageUrl)) {
+    return {
+      conversationId: this.generateId(),
+      link: cleanUrl,
+      title: this.extractTitle() || this.generateTitleFromMessages(messages),
+      platform: this.platform,
+      messages: messages,
+      externalId: this.lastKnownConversationId || null
+    };
+  }
+
   /**
    * 通过外部ID查找会话
    */
@@ -939,6 +1235,49 @@ class BasePlatformAdapter {
     return observer;
   }
 
+  /**
+   * AI 正在输出时推迟本次检查，并定时复查；输出结束后强制保存一次最终内容
+   * 输出持续超过 MAX_STREAMING_WAIT 时先保存当前内容，再重新计时
+   * @returns {boolean} - 是否已推迟
+   */
+  deferWhileStreaming() {
+    let streaming = false;
+    try {
+      streaming = this.isResponseStreaming();
+    } catch (error) {
+      console.warn('AI Chat Memory: 检测回复输出状态失败:', error);
+    }
+
+    if (!streaming) {
+      this.streamingStartedAt = null;
+      return false;
+    }
+
+    const now = Date.now();
+    let deferred = true;
+    if (!this.streamingStartedAt) {
+      this.streamingStartedAt = now;
+      console.log('AI Chat Memory: AI正在输出回复，推迟自动保存');
+    } else if (now - this.streamingStartedAt >= this.MAX_STREAMING_WAIT) {
+      console.log('AI Chat Memory: 回复输出超过最长等待时间，先保存当前内容');
+      this.streamingStartedAt = now;
+      deferred = false;
+    }
+
+    // 输出期间保持定时复查，保证结束后一定会保存最终内容
+    if (!this.streamingTimer) {
+      this.streamingTimer = setTimeout(() => {
+        this.streamingTimer = null;
+        if (this.streamingStartedAt && !this.isResponseStreaming()) {
+          console.log('AI Chat Memory: 回复输出结束，保存最终内容');
+          this.lastMessagesJson = null;
+        }
+        this.checkForActualMessageChanges();
+      }, this.STREAMING_CHECK_INTERVAL);
+    }
+    return deferred;
+  }
+
   /**
    * 更新当前消息映射
    */
@@ -972,6 +1311,10 @@ class BasePlatformAdapter {
       return;
     }
 
+    if (this.deferWhileStreaming()) {
+      return;
+    }
+
     console.log('AI Chat Memory: 检查消息实际变化...');
 
     const currentMessages = this.extractMessages();
@@ -1066,7 +1409,7 @@ class BasePlatformAdapter {
       this.currentConversationId = foundConversationId;
       console.log('AI Chat Memory: 手动保存 - 当前会话ID:', this.currentConversationId);
 
-      await this.saveAllMessages();
+      await this.saveAllMessages('manual-save');
 
       console.log('AI Chat Memory: 手动保存完成');
 
@@ -1081,14 +1424,20 @@ class BasePlatformAdapter {
 
   /**
    * 保存所有消息
+   * @param {string} source - 保存来源（'auto-save' 或 'manual-save'），记入消息修订历史
    */
-  async saveAllMessages() {
+  async saveAllMessages(source = 'auto-save') {
     try {
       if (!this.currentConversationId) {
         console.log('AI Chat Memory: 未找到会话ID，无法保存');
         return;
       }
 
+      if (this.trashedConversationIds.has(this.currentConversationId)) {
+        console.log('AI Chat Memory: 会话已移入回收站，跳过保存');
+        return;
+      }
+
       const attemptSave = async (retryCount = 0) => {
         const messages = this.extractMessages();
         console.log(`AI Chat Memory: 提取到消息数量: ${messages.length}`);
@@ -1112,7 +1461,7 @@ class BasePlatformAdapter {
         }
 
         // 使用智能增量更新
-        await this.performIncrementalSave();
+        await this.performIncrementalSave(source);
       };
 
       await attemptSave();
@@ -1124,7 +1473,7 @@ class BasePlatformAdapter {
   /**
    * 解耦后的增量保存逻辑（懒加载感知）
    */
-  async performIncrementalSave() {
+  async performIncrementalSave(source = 'auto-save') {
     const currentMessages = this.extractMessages();
 
     // 优先使用 Chrome extension API 进行更新
@@ -1134,10 +1483,18 @@ class BasePlatformAdapter {
         const existingConversation = await this.getConversationById(this.currentConversationId);
 
         if (existingConversation) {
-          // 合并消息
+          // 页面当前可见的消息，由存储层与已保存的消息合并
           existingConversation.messages = currentMessages;
           existingConversation.updatedAt = new Date().toISOString();
 
+          // 旧版本保存的链接可能丢掉了区分会话的查询参数，确认是同一会话后改为规范链接
+          const canonicalLink = this.buildCanonicalLink(this.pageUrl);
+          if (existingConversation.link !== canonicalLink &&
+              existingConversation.externalId && existingConversation.externalId === this.lastKnownConversationId &&
+              !this.isTemporaryConversationId(existingConversation.externalId)) {
+            existingConversation.link = canonicalLink;
+          }
+
           // Monica: 当标题为空或为通用站点标题时，尝试用更有意义的标题更新
           if (this.platform === 'monica') {
             const newTitle = this.extractTitle() || this.generateTitleFromMessages(currentMessages);
@@ -1153,17 +1510,23 @@ class BasePlatformAdapter {
 
           const updateResponse = await this.sendMessageWithRetry({
             type: 'updateConversation',
-            conversation: existingConversation
+            conversation: existingConversation,
+            source,
+            isCompleteSnapshot: this.isFullConversationLoaded()
           });
 
-          if (updateResponse && updateResponse.status === 'ok') {
+          if (updateResponse && updateResponse.status === 'trashed') {
+            console.log('AI Chat Memory: 会话已移入回收站，停止保存到该会话');
+            this.trashedConversationIds.add(this.currentConversationId);
+            return;
+          } else if (updateResponse && updateResponse.status === 'ok') {
             result = { success: true, action: 'updated' };
           } else {
             throw new Error('更新对话失败');
           }
         } else {
           // 如果对话不存在，创建新对话
-          const cleanUrl = this.pageUrl.split('?')[0];
+          const cleanUrl = this.buildCanonicalLink(this.pageUrl);
           const title = this.extractTitle() || this.generateTitleFromMessages(currentMessages);
 
           const conversation = {
@@ -1194,7 +1557,8 @@ class BasePlatformAdapter {
         if (this.storageManager) {
           result = await this.storageManager.smartIncrementalUpdate(
             this.currentConversationId,
-            currentMessages
+            currentMessages,
+            { source, isCompleteSnapshot: this.isFullConversationLoaded() }
           );
           console.log('AI Chat Memory: 通过本地存储完成增量更新');
         } else {
@@ -1205,7 +1569,8 @@ class BasePlatformAdapter {
       // 回退到本地 StorageManager
       result = await this.storageManager.smartIncrementalUpdate(
         this.currentConversationId,
-        currentMessages
+        currentMessages,
+        { source, isCompleteSnapshot: this.isFullConversationLoaded() }
       );
     } else {
       result = { success: false, error: '没有可用的存储方法' };
@@ -1224,10 +1589,189 @@ class BasePlatformAdapter {
   // ========== 工具方法 ==========
 
   /**
-   * 生成消息唯一ID
+   * 为提取到的消息补全ID（各适配器在 extractMessages 返回前调用）
+   * 已填入平台原生消息ID的保持不变，其余使用基于内容的ID，避免插入或删除一轮对话后所有ID随位置移动
+   * @param {Array} messages - 按页面顺序排列的消息
+   * @returns {Array} - 同一个数组
+   */
+  assignMessageIds(messages) {
+    return MessageUtils.assignContentIds(messages);
+  }
+
+  /**
+   * 读取消息所在轮次的分支切换器（如“< 2/3 >”），返回页面当前显示的是第几个分支
+   * 没有切换器时视为唯一的分支；各适配器传入切换器文本所在元素的选择器
+   * @param {Element} container - 消息所在的轮次元素
+   * @param {Array<string>} selectors - 切换器文本元素的选择器
+   * @returns {Object} - { siblingIndex: 从 0 开始, siblingCount }
+   */
+  readBranchPosition(container, selectors) {
+    if (container && typeof container.querySelectorAll === 'function') {
+      for (const selector of selectors) {
+        for (const element of container.querySelectorAll(selector)) {
+          const match = (element.textContent || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+          if (match && Number(match[1]) >= 1 && Number(match[1]) <= Number(match[2])) {
+            return { siblingIndex: Number(match[1]) - 1, siblingCount: Number(match[2]) };
+          }
+        }
+      }
+    }
+    return { siblingIndex: 0, siblingCount: 1 };
+  }
+
+  /**
+   * 读取可折叠的思考过程区域
+   * 展开时直接读取并缓存；折叠且内容不在 DOM 中时，临时展开一次（保持滚动位置与焦点），
+   * 下一次提取读到内容后折叠回去，之后使用缓存。同一区域只自动展开一次，用户手动折叠后不会再被展开
+   * @param {Element} section - 思考区域元素（缓存键）
+   * @param {Element} toggle - 展开/折叠按钮
+   * @param {boolean} expanded - 区域当前是否展开
+   * @param {Function} readContent - () => string，读取展开后的思考文本
+   * @returns {string}
+   */
+  readCollapsibleThinking(section, toggle, expanded, readContent) {
+    if (!section) return '';
+
+    if (expanded) {
+      const text = (readContent() || '').trim();
+      if (text) {
+        this.thinkingCache.set(section, text);
+        if (this.autoExpandedThinking.has(section) && !this.isResponseStreaming()) {
+          this.autoExpandedThinking.delete(section);
+          this.clickPreservingScroll(toggle);
+        }
+      }
+      return text || this.thinkingCache.get(section) || '';
+    }
+
+    if (this.thinkingCache.has(section)) {
+      return this.thinkingCache.get(section);
+    }
+
+    if (toggle && !this.attemptedThinkingExpansions.has(section)) {
+      this.attemptedThinkingExpansions.add(section);
+      this.autoExpandedThinking.add(section);
+      // 提取过程中不修改页面，展开放到当前检查之后
+      setTimeout(() => this.clickPreservingScroll(toggle), 0);
+    }
+    return '';
+  }
+
+  /**
+   * 页面是否已滚动到对话开头：从首条消息向上找到可滚动的祖先，判断其是否位于顶部
+   * 没有可滚动的祖先时以整个页面的滚动位置为准（对话较短、无需滚动时视为已在开头）
+   * @param {Element} firstMessage - 页面上的第一条消息元素
+   * @returns {boolean}
+   */
+  isScrolledToConversationStart(firstMessage) {
+    for (let node = firstMessage.parentElement; node && node !== document.body; node = node.parentElement) {
+      const overflowY = window.getComputedStyle(node).overflowY;
+      if (node.scrollHeight > node.clientHeight && /^(auto|scroll|overlay)$/.test(overflowY)) {
+        return node.scrollTop <= 1;
+      }
+    }
+    return window.scrollY <= 1;
+  }
+
+  /**
+   * 点击页面元素，并恢复点击前的滚动位置与焦点（用于在后台展开、折叠区域）
+   * @param {Element} element
+   */
+  clickPreservingScroll(element) {
+    if (!element || !element.isConnected) return;
+
+    const scrollPositions = [];
+    for (let node = element.parentElement; node; node = node.parentElement) {
+      if (node.scrollHeight > node.clientHeight) {
+        scrollPositions.push([node, node.scrollTop]);
+      }
+    }
+    const pageX = window.scrollX;
+    const pageY = window.scrollY;
+    const activeElement = document.activeElement;
+
+    element.click();
+
+    scrollPositions.forEach(([node, scrollTop]) => {
+      node.scrollTop = scrollTop;
+    });
+    window.scrollTo(pageX, pageY);
+    if (activeElement && activeElement !== document.activeElement && typeof activeElement.focus === 'function') {
+      activeElement.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * 解析思考用时（如“Thought for 1m 5s”“Thought for 12 seconds”“已思考 12 秒”“用时 1 分 5 秒”）
+   * @param {string} text - 思考区域标题文本
+   * @returns {number|null} - 秒数，文本中没有用时时返回 null
+   */
+  parseThinkingDuration(text) {
+    const units = {
+      h: 3600, hr: 3600, hour: 3600, hours: 3600, '小时': 3600,
+      m: 60, min: 60, mins: 60, minute: 60, minutes: 60, '分': 60, '分钟': 60,
+      s: 1, sec: 1, secs: 1, second: 1, seconds: 1, '秒': 1, '秒钟': 1
+    };
+    const pattern = /(\d+(?:\.\d+)?)\s*(hours?|hr|h|minutes?|mins?|m|seconds?|secs?|s|小时|分钟|分|秒钟|秒)(?![a-z])/gi;
+
+    let total = 0;
+    let matched = false;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+      const unit = units[match[2].toLowerCase()];
+      if (!unit) continue;
+      total += parseFloat(match[1]) * unit;
+      matched = true;
+    }
+    return matched ? Math.round(total) : null;
+  }
+
+  /**
+   * 读取消息元素中平台提供的时间（<time datetime>、data-timestamp 等），读不到时返回 null
+   * 适配器只应填入平台时间；为 null 时由存储层记录首次保存的时间，之后的保存不会覆盖
+   * @param {Element} element - 消息元素
+   * @returns {string|null} - ISO 时间字符串
+   */
+  readMessageTimestamp(element) {
+    if (!element || typeof element.getAttribute !== 'function') {
+      return null;
+    }
+
+    const timeElement = element.matches('time[datetime]') ? element : element.querySelector('time[datetime]');
+    const values = [
+      timeElement && timeElement.getAttribute('datetime'),
+      element.getAttribute('data-timestamp'),
+      element.getAttribute('data-created-at'),
+      element.getAttribute('data-time')
+    ];
+
+    for (const value of values) {
+      if (!value) continue;
+      // 纯数字按 Unix 时间处理（秒或毫秒）
+      const numeric = /^\d+$/.test(value) ? Number(value) : null;
+      const date = numeric !== null ? new Date(numeric < 1e12 ? numeric * 1000 : numeric) : new Date(value);
+      if (!isNaN(date.getTime())) {
+        return date.toISOString();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 读取来源链接的标题：优先 title、aria-label 属性，否则取第一行不是编号的文字
+   * @param {Element} link - 来源链接元素
+   * @returns {string}
    */
-  generateMessageId(sender, content, index) {
-    return `msg_${sender}_position_${index}`;
+  readLinkTitle(link) {
+    const attribute = link.getAttribute('title') || link.getAttribute('aria-label');
+    if (attribute && attribute.trim()) {
+      return attribute.trim();
+    }
+    const line = (link.innerText || link.textContent || '')
+      .split('\n')
+      .map(text => text.trim())
+      .find(text => text && !/^\d+$/.test(text));
+    return line || '';
   }
 
   /**
@@ -1238,9 +1782,31 @@ class BasePlatformAdapter {
   }
 
   /**
-   * 提取格式化内容的所有可见文本
+   * 把渲染后的回答转为 Markdown（保留代码块语言、表格、链接、标题与列表层级）
+   * 平台特有的界面元素与代码语言读取方式由 getMarkdownOptions() 提供
+   * @param {Element} element - 回答内容元素
+   * @param {Array<Element>} ignoreElements - 本次额外忽略的元素（如单独提取的思考区域）
+   */
+  extractFormattedContent(element, ignoreElements = []) {
+    if (!element) return '';
+    if (typeof MarkdownConverter === 'undefined') {
+      return this.extractPlainText(element);
+    }
+    return MarkdownConverter.convert(element, Object.assign({}, this.getMarkdownOptions(), { ignoreElements }));
+  }
+
+  /**
+   * MarkdownConverter 的平台选项，可由子类重写
+   * @returns {Object} - { ignoreSelectors, getCodeLanguage, citationSelectors, getCitationIndex }
+   */
+  getMarkdownOptions() {
+    return { ignoreSelectors: [] };
+  }
+
+  /**
+   * 提取元素的可见纯文本（用于用户输入等未经 Markdown 渲染的内容）
    */
-  extractFormattedContent(element) {
+  extractPlainText(element) {
     if (!element) return '';
 
     const text = element.innerText || element.textContent || '';
@@ -1266,12 +1832,18 @@ class BasePlatformAdapter {
    */
   handleUrlCheck() {
     const currentUrl = window.location.href;
-    const currentBaseUrl = currentUrl.split('?')[0];
+    const currentBaseUrl = this.buildCanonicalLink(currentUrl);
 
     if (!this.isValidConversationUrl(currentUrl)) {
       return;
     }
 
+    // 进入另一个新对话页面（从已有对话或其他新对话页面）时，换用新的临时ID
+    if (this.isNewConversationUrl(currentUrl) &&
+        (currentBaseUrl !== this.lastKnownUrl || !this.isTemporaryConversationId(this.lastKnownConversationId))) {
+      this.temporaryConversationId = null;
+    }
+
     const { conversationId, isNewConversation } = this.extractConversationInfo(currentUrl);
 
     if (!conversationId) {
@@ -1279,20 +1851,130 @@ class BasePlatformAdapter {
     }
 
     if (currentBaseUrl !== this.lastKnownUrl || conversationId !== this.lastKnownConversationId) {
+      const previousConversationId = this.lastKnownConversationId;
+
       console.log(`AI Chat Memory: 检测到变化 - 新URL: ${currentBaseUrl}`);
-      console.log(`AI Chat Memory: 对话ID变化: ${this.lastKnownConversationId || '无'} -> ${conversationId || '无'}`);
+      console.log(`AI Chat Memory: 对话ID变化: ${previousConversationId || '无'} -> ${conversationId || '无'}`);
 
       this.lastKnownUrl = currentBaseUrl;
       this.lastKnownConversationId = conversationId;
 
-      window.dispatchEvent(new CustomEvent('ai-chat-memory-url-changed', {
-        detail: {
-          url: currentUrl,
-          conversationId: conversationId,
-          isNewConversation: isNewConversation
+      const detail = {
+        url: currentUrl,
+        conversationId: conversationId,
+        isNewConversation: isNewConversation
+      };
+
+      // 新对话获得平台真实ID（如跳转到 /c/<id>）：沿用已保存的会话，而不是重新初始化后再创建一个
+      if (this.isTemporaryConversationId(previousConversationId) && !isNewConversation &&
+          (this.currentConversationId || this.creationPromise)) {
+        this.temporaryConversationId = null;
+        this.handleConversationIdAssigned(previousConversationId, detail);
+        return;
+      }
+
+      window.dispatchEvent(new CustomEvent('ai-chat-memory-url-changed', { detail }));
+    }
+  }
+
+  /**
+   * 新对话从临时ID切换到真实ID后，把当前会话改为真实外部ID与链接并继续保存
+   * 只有当前会话确实是以该临时ID保存、且页面仍是同一段对话时才沿用，否则按普通URL变化处理
+   * @param {string} temporaryId - 之前的临时ID
+   * @param {Object} detail - URL变化信息 { url, conversationId, isNewConversation }
+   */
+  async handleConversationIdAssigned(temporaryId, detail) {
+    try {
+      const pendingId = this.creationPromise ? await this.creationPromise : null;
+      const conversationId = pendingId || this.currentConversationId;
+      const conversation = conversationId ? await this.getConversationById(conversationId) : null;
+
+      if (!conversation || conversation.externalId !== temporaryId || !this.isSameConversationOnPage(conversation)) {
+        window.dispatchEvent(new CustomEvent('ai-chat-memory-url-changed', { detail }));
+        return;
+      }
+
+      const cleanUrl = this.buildCanonicalLink(detail.url);
+      const rekeyedId = await this.rekeyConversation(conversationId, detail.conversationId, cleanUrl);
+      if (!rekeyedId) {
+        throw new Error('更新会话外部ID失败');
+      }
+
+      console.log(`AI Chat Memory: 新对话已获得真实ID ${detail.conversationId}，沿用会话: ${rekeyedId}`);
+      this.pageUrl = detail.url;
+      this.currentUrlKey = `${this.platform}_${cleanUrl}`;
+      this.currentConversationId = rekeyedId;
+
+      if (window.aiChatMemorySettings && window.aiChatMemorySettings.autoSave) {
+        await this.saveAllMessages();
+      }
+    } catch (error) {
+      console.warn('AI Chat Memory: 沿用新对话会话失败，按URL变化重新初始化:', error);
+      window.dispatchEvent(new CustomEvent('ai-chat-memory-url-changed', { detail }));
+    }
+  }
+
+  /**
+   * 页面当前显示的是否仍是已保存的这段对话（比较第一条消息）
+   */
+  isSameConversationOnPage(conversation) {
+    const storedMessages = MessageUtils.sortByPosition((conversation.messages || []).filter(msg => !msg.inactiveBranch));
+    const pageMessages = this.extractMessages();
+    if (storedMessages.length === 0 || pageMessages.length === 0) {
+      return false;
+    }
+    return MessageUtils.contentKey(storedMessages[0]) === MessageUtils.contentKey(pageMessages[0]);
+  }
+
+  /**
+   * 更新会话的外部ID与链接
+   * @returns {Promise<string|null>} 之后应继续使用的会话ID（外部ID已属于其他会话时为合并后的会话）
+   */
+  async rekeyConversation(conversationId, externalId, link) {
+    if (this.canUseExtensionAPI()) {
+      try {
+        const response = await this.sendMessageWithRetry({ type: 'rekeyConversation', conversationId, externalId, link });
+        if (response && response.conversationId) {
+          return response.conversationId;
         }
-      }));
+        throw new Error(response?.error || '未知错误');
+      } catch (error) {
+        console.warn('AI Chat Memory: 更新会话外部ID失败，回退到本地存储:', error);
+        if (/Extension context invalidated/i.test(String(error && error.message))) {
+          this.forceLocalStorageMode = true;
+        }
+      }
+    }
+
+    if (this.storageManager) {
+      const conversation = await this.storageManager.getConversation(conversationId);
+      if (!conversation) {
+        return null;
+      }
+      const { messages, ...record } = conversation;
+      record.externalId = externalId;
+      record.link = link || record.link;
+      await this.storageManager.updateConversation(record);
+      return conversationId;
+    }
+    return null;
+  }
+
+  /**
+   * 新对话的临时ID（平台分配真实ID之前使用，同一个新对话内保持不变）
+   */
+  getTemporaryConversationId() {
+    if (!this.temporaryConversationId) {
+      this.temporaryConversationId = `new_conversation_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
     }
+    return this.temporaryConversationId;
+  }
+
+  /**
+   * 是否为新对话的临时ID
+   */
+  isTemporaryConversationId(conversationId) {
+    return !!conversationId && String(conversationId).startsWith('new_conversation_');
   }
 
   // ========== 事件监听设置 ==========
@@ -1375,6 +2057,7 @@ class BasePlatformAdapter {
         // 如果扩展不可用，立即切换到本地模式而不是多次重试
         if (!this.canUseExtensionAPI()) {
           this.forceLocalStorageMode = true;
+          this.scheduleRuntimeRecovery();
           console.log('AI Chat Memory: 扩展上下文不可用，直接使用本地存储模式');
         }
 
@@ -1385,6 +2068,7 @@ class BasePlatformAdapter {
       } catch (error) {
         console.warn(`AI Chat Memory: 初始化失败，使用本地模式继续: ${error.message}`);
         this.forceLocalStorageMode = true;
+        this.scheduleRuntimeRecovery();
         this.init();
         this.setupEventListeners();
         this.setupPageUnloadDetection();
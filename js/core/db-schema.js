@@ -0,0 +1,423 @@
+/**
+ * AI Chat Memory - 数据库结构与版本迁移
+ * 后台脚本与 StorageManager 共用同一份有序迁移列表，数据库版本号取最后一个迁移的版本
+ * 每条会话、消息、修订记录写入时都带有 schemaVersion，后续迁移据此回填旧数据
+ */
+
+class DBSchema {
+  static get NAME() {
+    return 'AIChatMemoryDB';
+  }
+
+  static get STORES() {
+    return {
+      CONVERSATIONS: 'conversations',
+      MESSAGES: 'messages',
+      SEARCH_INDEX: 'searchIndex',
+      REVISIONS: 'revisions',
+      TRASH: 'trash'
+    };
+  }
+
+  /**
+   * 有序迁移列表：version -> upgrade(db, transaction)
+   * upgrade 可以返回 Promise（例如遍历游标改写数据），后一个迁移会等待前一个完成
+   * 新增迁移只能追加到末尾，不能修改已发布的迁移
+   */
+  static get MIGRATIONS() {
+    const { CONVERSATIONS, MESSAGES, SEARCH_INDEX, REVISIONS, TRASH } = DBSchema.STORES;
+
+    return [
+      {
+        version: 1,
+        description: '会话存储及基础索引',
+        upgrade(db, transaction) {
+          const store = DBSchema.ensureStore(db, transaction, CONVERSATIONS, { keyPath: 'conversationId' });
+          DBSchema.ensureIndex(store, 'link', 'link');
+          DBSchema.ensureIndex(store, 'platform', 'platform');
+          DBSchema.ensureIndex(store, 'updatedAt', 'updatedAt');
+          DBSchema.ensureIndex(store, 'createdAt', 'createdAt');
+        }
+      },
+      {
+        version: 2,
+        description: '外部会话ID（平台原始ID）索引，避免不同会话被同一URL覆盖',
+        upgrade(db, transaction) {
+          DBSchema.ensureIndex(transaction.objectStore(CONVERSATIONS), 'externalId', 'externalId');
+        }
+      },
+      {
+        version: 3,
+        description: '消息独立存储，拆分旧记录中内嵌的 messages 数组',
+        upgrade(db, transaction) {
+          const messageStore = DBSchema.ensureStore(db, transaction, MESSAGES, { keyPath: ['conversationId', 'messageId'] });
+          DBSchema.ensureIndex(messageStore, 'conversationId', 'conversationId');
+
+          return DBSchema.iterateStore(transaction.objectStore(CONVERSATIONS), (conversation, cursor) => {
+            if (!Array.isArray(conversation.messages)) return;
+
+            conversation.messages.forEach((message, index) => {
+              const record = Object.assign({}, message, { conversationId: conversation.conversationId });
+              if (!record.messageId) {
+                record.messageId = `msg_${record.sender}_position_${typeof record.position === 'number' ? record.position : index}`;
+              }
+              messageStore.put(record);
+            });
+            delete conversation.messages;
+            cursor.update(conversation);
+          });
+        }
+      },
+      {
+        version: 4,
+        description: '全文倒排索引（由后台脚本维护）',
+        upgrade(db, transaction) {
+          const store = DBSchema.ensureStore(db, transaction, SEARCH_INDEX, { keyPath: ['token', 'conversationId', 'messageId'] });
+          DBSchema.ensureIndex(store, 'conversationId', 'conversationId');
+          DBSchema.ensureIndex(store, 'message', ['conversationId', 'messageId']);
+        }
+      },
+      {
+        version: 5,
+        description: '消息修订历史',
+        upgrade(db, transaction) {
+          const store = DBSchema.ensureStore(db, transaction, REVISIONS, { keyPath: 'revisionId', autoIncrement: true });
+          DBSchema.ensureIndex(store, 'conversationId', 'conversationId');
+          DBSchema.ensureIndex(store, 'message', ['conversationId', 'messageId']);
+        }
+      },
+      {
+        version: 6,
+        description: '为已有会话、消息与修订记录写入 schemaVersion',
+        upgrade(db, transaction) {
+          return DBSchema.backfill(transaction, [CONVERSATIONS, MESSAGES, REVISIONS], 6, () => {});
+        }
+      },
+      {
+        version: 7,
+        description: '回收站：删除的会话连同消息保存在此，按删除时间自动清理',
+        upgrade(db, transaction) {
+          const store = DBSchema.ensureStore(db, transaction, TRASH, { keyPath: 'conversationId' });
+          DBSchema.ensureIndex(store, 'deletedAt', 'deletedAt');
+        }
+      },
+      {
+        version: 8,
+        description: '会话标签（multiEntry 索引）与文件夹路径',
+        upgrade(db, transaction) {
+          const store = transaction.objectStore(CONVERSATIONS);
+          DBSchema.ensureIndex(store, 'tags', 'tags', { unique: false, multiEntry: true });
+          DBSchema.ensureIndex(store, 'folder', 'folder');
+
+          return DBSchema.backfill(transaction, [CONVERSATIONS], 8, (conversation) => {
+            conversation.tags = Array.isArray(conversation.tags) ? conversation.tags : [];
+            conversation.folder = typeof conversation.folder === 'string' ? conversation.folder : '';
+          });
+        },
+        upgradeBackup(backup) {
+          backup.conversations.forEach(DBSchema.defaultTagsAndFolder);
+        }
+      },
+      {
+        version: 9,
+        description: '按位置生成的消息ID改为基于内容的ID，同步更新修订历史与检索索引',
+        upgrade(db, transaction) {
+          return DBSchema.remapPositionalMessageIds(transaction, 9);
+        },
+        upgradeBackup(backup) {
+          DBSchema.remapBackupMessageIds(backup);
+        }
+      }
+    ];
+  }
+
+  /**
+   * 当前数据库版本（最后一个迁移的版本）
+   */
+  static get VERSION() {
+    const migrations = DBSchema.MIGRATIONS;
+    return migrations[migrations.length - 1].version;
+  }
+
+  /**
+   * 打开数据库并按需执行迁移
+   * @returns {Promise<IDBDatabase>}
+   */
+  static open() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DBSchema.NAME, DBSchema.VERSION);
+
+      request.onupgradeneeded = (event) => {
+        DBSchema.upgrade(event.target.result, event.target.transaction, event.oldVersion);
+      };
+
+      request.onsuccess = (event) => {
+        const db = event.target.result;
+        // 其他页面需要升级数据库时主动关闭旧连接，避免升级被阻塞
+        db.onversionchange = () => {
+          db.close();
+        };
+        resolve(db);
+      };
+
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+
+      request.onblocked = () => {
+        console.warn('AI Chat Memory: 数据库升级被其他连接阻塞，等待旧连接关闭');
+      };
+    });
+  }
+
+  /**
+   * 在升级事务中依次执行版本高于 oldVersion 的迁移
+   */
+  static upgrade(db, transaction, oldVersion) {
+    const migrations = DBSchema.MIGRATIONS
+      .filter(migration => migration.version > oldVersion)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.reduce((previous, migration) => {
+      return previous.then(() => {
+        console.log(`AI Chat Memory: 执行数据库迁移 v${migration.version}: ${migration.description}`);
+        return migration.upgrade(db, transaction);
+      });
+    }, Promise.resolve()).catch(error => {
+      console.error('AI Chat Memory: 数据库迁移失败:', error);
+      transaction.abort();
+    });
+  }
+
+  /**
+   * 获取或创建对象存储
+   */
+  static ensureStore(db, transaction, name, options) {
+    if (!db.objectStoreNames.contains(name)) {
+      return db.createObjectStore(name, options);
+    }
+    return transaction.objectStore(name);
+  }
+
+  /**
+   * 创建缺失的索引
+   */
+  static ensureIndex(store, name, keyPath, options = { unique: false }) {
+    if (!store.indexNames.contains(name)) {
+      store.createIndex(name, keyPath, options);
+    }
+  }
+
+  /**
+   * 遍历对象存储中的全部记录
+   * @param {IDBObjectStore} store - 对象存储
+   * @param {Function} visit - (record, cursor) => void，可调用 cursor.update / cursor.delete
+   * @returns {Promise<void>} - 遍历结束时完成
+   */
+  static iterateStore(store, visit) {
+    return new Promise((resolve, reject) => {
+      const request = store.openCursor();
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        visit(cursor.value, cursor);
+        cursor.continue();
+      };
+
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * 回填旧数据：对 schemaVersion 低于 version 的记录执行 transform，并写入新的 schemaVersion
+   * @param {IDBTransaction} transaction - 升级事务
+   * @param {Array<string>} storeNames - 需要回填的对象存储
+   * @param {number} version - 迁移版本
+   * @param {Function} transform - (record) => void，就地修改记录
+   */
+  static backfill(transaction, storeNames, version, transform) {
+    return storeNames.reduce((previous, storeName) => {
+      return previous.then(() => DBSchema.iterateStore(transaction.objectStore(storeName), (record, cursor) => {
+        if ((record.schemaVersion || 0) >= version) return;
+        transform(record);
+        record.schemaVersion = version;
+        cursor.update(record);
+      }));
+    }, Promise.resolve());
+  }
+
+  /**
+   * 把按位置生成的消息ID（msg_<发送者>_position_<位置>）换成与页面提取相同规则的基于内容的ID
+   * （MessageUtils.assignContentIds，依赖 message-utils.js 已加载），回收站中会话内嵌的消息一并处理，
+   * 并改写引用这些ID的修订记录与检索索引
+   * @param {IDBTransaction} transaction - 升级事务
+   * @param {number} version - 迁移版本
+   */
+  static remapPositionalMessageIds(transaction, version) {
+    const { MESSAGES, REVISIONS, SEARCH_INDEX, TRASH } = DBSchema.STORES;
+    const messageStore = transaction.objectStore(MESSAGES);
+    const messagesByConversation = new Map();
+    const idMap = new Map();
+    const mapKey = (conversationId, messageId) => `${conversationId}\n${messageId}`;
+
+    const remapConversation = (conversationId, messages) => {
+      const remapped = DBSchema.contentIdMap(messages);
+      remapped.forEach((messageId, previousId) => idMap.set(mapKey(conversationId, previousId), messageId));
+      return remapped;
+    };
+
+    return DBSchema.iterateStore(messageStore, (message) => {
+      if (!messagesByConversation.has(message.conversationId)) {
+        messagesByConversation.set(message.conversationId, []);
+      }
+      messagesByConversation.get(message.conversationId).push(message);
+    }).then(() => {
+      messagesByConversation.forEach((messages, conversationId) => {
+        const remapped = remapConversation(conversationId, messages);
+        messages.forEach(message => {
+          if (!remapped.has(message.messageId)) return;
+          messageStore.delete([conversationId, message.messageId]);
+          messageStore.put(Object.assign({}, message, { messageId: remapped.get(message.messageId), schemaVersion: version }));
+        });
+      });
+
+      // 回收站中的会话连同消息整条保存，恢复时原样写回消息存储
+      return DBSchema.iterateStore(transaction.objectStore(TRASH), (entry, cursor) => {
+        if (!Array.isArray(entry.messages)) return;
+        const remapped = remapConversation(entry.conversationId, entry.messages);
+        if (remapped.size === 0) return;
+        entry.messages = entry.messages.map(message => remapped.has(message.messageId)
+          ? Object.assign({}, message, { messageId: remapped.get(message.messageId) })
+          : message);
+        entry.schemaVersion = version;
+        cursor.update(entry);
+      });
+    }).then(() => {
+      if (idMap.size === 0) return;
+
+      return DBSchema.iterateStore(transaction.objectStore(REVISIONS), (revision, cursor) => {
+        const messageId = idMap.get(mapKey(revision.conversationId, revision.messageId));
+        if (!messageId) return;
+        revision.messageId = messageId;
+        revision.schemaVersion = version;
+        cursor.update(revision);
+      }).then(() => {
+        // 检索索引的主键包含 messageId，只能删除后重新写入；先收集，遍历结束后再写，避免游标重复访问
+        const searchIndexStore = transaction.objectStore(SEARCH_INDEX);
+        const remapped = [];
+        return DBSchema.iterateStore(searchIndexStore, (entry, cursor) => {
+          const messageId = idMap.get(mapKey(entry.conversationId, entry.messageId));
+          if (!messageId) return;
+          cursor.delete();
+          remapped.push(Object.assign({}, entry, { messageId }));
+        }).then(() => {
+          remapped.forEach(entry => searchIndexStore.put(entry));
+        });
+      });
+    });
+  }
+
+  /**
+   * 为一个会话中按位置生成ID的消息计算基于内容的新ID（不修改消息）
+   * @param {Array} messages - 同一会话的全部消息
+   * @returns {Map<string, string>} - 原ID -> 新ID（没有按位置生成的ID时为空）
+   */
+  static contentIdMap(messages) {
+    const remapped = new Map();
+    if (!messages.some(message => MessageUtils.isPositionalId(message.messageId))) return remapped;
+
+    const ordered = MessageUtils.sortByPosition(messages.map(message => ({
+      sender: message.sender,
+      content: message.content,
+      position: message.position,
+      messageId: MessageUtils.isPositionalId(message.messageId) ? null : message.messageId,
+      previousId: message.messageId
+    })));
+    MessageUtils.assignContentIds(ordered);
+
+    ordered.forEach(({ previousId, messageId }) => {
+      if (messageId !== previousId) {
+        remapped.set(previousId, messageId);
+      }
+    });
+    return remapped;
+  }
+
+  /**
+   * 会话缺少标签或文件夹时补上默认值（就地修改）
+   */
+  static defaultTagsAndFolder(conversation) {
+    conversation.tags = Array.isArray(conversation.tags) ? conversation.tags : [];
+    conversation.folder = typeof conversation.folder === 'string' ? conversation.folder : '';
+  }
+
+  /**
+   * 备份中的 remapPositionalMessageIds：改写会话与回收站条目内嵌消息的ID，以及引用它们的修订记录
+   * @param {Object} backup - 备份（就地修改）
+   */
+  static remapBackupMessageIds(backup) {
+    const idMaps = new Map();
+    const remapMessages = (messages, remapped) => (messages || []).map(message =>
+      remapped.has(message.messageId) ? Object.assign({}, message, { messageId: remapped.get(message.messageId) }) : message
+    );
+
+    backup.conversations.concat(backup.trash || []).forEach(entry => {
+      if (!entry || !Array.isArray(entry.messages)) return;
+      const remapped = DBSchema.contentIdMap(entry.messages.concat(entry.branchMessages || []));
+      if (remapped.size === 0) return;
+
+      idMaps.set(entry.conversationId, remapped);
+      entry.messages = remapMessages(entry.messages, remapped);
+      if (Array.isArray(entry.branchMessages)) {
+        entry.branchMessages = remapMessages(entry.branchMessages, remapped);
+      }
+    });
+
+    (backup.revisions || []).forEach(revision => {
+      const remapped = idMaps.get(revision.conversationId);
+      if (remapped && remapped.has(revision.messageId)) {
+        revision.messageId = remapped.get(revision.messageId);
+      }
+    });
+  }
+
+  /**
+   * 把旧结构版本的备份升级到当前版本：依次执行高于备份版本的迁移中的 upgradeBackup（就地修改）
+   * 备份中的会话内嵌 messages/branchMessages，回收站条目内嵌 messages，修订记录为独立数组
+   * @param {Object} backup - 已校验的备份
+   * @returns {Object} - 同一个备份对象
+   */
+  static upgradeBackup(backup) {
+    DBSchema.MIGRATIONS
+      .filter(migration => migration.version > backup.schemaVersion && typeof migration.upgradeBackup === 'function')
+      .forEach(migration => {
+        console.log(`AI Chat Memory: 升级备份数据 v${migration.version}: ${migration.description}`);
+        migration.upgradeBackup(backup);
+      });
+
+    backup.schemaVersion = DBSchema.VERSION;
+    return backup;
+  }
+
+  /**
+   * 为即将写入的记录标记当前结构版本
+   * @returns {Object} - 同一个记录对象
+   */
+  static stamp(record) {
+    record.schemaVersion = DBSchema.VERSION;
+    return record;
+  }
+}
+
+// 导出数据库结构（页面与内容脚本挂到 window，后台 Service Worker 挂到 self）
+if (typeof window !== 'undefined') {
+  window.DBSchema = DBSchema;
+} else if (typeof self !== 'undefined') {
+  self.DBSchema = DBSchema;
+}
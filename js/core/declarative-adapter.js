@@ -0,0 +1,403 @@
+/**
+ * AI Chat Memory - 声明式适配器
+ * 按适配规则（见 adapter-specs.js）识别对话页面、提取对话ID与消息，规则中的字段可由用户逐项覆盖
+ * 内置平台的适配器继承本类，只重写规则无法描述的部分（思考过程、分支、引用来源等）
+ */
+
+class DeclarativeAdapter extends BasePlatformAdapter {
+  /**
+   * @param {Object} spec - 生效的适配规则
+   */
+  constructor(spec) {
+    super(spec.id);
+
+    this.spec = spec;
+    this.urlPatterns = AdapterSpecs.compilePatterns(spec.urlPatterns);
+    this.newConversationPatterns = AdapterSpecs.compilePatterns(spec.newConversationPatterns);
+    this.conversationIdPatterns = AdapterSpecs.compilePatterns(spec.conversationIdPatterns);
+  }
+
+  get displayName() {
+    return this.spec.name || this.spec.id;
+  }
+
+  /**
+   * 验证是否为有效的对话URL（匹配 urlPatterns 或新对话页面）
+   * @param {string} url - 要验证的URL
+   * @returns {boolean} - 是否为有效的对话URL
+   */
+  isValidConversationUrl(url) {
+    return this.urlPatterns.some(pattern => pattern.test(url)) || this.isNewConversationUrl(url);
+  }
+
+  /**
+   * 是否为新对话页面（匹配 newConversationPatterns）
+   * @param {string} url - 要检查的URL
+   * @returns {boolean}
+   */
+  isNewConversationUrl(url) {
+    return this.newConversationPatterns.some(pattern => pattern.test(url));
+  }
+
+  /**
+   * 规范链接：保留 canonicalQueryParams 中的查询参数
+   * @param {string} url - 页面URL
+   * @returns {string}
+   */
+  buildCanonicalLink(url) {
+    return this.canonicalizeUrl(url, AdapterSpecs.toList(this.spec.canonicalQueryParams));
+  }
+
+  /**
+   * 从URL中提取对话ID：依次尝试 conversationIdPatterns，第一个捕获组加上前缀即为对话ID
+   * @param {string} url - 要分析的URL
+   * @returns {Object} - 包含对话ID和是否为新对话的对象
+   */
+  extractConversationInfo(url) {
+    const result = {
+      conversationId: null,
+      isNewConversation: false
+    };
+
+    if (this.isNewConversationUrl(url)) {
+      result.conversationId = this.getTemporaryConversationId();
+      result.isNewConversation = true;
+      return result;
+    }
+
+    for (const pattern of this.conversationIdPatterns) {
+      const match = String(url || '').match(pattern);
+      if (match && match[1]) {
+        const conversationId = `${this.spec.conversationIdPrefix || ''}${this.sanitizeConversationId(match[1])}`;
+        // 避免重复刷屏日志，仅在变化时记录
+        if (this.lastLoggedConversationId !== conversationId) {
+          console.log(`AI Chat Memory: 提取到${this.displayName}对话ID: ${conversationId}`);
+          this.lastLoggedConversationId = conversationId;
+        }
+        result.conversationId = conversationId;
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 解码后把路径分隔符等字符替换为下划线，保证ID稳定
+   */
+  sanitizeConversationId(raw) {
+    let id = raw;
+    try {
+      id = decodeURIComponent(raw);
+    } catch (error) {
+      // 保留原始值
+    }
+    return id.replace(/[\/:?&=#%]/g, '_');
+  }
+
+  /**
+   * 检查元素是否为消息元素（本身、后代或祖先匹配 messageSelector）
+   * @param {Node} node - 要检查的DOM节点
+   * @returns {boolean} - 是否为消息元素
+   */
+  isMessageElement(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) {
+      return false;
+    }
+
+    const selector = AdapterSpecs.toList(this.spec.messageSelector).join(', ');
+    if (!selector) return false;
+    try {
+      return node.matches(selector) || !!node.querySelector(selector) || !!node.closest(selector);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 标题取侧边栏中指向当前对话的条目，其次是去掉平台名称的页面标题
+   * @returns {string|null} - 提取的标题或null
+   */
+  extractTitle() {
+    const name = this.displayName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const title = this.readConversationLinkTitle() ||
+      (document.title || '').replace(new RegExp(`\\s*[-|–•]\\s*${name}\\s*$`, 'i'), '').trim();
+    if (title && title.toLowerCase() !== this.displayName.toLowerCase()) {
+      return title.length > 50 ? title.substring(0, 50) + '...' : title;
+    }
+    return null;
+  }
+
+  /**
+   * 提取页面上的所有消息
+   * @returns {Array} - 消息数组
+   */
+  extractMessages() {
+    const messages = [];
+
+    const container = this.findContainer();
+    if (!container) {
+      console.log(`AI Chat Memory: 未找到${this.displayName}对话容器`);
+      return messages;
+    }
+
+    const elements = this.findMessageElements(container);
+    if (this.isEditing(container, elements)) {
+      console.log('AI Chat Memory: 检测到用户正在编辑，跳过消息提取');
+      return [];
+    }
+
+    console.log(`AI Chat Memory: 找到 ${elements.length} 个${this.displayName}消息元素`);
+
+    elements.forEach((element, index) => {
+      const message = this.extractMessage(element, index);
+      if (message) {
+        messages.push(message);
+      }
+    });
+
+    console.log(`AI Chat Memory: ${this.displayName}成功提取 ${messages.length} 条消息`);
+    // 没有原生消息ID的平台使用基于内容的ID
+    return this.assignMessageIds(messages);
+  }
+
+  /**
+   * 从单个消息元素提取消息，无法识别发送者或没有内容时返回 null
+   * @param {Element} element - 消息元素
+   * @param {number} index - 消息元素的位置
+   * @returns {Object|null}
+   */
+  extractMessage(element, index) {
+    const sender = this.readSender(element);
+    if (!sender) return null;
+
+    if (sender === 'user') {
+      const content = this.extractUserContent(element);
+      if (!content) return null;
+
+      return {
+        messageId: this.readNativeMessageId(element),
+        sender,
+        content,
+        thinking: '',
+        position: index,
+        createdAt: this.readMessageTimestamp(element),
+        ...this.readMessageBranch(element, sender)
+      };
+    }
+
+    const { thinking, thinkingDuration, section } = this.extractThinking(element);
+    const content = this.extractAnswer(element, section);
+    if (!content) return null;
+
+    return {
+      messageId: this.readNativeMessageId(element),
+      sender,
+      content,
+      thinking,
+      thinkingDuration,
+      position: index,
+      createdAt: this.readMessageTimestamp(element),
+      ...this.readMessageBranch(element, sender)
+    };
+  }
+
+  /**
+   * 按 selector 字段在 root 中查找元素：数组按顺序尝试，返回第一个找到的元素
+   */
+  querySpecSelector(root, value) {
+    for (const selector of AdapterSpecs.toList(value)) {
+      try {
+        const element = root.querySelector(selector);
+        if (element) return element;
+      } catch (error) {
+        console.warn(`AI Chat Memory: 无效的选择器 ${selector}:`, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 对话容器（containerSelector），未配置时为整个页面
+   * @returns {Element|null}
+   */
+  findContainer() {
+    if (AdapterSpecs.toList(this.spec.containerSelector).length === 0) {
+      return document.body;
+    }
+    return this.querySpecSelector(document, this.spec.containerSelector);
+  }
+
+  /**
+   * 容器中的消息元素：messageSelector 为数组时使用第一个有匹配的选择器；
+   * 按文档顺序排列，嵌套匹配时只保留最外层
+   * @param {Element} container - 对话容器
+   * @returns {Array<Element>}
+   */
+  findMessageElements(container) {
+    for (const selector of AdapterSpecs.toList(this.spec.messageSelector)) {
+      let elements;
+      try {
+        elements = Array.from(container.querySelectorAll(selector));
+      } catch (error) {
+        console.warn(`AI Chat Memory: 无效的选择器 ${selector}:`, error);
+        continue;
+      }
+      if (elements.length > 0) {
+        return elements.filter(element => !element.parentElement || !element.parentElement.closest(selector));
+      }
+    }
+    return [];
+  }
+
+  /**
+   * 懒加载较早消息的平台判断页面是否已包含完整对话（供 isFullConversationLoaded 使用）：
+   * 页面上有消息，没有“加载更早消息”的控件或加载动画，并且已滚动到对话开头
+   * @param {Array<string>} loadingSelectors - 加载更早消息的按钮或加载动画
+   * @returns {boolean}
+   */
+  isConversationStartLoaded(loadingSelectors) {
+    const container = this.findContainer();
+    const elements = container ? this.findMessageElements(container) : [];
+    if (elements.length === 0 || this.hasVisibleElement(loadingSelectors)) {
+      return false;
+    }
+    return this.isScrolledToConversationStart(elements[0]);
+  }
+
+  /**
+   * 用户正在编辑消息时跳过提取，避免保存未完成的修改
+   */
+  isEditing(container, elements) {
+    return this.isInEditMode(container);
+  }
+
+  /**
+   * 元素本身、祖先或后代是否匹配选择器字段
+   */
+  matchesSpecSelector(element, value) {
+    return AdapterSpecs.toList(value).some(selector => {
+      try {
+        return !!element.closest(selector) || !!element.querySelector(selector);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * 判断消息发送者：匹配 userSelector 为用户；配置了 assistantSelector 时只有匹配的元素是AI回答，
+   * 只配置了其中一个时其余消息属于另一方；都未配置或都不匹配时返回 null
+   * @param {Element} element - 消息元素
+   * @returns {string|null} - 'user'、'AI' 或 null
+   */
+  readSender(element) {
+    const hasUserSelector = AdapterSpecs.toList(this.spec.userSelector).length > 0;
+    const hasAssistantSelector = AdapterSpecs.toList(this.spec.assistantSelector).length > 0;
+
+    if (hasUserSelector && this.matchesSpecSelector(element, this.spec.userSelector)) {
+      return 'user';
+    }
+    if (hasAssistantSelector) {
+      if (this.matchesSpecSelector(element, this.spec.assistantSelector)) return 'AI';
+      return hasUserSelector ? null : 'user';
+    }
+    return hasUserSelector ? 'AI' : null;
+  }
+
+  /**
+   * 消息正文元素（AI回答用 contentSelector，用户消息用 userContentSelector）
+   * 数组按顺序尝试，取第一个有文字且不在 excluded 中的元素；:scope 表示消息元素本身；未配置时为消息元素本身
+   * @param {Element} element - 消息元素
+   * @param {string} sender - 'user' 或 'AI'
+   * @param {Element|null} excluded - 不在其中查找的区域（如思考过程）
+   * @returns {Element|null}
+   */
+  findContentElement(element, sender, excluded = null) {
+    const selectors = AdapterSpecs.toList(sender === 'user'
+      ? (this.spec.userContentSelector || this.spec.contentSelector)
+      : this.spec.contentSelector);
+    if (selectors.length === 0) {
+      return element;
+    }
+
+    for (const selector of selectors) {
+      if (selector === ':scope') {
+        return element;
+      }
+      let candidates;
+      try {
+        candidates = Array.from(element.querySelectorAll(selector));
+      } catch (error) {
+        console.warn(`AI Chat Memory: 无效的选择器 ${selector}:`, error);
+        continue;
+      }
+      const match = candidates.find(candidate =>
+        (!excluded || !excluded.contains(candidate)) && (candidate.textContent || '').trim()
+      );
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * 用户消息的纯文本
+   * @param {Element} element - 消息元素
+   * @returns {string}
+   */
+  extractUserContent(element) {
+    return this.extractPlainText(this.findContentElement(element, 'user'));
+  }
+
+  /**
+   * AI回答的正文（Markdown），思考区域不计入
+   * @param {Element} element - 消息元素
+   * @param {Element|null} thinkingSection - extractThinking 返回的思考区域
+   * @returns {string}
+   */
+  extractAnswer(element, thinkingSection) {
+    const contentElement = this.findContentElement(element, 'AI', thinkingSection);
+    return contentElement ? this.extractFormattedContent(contentElement, thinkingSection ? [thinkingSection] : []) : '';
+  }
+
+  /**
+   * 提取回答的思考过程与用时，默认没有思考过程
+   * @param {Element} element - 消息元素
+   * @returns {Object} - { thinking, thinkingDuration, section: 思考区域元素（正文中需忽略） }
+   */
+  extractThinking(element) {
+    return { thinking: '', thinkingDuration: null, section: null };
+  }
+
+  /**
+   * 消息的分支位置（siblingIndex/siblingCount），默认不记录
+   */
+  readMessageBranch(element, sender) {
+    return {};
+  }
+
+  /**
+   * 读取 messageIdAttribute 中的原生消息ID，没有时返回 null
+   * @param {Element} element - 消息元素
+   * @returns {string|null}
+   */
+  readNativeMessageId(element) {
+    for (const attribute of AdapterSpecs.toList(this.spec.messageIdAttribute)) {
+      const value = (element.getAttribute(attribute) || '').trim();
+      if (value) return value;
+    }
+    return null;
+  }
+
+  /**
+   * noiseSelectors 中的界面元素不计入内容
+   */
+  getMarkdownOptions() {
+    return { ignoreSelectors: AdapterSpecs.toList(this.spec.noiseSelectors) };
+  }
+}
+
+// 导出声明式适配器
+if (typeof window !== 'undefined') {
+  window.DeclarativeAdapter = DeclarativeAdapter;
+}
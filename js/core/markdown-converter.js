@@ -0,0 +1,338 @@
+/**
+ * AI Chat Memory - DOM 转 Markdown
+ * 把页面渲染后的回答还原为 GitHub 风格的 Markdown：标题、列表层级、链接、表格、
+ * 带语言的代码块、行内代码与公式（KaTeX 源码）；按钮、图标等平台界面元素不计入内容
+ * 回答原本就是 Markdown 渲染的结果，文本中的 * _ 等字符不做转义
+ */
+
+class MarkdownConverter {
+  /**
+   * 默认忽略的界面元素（复制按钮、图标、屏幕阅读器专用文本等）
+   */
+  static get IGNORED_SELECTORS() {
+    return [
+      'button',
+      'svg',
+      'script',
+      'style',
+      'noscript',
+      'template',
+      'textarea',
+      'input',
+      'select',
+      '[hidden]',
+      '[aria-hidden="true"]',
+      '[role="toolbar"]',
+      '.sr-only'
+    ];
+  }
+
+  /**
+   * 按块级处理（前后空行分隔）的元素
+   */
+  static get BLOCK_TAGS() {
+    return new Set([
+      'address', 'article', 'aside', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+      'footer', 'header', 'li', 'main', 'nav', 'p', 'section', 'summary'
+    ]);
+  }
+
+  /**
+   * 转换元素的内容
+   * @param {Element} element - 回答内容的根元素（自身不会被忽略）
+   * @param {Object} options
+   *   ignoreSelectors: Array<string> 额外忽略的平台界面元素
+   *   ignoreElements: Array<Element> 额外忽略的具体元素（无法用选择器描述时，如按按钮文字找到的区域）
+   *   getCodeLanguage: (pre) => string|null 平台把代码语言写在代码块标题等位置时，由适配器读取
+   *   citationSelectors: Array<string> 正文中的引用角标（输出为 [n]，n 取自 data-index 或角标文字）
+   *   getCitationIndex: (node) => number|null 角标显示的不是编号（如来源网站名）时，由适配器给出编号
+   * @returns {string}
+   */
+  static convert(element, options = {}) {
+    if (!element) return '';
+
+    const context = {
+      ignoreSelector: MarkdownConverter.IGNORED_SELECTORS.concat(options.ignoreSelectors || []).join(', '),
+      ignoredElements: new Set(options.ignoreElements || []),
+      getCodeLanguage: options.getCodeLanguage || null,
+      citationSelector: (options.citationSelectors || []).join(', '),
+      getCitationIndex: options.getCitationIndex || null,
+      codeBlocks: []
+    };
+
+    return MarkdownConverter.finishBlock(MarkdownConverter.convertChildren(element, context), context);
+  }
+
+  static convertChildren(node, context) {
+    return Array.from(node.childNodes).map(child => MarkdownConverter.convertNode(child, context)).join('');
+  }
+
+  static convertNode(node, context) {
+    if (node.nodeType === 3) {
+      return node.nodeValue.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== 1) {
+      return '';
+    }
+
+    // 公式的可见部分带 aria-hidden，先于忽略规则处理
+    if (node.classList.contains('katex-display') || node.classList.contains('katex')) {
+      return MarkdownConverter.convertMath(node, context);
+    }
+    if (node.matches(context.ignoreSelector) || context.ignoredElements.has(node)) {
+      return '';
+    }
+    if (context.citationSelector && node.matches(context.citationSelector)) {
+      return MarkdownConverter.convertCitation(node, context);
+    }
+
+    const tag = node.tagName.toLowerCase();
+    switch (tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${MarkdownConverter.convertInline(node, context)}\n\n`;
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'pre':
+        return MarkdownConverter.convertCodeBlock(node, context);
+      case 'code':
+        return MarkdownConverter.wrapInlineCode(node.textContent || '');
+      case 'strong':
+      case 'b':
+        return MarkdownConverter.wrapInline(MarkdownConverter.convertChildren(node, context), '**');
+      case 'em':
+      case 'i':
+        return MarkdownConverter.wrapInline(MarkdownConverter.convertChildren(node, context), '*');
+      case 'del':
+      case 's':
+      case 'strike':
+        return MarkdownConverter.wrapInline(MarkdownConverter.convertChildren(node, context), '~~');
+      case 'a':
+        return MarkdownConverter.convertLink(node, context);
+      case 'img':
+        return MarkdownConverter.convertImage(node);
+      case 'ul':
+      case 'ol':
+        return MarkdownConverter.convertList(node, context);
+      case 'blockquote':
+        return MarkdownConverter.convertBlockquote(node, context);
+      case 'table':
+        return MarkdownConverter.convertTable(node, context);
+      default:
+        if (MarkdownConverter.BLOCK_TAGS.has(tag)) {
+          return `\n\n${MarkdownConverter.convertChildren(node, context).trim()}\n\n`;
+        }
+        return MarkdownConverter.convertChildren(node, context);
+    }
+  }
+
+  /**
+   * 转为单行文本（标题、表格单元格）
+   */
+  static convertInline(node, context) {
+    const text = MarkdownConverter.restoreCodeBlocks(MarkdownConverter.convertChildren(node, context), context);
+    return text.replace(/\s*\n\s*/g, ' ').trim();
+  }
+
+  static wrapInline(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+  }
+
+  /**
+   * 行内代码：内容含反引号时使用更长的反引号包裹
+   */
+  static wrapInlineCode(text) {
+    if (!text) return '';
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+  }
+
+  static convertLink(node, context) {
+    const text = MarkdownConverter.convertChildren(node, context).trim();
+    const href = node.getAttribute('href') || '';
+    if (!text || !href || href.startsWith('#') || /^javascript:/i.test(href)) {
+      return text;
+    }
+    // href 属性可能是相对路径，node.href 为解析后的绝对地址
+    return `[${text}](${node.href || href})`;
+  }
+
+  static convertImage(node) {
+    const alt = (node.getAttribute('alt') || '').trim();
+    const src = node.getAttribute('src') || '';
+    if (!src || src.startsWith('data:')) {
+      return alt;
+    }
+    return `![${alt}](${node.src || src})`;
+  }
+
+  /**
+   * 引用角标：统一为 [n]，读不到编号时不输出
+   */
+  static convertCitation(node, context) {
+    const index = context.getCitationIndex && context.getCitationIndex(node);
+    if (index) return `[${index}]`;
+
+    const value = node.getAttribute('data-index') || node.getAttribute('data-num') || node.textContent || '';
+    const match = value.match(/\d+/);
+    return match ? `[${match[0]}]` : '';
+  }
+
+  /**
+   * KaTeX 公式：取 annotation 中的 TeX 源码，块级公式用 $$ 包裹
+   */
+  static convertMath(node, context) {
+    const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+    if (!annotation) {
+      return node.matches(context.ignoreSelector) ? '' : MarkdownConverter.convertChildren(node, context);
+    }
+
+    const tex = annotation.textContent.trim();
+    return node.classList.contains('katex-display') ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+  }
+
+  /**
+   * 代码块：代码文本原样保留
+   */
+  static convertCodeBlock(pre, context) {
+    const code = pre.querySelector('code') || pre;
+    const text = (code.textContent || '').replace(/\n$/, '');
+    const language = (context.getCodeLanguage && context.getCodeLanguage(pre)) ||
+      MarkdownConverter.detectCodeLanguage(pre, code);
+
+    const longestRun = Math.max(0, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+    return MarkdownConverter.protectBlock(`${fence}${language || ''}\n${text}\n${fence}`, context);
+  }
+
+  /**
+   * 已排好版的块（代码块，以及内部可能含代码块的列表、引用）放入占位符，外层整理空白时不再改动
+   */
+  static protectBlock(text, context) {
+    context.codeBlocks.push(text);
+    return `\n\n\u0000${context.codeBlocks.length - 1}\u0000\n\n`;
+  }
+
+  /**
+   * 从 language-xxx / lang-xxx 类名或 data-language 属性读取代码语言
+   */
+  static detectCodeLanguage(pre, code) {
+    const candidates = [code, pre];
+    for (let parent = pre.parentElement, depth = 0; parent && depth < 3; parent = parent.parentElement, depth++) {
+      candidates.push(parent);
+    }
+
+    for (const element of candidates) {
+      const attribute = element.getAttribute('data-language') || element.getAttribute('data-lang');
+      if (attribute) return attribute.trim();
+
+      const match = (element.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+      if (match) return match[1];
+    }
+    return '';
+  }
+
+  static convertList(node, context) {
+    const ordered = node.tagName.toLowerCase() === 'ol';
+    let number = ordered ? (parseInt(node.getAttribute('start'), 10) || 1) : 0;
+
+    const items = Array.from(node.children).filter(child =>
+      child.tagName.toLowerCase() === 'li' && !child.matches(context.ignoreSelector)
+    );
+    // 列表项中有段落时为松散列表，项之间保留空行
+    const loose = items.some(item => Array.from(item.children).some(child => child.tagName.toLowerCase() === 'p'));
+
+    const lines = items.map(item => {
+      const marker = ordered ? `${number++}. ` : '- ';
+      const checkbox = item.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+      const taskMarker = checkbox ? (checkbox.checked ? '[x] ' : '[ ] ') : '';
+
+      let content = MarkdownConverter.normalizeBlocks(MarkdownConverter.convertChildren(item, context));
+      if (!loose) {
+        content = content.replace(/\n{2,}/g, '\n');
+      }
+      content = MarkdownConverter.restoreCodeBlocks(content, context);
+
+      const indent = ' '.repeat(marker.length);
+      return marker + taskMarker + content
+        .split('\n')
+        .map((line, index) => (index === 0 || !line ? line : indent + line))
+        .join('\n');
+    });
+
+    return MarkdownConverter.protectBlock(lines.join(loose ? '\n\n' : '\n'), context);
+  }
+
+  static convertBlockquote(node, context) {
+    const content = MarkdownConverter.finishBlock(MarkdownConverter.convertChildren(node, context), context);
+    if (!content) return '';
+    return MarkdownConverter.protectBlock(content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'), context);
+  }
+
+  static convertTable(table, context) {
+    const rows = Array.from(table.querySelectorAll('tr')).filter(row => row.closest('table') === table);
+    if (rows.length === 0) return '';
+
+    const cellsOf = row => Array.from(row.children).filter(cell => /^(td|th)$/i.test(cell.tagName));
+    const matrix = rows.map(row => cellsOf(row).map(cell =>
+      MarkdownConverter.convertInline(cell, context).replace(/\|/g, '\\|')
+    ));
+    const width = Math.max(...matrix.map(cells => cells.length));
+    if (width === 0) return '';
+
+    const alignments = cellsOf(rows[0]).map(cell => {
+      const align = (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase();
+      if (align === 'center') return ':---:';
+      if (align === 'right') return '---:';
+      if (align === 'left') return ':---';
+      return '---';
+    });
+
+    const formatRow = cells => {
+      const padded = cells.concat(new Array(width - cells.length).fill(''));
+      return `| ${padded.join(' | ')} |`;
+    };
+    const separator = formatRow(Array.from({ length: width }, (_, index) => alignments[index] || '---'));
+
+    return `\n\n${[formatRow(matrix[0]), separator].concat(matrix.slice(1).map(formatRow)).join('\n')}\n\n`;
+  }
+
+  /**
+   * 整理空白并还原代码块
+   */
+  static finishBlock(text, context) {
+    return MarkdownConverter.restoreCodeBlocks(MarkdownConverter.normalizeBlocks(text), context);
+  }
+
+  /**
+   * 去掉行尾空白，块之间最多保留一个空行
+   */
+  static normalizeBlocks(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/^\n+|\n+$/g, '');
+  }
+
+  static restoreCodeBlocks(text, context) {
+    return text.replace(/\u0000(\d+)\u0000/g, (_, index) => context.codeBlocks[Number(index)]);
+  }
+}
+
+// 导出 Markdown 转换工具
+if (typeof window !== 'undefined') {
+  window.MarkdownConverter = MarkdownConverter;
+}
@@ -0,0 +1,577 @@
+/**
+ * AI Chat Memory - 消息合并与差异计算工具
+ * 后台脚本与 StorageManager 共用，保证两条保存路径的合并、差异与修订规则一致
+ */
+
+class MessageUtils {
+  /**
+   * 计算已存储消息与目标消息列表之间的变化（按 messageId 对比）
+   * @param {Array} storedMessages - 已存储的消息
+   * @param {Array} currentMessages - 合并后应写入的消息
+   * @returns {Object} - { newMessages, updatedMessages, removedMessages }
+   */
+  static calculateMessageChanges(storedMessages, currentMessages) {
+    const changes = {
+      newMessages: [],
+      updatedMessages: [],
+      removedMessages: []
+    };
+
+    const storedMap = new Map();
+    storedMessages.forEach(msg => {
+      storedMap.set(msg.messageId, msg);
+    });
+
+    const currentMap = new Map();
+    currentMessages.forEach(msg => {
+      currentMap.set(msg.messageId, msg);
+    });
+
+    // 找出新消息与变化的消息（内容、思考过程、来源或位置变化）
+    currentMessages.forEach(msg => {
+      const stored = storedMap.get(msg.messageId);
+      if (!stored) {
+        changes.newMessages.push(msg);
+      } else if (stored.content !== msg.content ||
+                 (stored.thinking || '') !== (msg.thinking || '') ||
+                 (stored.thinkingDuration || null) !== (msg.thinkingDuration || null) ||
+                 !MessageUtils.sameSources(stored.sources, msg.sources) ||
+                 stored.position !== msg.position ||
+                 stored.createdAt !== msg.createdAt ||
+                 (stored.parentId || null) !== (msg.parentId || null) ||
+                 stored.siblingIndex !== msg.siblingIndex ||
+                 !!stored.inactiveBranch !== !!msg.inactiveBranch) {
+        changes.updatedMessages.push({
+          messageId: msg.messageId,
+          oldContent: stored.content,
+          newContent: msg.content
+        });
+      }
+    });
+
+    // 找出删除的消息
+    storedMessages.forEach(msg => {
+      if (!currentMap.has(msg.messageId)) {
+        changes.removedMessages.push(msg);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * 将页面当前可见的消息合并进已存储的消息
+   * 页面可能只渲染了部分轮次（虚拟列表、懒加载），因此默认取并集：
+   * 先根据稳定ID与“发送者 + 内容”相同的消息推断可见部分在完整对话中的偏移，
+   * 再按偏移后的位置逐条对齐；只有 isCompleteSnapshot 为 true 时才允许删除未出现的消息
+   *
+   * 消息构成一棵树：当前路径上的消息按 position 排列并以 parentId 串联，
+   * 其他分支（重新生成的回答、编辑前的提问及其后续）带 inactiveBranch 标记保留，不会被删除或覆盖。
+   * 页面在某一轮显示的分支（siblingIndex）与已存储的不同时，从该轮起的已存储消息转为非当前分支，
+   * 页面上的消息若与非当前分支中的消息ID相同则恢复为当前分支
+   * @param {Array} storedMessages - 已存储的消息（含非当前分支）
+   * @param {Array} currentMessages - 页面当前提取的消息（带 inactiveBranch 的视为额外的非当前分支消息）
+   * @param {Object} options - { isCompleteSnapshot: 页面是否确定包含完整对话 }
+   * @returns {Array} - 合并后的消息列表（当前路径的 position 为合并后的顺序，其后是非当前分支的消息）
+   */
+  static mergeMessages(storedMessages, currentMessages, options = {}) {
+    const allStored = storedMessages || [];
+    const activeStored = MessageUtils.linkActivePath(
+      MessageUtils.sortByPosition(allStored.filter(msg => !msg.inactiveBranch).map(msg => Object.assign({}, msg))),
+      false
+    );
+    const current = (currentMessages || []).filter(msg => !msg.inactiveBranch);
+    const reservedIds = new Set(allStored.map(msg => msg.messageId));
+
+    // 非当前分支的消息：已存储的，加上调用方带来的（如备份、其他会话合并）中尚未保存过的
+    const branchPool = new Map();
+    allStored.concat((currentMessages || []).filter(msg => msg.inactiveBranch && !reservedIds.has(msg.messageId)))
+      .filter(msg => msg.inactiveBranch)
+      .forEach(msg => branchPool.set(msg.messageId, Object.assign({}, msg)));
+
+    const divergence = MessageUtils.findBranchDivergence(activeStored, current);
+    let merged;
+
+    if (!divergence) {
+      merged = MessageUtils.mergeLinear(activeStored, current, options, reservedIds);
+    } else {
+      merged = MessageUtils.mergeLinear(
+        activeStored.slice(0, divergence.storedIndex),
+        current.slice(0, divergence.currentIndex),
+        options,
+        reservedIds
+      );
+
+      activeStored.slice(divergence.storedIndex).forEach(msg => {
+        branchPool.set(msg.messageId, Object.assign(msg, { inactiveBranch: true }));
+      });
+
+      const usedIds = new Set([...reservedIds, ...merged.map(msg => msg.messageId)]);
+      current.slice(divergence.currentIndex).forEach(msg => {
+        const position = merged.length;
+        const previous = branchPool.get(msg.messageId);
+        if (previous) {
+          branchPool.delete(msg.messageId);
+          const restored = Object.assign({}, previous, msg, { position });
+          delete restored.inactiveBranch;
+          merged.push(restored);
+          return;
+        }
+
+        const messageId = msg.messageId && !usedIds.has(msg.messageId) ?
+          msg.messageId : MessageUtils.uniqueMessageId(msg, usedIds, MessageUtils.turnIndex(merged, msg));
+        usedIds.add(messageId);
+        merged.push(Object.assign({}, msg, { messageId, position }));
+      });
+    }
+
+    MessageUtils.linkActivePath(merged, true);
+    MessageUtils.keepCapturedThinking(allStored, merged);
+    return MessageUtils.applyTimestamps(allStored, merged.concat([...branchPool.values()]));
+  }
+
+  /**
+   * 思考过程折叠且尚未读到时页面提取为空，此时沿用已保存的思考过程与用时（就地修改）
+   * 只在正文未变化时沿用，重新生成的回答不会带上旧的思考过程
+   * @param {Array} storedMessages - 已存储的消息
+   * @param {Array} messages - 合并后的消息
+   */
+  static keepCapturedThinking(storedMessages, messages) {
+    const storedMap = new Map((storedMessages || []).map(msg => [msg.messageId, msg]));
+
+    messages.forEach(msg => {
+      const stored = storedMap.get(msg.messageId);
+      if (!stored || !stored.thinking || msg.thinking || stored.content !== msg.content) return;
+      msg.thinking = stored.thinking;
+      if (!msg.thinkingDuration && stored.thinkingDuration) {
+        msg.thinkingDuration = stored.thinkingDuration;
+      }
+    });
+  }
+
+  /**
+   * 按位置对齐合并当前路径上的消息（不涉及分支）
+   * @param {Array} stored - 已存储的当前路径消息（已按位置排序）
+   * @param {Array} current - 页面当前提取的消息
+   * @param {Object} options - { isCompleteSnapshot }
+   * @param {Set} reservedIds - 已被占用的消息ID（含非当前分支），新消息不能与之重复
+   * @returns {Array}
+   */
+  static mergeLinear(stored, current, options, reservedIds) {
+    if (options.isCompleteSnapshot || stored.length === 0) {
+      const usedIds = new Set(reservedIds);
+      stored.forEach(msg => usedIds.delete(msg.messageId));
+      return current.map((msg, index) => {
+        const position = typeof msg.position === 'number' ? msg.position : index;
+        const messageId = msg.messageId && !usedIds.has(msg.messageId) ?
+          msg.messageId : MessageUtils.uniqueMessageId(msg, usedIds, MessageUtils.turnIndex(current.slice(0, index), msg));
+        usedIds.add(messageId);
+        return Object.assign({}, msg, { messageId, position });
+      });
+    }
+
+    const offset = MessageUtils.findAlignmentOffset(stored, current);
+    // 可见部分从已存储消息之前开始时，整体后移已存储消息
+    const shift = Math.max(0, -offset);
+
+    const slots = [];
+    stored.forEach((msg, index) => {
+      slots[index + shift] = { stored: msg };
+    });
+    current.forEach((msg, index) => {
+      const slot = index + offset + shift;
+      slots[slot] = Object.assign(slots[slot] || {}, { current: msg });
+    });
+
+    const usedIds = new Set([...reservedIds, ...stored.map(msg => msg.messageId)]);
+    const merged = [];
+
+    slots.forEach(slot => {
+      if (!slot) return;
+      const position = merged.length;
+
+      if (slot.current && slot.stored && slot.current.sender === slot.stored.sender) {
+        // 同一条消息：沿用已存储的ID，内容以页面为准（旧内容由修订历史保留）
+        merged.push(Object.assign({}, slot.current, { messageId: slot.stored.messageId, position }));
+      } else if (slot.current) {
+        // 新消息，或同一位置上发送者不同（页面结构变化），以页面为准
+        const reusable = slot.current.messageId &&
+          (!usedIds.has(slot.current.messageId) || (slot.stored && slot.stored.messageId === slot.current.messageId));
+        const messageId = reusable ?
+          slot.current.messageId : MessageUtils.uniqueMessageId(slot.current, usedIds, MessageUtils.turnIndex(merged, slot.current));
+        usedIds.add(messageId);
+        merged.push(Object.assign({}, slot.current, { messageId, position }));
+      } else {
+        merged.push(Object.assign({}, slot.stored, { position }));
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * 找出页面显示的分支与已存储当前路径开始不同的一轮
+   * 适配器提供 siblingIndex 时才比较（已存储消息缺少时视为第一个分支）
+   * @returns {Object|null} - { storedIndex, currentIndex }
+   */
+  static findBranchDivergence(activeStored, current) {
+    if (activeStored.length === 0 || !current.some(msg => typeof msg.siblingIndex === 'number')) {
+      return null;
+    }
+
+    const offset = MessageUtils.findAlignmentOffset(activeStored, current);
+    for (let index = 0; index < current.length; index++) {
+      const msg = current[index];
+      const stored = activeStored[index + offset];
+      if (stored && typeof msg.siblingIndex === 'number' && stored.sender === msg.sender &&
+          (stored.siblingIndex || 0) !== msg.siblingIndex) {
+        return { storedIndex: index + offset, currentIndex: index };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 以 parentId 串联当前路径（每条消息的父消息为前一条消息）
+   * @param {Array} messages - 按位置排列的当前路径消息（就地修改）
+   * @param {boolean} overwrite - 是否覆盖已有的 parentId（为 false 时只补全缺少的）
+   * @returns {Array}
+   */
+  static linkActivePath(messages, overwrite) {
+    messages.forEach((msg, index) => {
+      if (overwrite || msg.parentId === undefined) {
+        msg.parentId = index > 0 ? messages[index - 1].messageId : null;
+      }
+    });
+    return messages;
+  }
+
+  /**
+   * 根据消息树生成要显示的路径
+   * 从根开始逐层选择子消息：优先使用 selections 中为该父消息选定的分支，否则选当前路径上的消息
+   * @param {Array} messages - 全部消息（当前路径与非当前分支）
+   * @param {Map} selections - 父消息ID（根为空字符串）-> 选中的子消息ID
+   * @returns {Array} - [{ message, siblings }]，siblings 为同一父消息下同一发送者的全部分支（按 siblingIndex 排序）
+   */
+  static buildBranchPath(messages, selections = new Map()) {
+    const children = new Map();
+    MessageUtils.sortByPosition([...messages]).forEach(msg => {
+      const parentKey = msg.parentId || '';
+      if (!children.has(parentKey)) {
+        children.set(parentKey, []);
+      }
+      children.get(parentKey).push(msg);
+    });
+
+    const path = [];
+    const visited = new Set();
+    let parentKey = '';
+
+    while (children.has(parentKey) && !visited.has(parentKey)) {
+      visited.add(parentKey);
+      const candidates = children.get(parentKey);
+      const chosen = candidates.find(msg => msg.messageId === selections.get(parentKey)) ||
+        candidates.find(msg => !msg.inactiveBranch) ||
+        candidates[0];
+
+      const siblings = candidates
+        .filter(msg => msg.sender === chosen.sender)
+        .sort((a, b) => (a.siblingIndex || 0) - (b.siblingIndex || 0));
+
+      path.push({ message: chosen, siblings });
+      parentKey = chosen.messageId;
+    }
+
+    return path;
+  }
+
+  /**
+   * 补全消息时间（就地修改并返回同一数组）
+   * createdAt：优先使用适配器从页面读到的平台时间，否则沿用已存储的首次保存时间，新消息取 now；
+   * updatedAt：内容或思考过程变化时为 now，未变化时沿用已存储的值
+   * @param {Array} storedMessages - 已存储的消息（按 messageId 对应）
+   * @param {Array} messages - 即将写入的消息
+   * @param {string} now - 当前时间（新建会话时可传入会话的创建时间）
+   * @returns {Array}
+   */
+  static applyTimestamps(storedMessages, messages, now = new Date().toISOString()) {
+    const storedMap = new Map((storedMessages || []).map(msg => [msg.messageId, msg]));
+
+    messages.forEach(msg => {
+      const stored = storedMap.get(msg.messageId);
+      msg.createdAt = msg.createdAt || (stored && stored.createdAt) || now;
+
+      if (!stored) {
+        msg.updatedAt = msg.updatedAt || msg.createdAt;
+      } else if (stored.content !== msg.content || (stored.thinking || '') !== (msg.thinking || '')) {
+        msg.updatedAt = now;
+      } else {
+        msg.updatedAt = stored.updatedAt || stored.createdAt || msg.createdAt;
+      }
+    });
+
+    return messages;
+  }
+
+  /**
+   * 推断页面可见消息相对已存储消息的偏移（已存储下标 - 页面下标）
+   * 稳定ID（非位置生成的ID）相同计 2 票，发送者与内容相同计 1 票，取票数最多的偏移；
+   * 平票时优先尾部对齐（懒加载通常只渲染最近的轮次），无任何匹配时按位置对齐
+   */
+  static findAlignmentOffset(storedMessages, currentMessages) {
+    const storedIndexById = new Map();
+    const storedIndexesByKey = new Map();
+
+    storedMessages.forEach((msg, index) => {
+      if (msg.messageId && !MessageUtils.isPositionalId(msg.messageId)) {
+        storedIndexById.set(msg.messageId, index);
+      }
+      const key = MessageUtils.contentKey(msg);
+      if (!key) return;
+      if (!storedIndexesByKey.has(key)) {
+        storedIndexesByKey.set(key, []);
+      }
+      storedIndexesByKey.get(key).push(index);
+    });
+
+    const votes = new Map();
+    const vote = (offset, weight) => {
+      votes.set(offset, (votes.get(offset) || 0) + weight);
+    };
+
+    currentMessages.forEach((msg, index) => {
+      if (msg.messageId && storedIndexById.has(msg.messageId)) {
+        vote(storedIndexById.get(msg.messageId) - index, 2);
+      }
+      (storedIndexesByKey.get(MessageUtils.contentKey(msg)) || []).forEach(storedIndex => {
+        vote(storedIndex - index, 1);
+      });
+    });
+
+    if (votes.size === 0) {
+      return 0;
+    }
+
+    const tailOffset = storedMessages.length - currentMessages.length;
+    let bestOffset = 0;
+    let bestVotes = -1;
+    votes.forEach((count, offset) => {
+      if (count > bestVotes ||
+          (count === bestVotes && Math.abs(offset - tailOffset) < Math.abs(bestOffset - tailOffset))) {
+        bestOffset = offset;
+        bestVotes = count;
+      }
+    });
+
+    return bestOffset;
+  }
+
+  /**
+   * 用于匹配同一条消息的键（发送者 + 去除首尾空白的内容）
+   */
+  static contentKey(message) {
+    const content = message && typeof message.content === 'string' ? message.content.trim() : '';
+    return content ? `${message.sender}\n${content}` : '';
+  }
+
+  /**
+   * 是否为按位置生成的消息ID（位置变化后不再可靠，不能作为稳定身份）
+   */
+  static isPositionalId(messageId) {
+    return /^msg_.+_position_\d+(_\d+)?$/.test(String(messageId));
+  }
+
+  /**
+   * 为缺少ID的消息生成基于内容的ID（就地修改并返回同一数组）
+   * ID 为“发送者 + 规范化内容”的哈希加上轮次序号（见 turnIndex）；已有ID（如平台原生消息ID）保持不变
+   * 页面只渲染部分对话时序号从可见部分算起，与已存储消息合并时仍按发送者与内容对齐（findAlignmentOffset），沿用已存储的ID
+   * @param {Array} messages - 按对话顺序排列的消息
+   * @returns {Array}
+   */
+  static assignContentIds(messages) {
+    const usedIds = new Set(messages.filter(msg => msg.messageId).map(msg => msg.messageId));
+
+    messages.forEach((msg, index) => {
+      if (msg.messageId) return;
+      msg.messageId = MessageUtils.uniqueMessageId(msg, usedIds, MessageUtils.turnIndex(messages.slice(0, index), msg));
+      usedIds.add(msg.messageId);
+    });
+
+    return messages;
+  }
+
+  /**
+   * 消息所在的轮次（一问一答为一轮，从 0 开始）：用户消息开始新的一轮，AI回答属于其前面的用户消息所在的轮次
+   * @param {Array} preceding - 该消息之前的消息（按对话顺序）
+   * @param {Object} message - 消息
+   * @returns {number}
+   */
+  static turnIndex(preceding, message) {
+    const userMessages = preceding.filter(msg => msg.sender === 'user').length;
+    return message.sender === 'user' ? userMessages : Math.max(0, userMessages - 1);
+  }
+
+  /**
+   * 规范化消息内容（合并连续空白），避免渲染差异导致同一条消息得到不同的ID
+   */
+  static normalizeContent(content) {
+    return (typeof content === 'string' ? content : '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 字符串的 FNV-1a 32 位哈希（8 位十六进制）
+   */
+  static hashContent(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * 生成不与已有消息冲突的基于内容的ID：msg_<发送者>_<内容哈希>_<轮次>，
+   * 同一轮中内容相同的消息（如内容相同的重新生成）依次加上 _1、_2…
+   * @param {Object} message - 消息
+   * @param {Set} usedIds - 已被占用的消息ID
+   * @param {number} turnIndex - 消息所在的轮次（turnIndex）
+   * @returns {string}
+   */
+  static uniqueMessageId(message, usedIds, turnIndex = 0) {
+    const hash = MessageUtils.hashContent(`${message.sender}\n${MessageUtils.normalizeContent(message.content)}`);
+    const baseId = `msg_${message.sender}_${hash}_${turnIndex}`;
+    let suffix = 0;
+    let messageId = baseId;
+    while (usedIds.has(messageId)) {
+      suffix++;
+      messageId = `${baseId}_${suffix}`;
+    }
+    return messageId;
+  }
+
+  /**
+   * 按位置排序消息
+   */
+  static sortByPosition(messages) {
+    return messages.sort((a, b) => {
+      const positionA = typeof a.position === 'number' ? a.position : Number.MAX_SAFE_INTEGER;
+      const positionB = typeof b.position === 'number' ? b.position : Number.MAX_SAFE_INTEGER;
+      return positionA - positionB;
+    });
+  }
+
+  /**
+   * 根据消息变化生成修订记录
+   * 内容被修改（编辑、重新生成）或消息被移除时记录旧内容；仅位置变化或末尾追加（流式输出）不记录
+   * @returns {Array<Object>} - { conversationId, messageId, sender, position, oldContent, newContent, oldThinking, newThinking, timestamp, source }
+   */
+  static buildRevisions(conversationId, storedMessages, currentMessages, changes, source) {
+    const storedMap = new Map();
+    storedMessages.forEach(msg => {
+      storedMap.set(msg.messageId, msg);
+    });
+
+    const currentMap = new Map();
+    currentMessages.forEach(msg => {
+      currentMap.set(msg.messageId, msg);
+    });
+
+    const timestamp = new Date().toISOString();
+    const revisions = [];
+
+    changes.updatedMessages.forEach(change => {
+      const stored = storedMap.get(change.messageId);
+      const current = currentMap.get(change.messageId);
+      if (!stored || !current || !MessageUtils.isRevisableChange(stored, current)) return;
+
+      revisions.push({
+        conversationId,
+        messageId: change.messageId,
+        sender: stored.sender,
+        position: stored.position,
+        oldContent: stored.content,
+        newContent: current.content,
+        oldThinking: stored.thinking || '',
+        newThinking: current.thinking || '',
+        timestamp,
+        source
+      });
+    });
+
+    changes.removedMessages.forEach(message => {
+      revisions.push({
+        conversationId,
+        messageId: message.messageId,
+        sender: message.sender,
+        position: message.position,
+        oldContent: message.content,
+        newContent: null,
+        oldThinking: message.thinking || '',
+        newThinking: '',
+        timestamp,
+        source
+      });
+    });
+
+    return revisions;
+  }
+
+  /**
+   * 是否需要记录修订
+   */
+  static isRevisableChange(stored, current) {
+    const oldContent = stored.content || '';
+    const newContent = current.content || '';
+    const oldThinking = stored.thinking || '';
+    const newThinking = current.thinking || '';
+
+    if (oldContent === newContent && oldThinking === newThinking) return false;
+    // 同一内容从纯文本改为 Markdown 提取（代码块围栏、标题符号、链接地址等）不算修订
+    if (oldThinking === newThinking && MessageUtils.stripMarkdown(oldContent) === MessageUtils.stripMarkdown(newContent)) return false;
+    return !newContent.startsWith(oldContent) || !newThinking.startsWith(oldThinking);
+  }
+
+  /**
+   * 去掉 Markdown 标记与全部空白，用于判断两段内容是否只有格式不同
+   */
+  static stripMarkdown(content) {
+    return (content || '')
+      .replace(/^\s*(`{3,}|~{3,}).*$/gm, '')
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/^\s*\|?(\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/gm, '')
+      .replace(/^\s*(#{1,6}\s|>\s?|[-*+]\s(\[[ x]\]\s)?|\d+\.\s)+/gm, '')
+      .replace(/[*_~`|$\\]/g, '')
+      .replace(/\s+/g, '');
+  }
+
+  /**
+   * 整理回答引用的来源：只保留带 http(s) 地址的条目，编号为正整数，按编号排列
+   * @param {Array} sources - [{ index, title, url }]
+   * @returns {Array}
+   */
+  static normalizeSources(sources) {
+    if (!Array.isArray(sources)) return [];
+
+    return sources
+      .filter(source => source && /^https?:\/\//i.test(source.url || '') && Number(source.index) > 0)
+      .map(source => ({
+        index: Number(source.index),
+        title: (source.title || '').toString().trim(),
+        url: source.url
+      }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  static sameSources(a, b) {
+    const key = sources => JSON.stringify(MessageUtils.normalizeSources(sources));
+    return key(a) === key(b);
+  }
+}
+
+// 导出消息工具（页面与内容脚本挂到 window，后台 Service Worker 挂到 self）
+if (typeof window !== 'undefined') {
+  window.MessageUtils = MessageUtils;
+} else if (typeof self !== 'undefined') {
+  self.MessageUtils = MessageUtils;
+}
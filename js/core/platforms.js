@@ -0,0 +1,125 @@
+/**
+ * AI Chat Memory - 支持的平台
+ * 平台标识、显示名称与站点主机名统一在此维护，后台脚本、侧边栏、存档导入与内置适配规则（AdapterSpecs）共用
+ * 内置平台的内容脚本与主机权限在 manifest.json 中声明；自建平台（selfHosted）没有固定主机名，
+ * 由用户在设置中添加站点后，后台申请该站点的权限并在运行时注册内容脚本
+ */
+
+class PlatformRegistry {
+  /**
+   * 平台列表：id 为会话记录中的 platform 字段，hosts 为站点主机名（含子域名）
+   * adapter 为自建平台在运行时注册的适配器脚本
+   */
+  static get PLATFORMS() {
+    return [
+      { id: 'chatgpt', name: 'ChatGPT', hosts: ['chatgpt.com', 'chat.openai.com'] },
+      { id: 'gemini', name: 'Gemini', hosts: ['gemini.google.com'] },
+      { id: 'monica', name: 'Monica', hosts: ['monica.im'] },
+      { id: 'claude', name: 'Claude', hosts: ['claude.ai'] },
+      { id: 'deepseek', name: 'DeepSeek', hosts: ['chat.deepseek.com'] },
+      { id: 'kimi', name: 'Kimi', hosts: ['kimi.moonshot.cn', 'kimi.com'] },
+      { id: 'perplexity', name: 'Perplexity', hosts: ['perplexity.ai'] },
+      { id: 'openwebui', name: 'Open WebUI', hosts: [], selfHosted: true, adapter: 'js/adapters/openwebui.js' },
+      { id: 'librechat', name: 'LibreChat', hosts: [], selfHosted: true, adapter: 'js/adapters/librechat.js' }
+    ];
+  }
+
+  /**
+   * 登记用户导入的自定义适配规则对应的平台（只有标识与显示名称），供 getDisplayName、getPlatformId 识别
+   * @param {Array<Object>} specs - AdapterSpecs.getCustomSpecs() 的结果
+   */
+  static registerCustomPlatforms(specs) {
+    PlatformRegistry.customPlatforms = (specs || [])
+      .filter(spec => spec && spec.id && !PlatformRegistry.PLATFORMS.some(platform => platform.id === spec.id))
+      .map(spec => ({ id: spec.id, name: spec.name || spec.id, hosts: [], custom: true }));
+  }
+
+  /**
+   * 内置平台与已登记的自定义平台
+   */
+  static getAllPlatforms() {
+    return PlatformRegistry.PLATFORMS.concat(PlatformRegistry.customPlatforms || []);
+  }
+
+  /**
+   * 可由用户添加站点的自建平台
+   */
+  static getSelfHostedPlatforms() {
+    return PlatformRegistry.PLATFORMS.filter(platform => platform.selfHosted);
+  }
+
+  /**
+   * 用户输入的站点地址 -> 源（协议 + 主机名 + 端口），只接受 http/https，无效时返回 null
+   * 未写协议时按 https 处理
+   */
+  static normalizeOrigin(input) {
+    const text = (input || '').toString().trim();
+    if (!text) return null;
+
+    try {
+      const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 源对应的权限与内容脚本匹配模式（带端口，同一主机不同端口上的站点互不影响）
+   */
+  static getOriginMatchPattern(origin) {
+    const url = new URL(origin);
+    return `${url.protocol}//${url.host}/*`;
+  }
+
+  /**
+   * 平台标识 -> 显示名称，未知平台原样返回
+   */
+  static getDisplayName(platformId) {
+    const platform = PlatformRegistry.getAllPlatforms().find(item => item.id === platformId);
+    return platform ? platform.name : platformId;
+  }
+
+  /**
+   * 显示名称（不区分大小写）或标识 -> 平台标识，未知时返回 null
+   */
+  static getPlatformId(name) {
+    const normalized = (name || '').toString().trim().toLowerCase();
+    const platform = PlatformRegistry.getAllPlatforms().find(item =>
+      item.id.toLowerCase() === normalized || item.name.toLowerCase() === normalized
+    );
+    return platform ? platform.id : null;
+  }
+
+  /**
+   * 根据页面URL查找平台
+   * @param {string} url
+   * @returns {Object|null}
+   */
+  static findByUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    return PlatformRegistry.PLATFORMS.find(platform =>
+      platform.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    ) || null;
+  }
+
+  /**
+   * 页面是否属于支持的平台（用于向内容脚本广播消息）
+   */
+  static isSupportedUrl(url) {
+    return PlatformRegistry.findByUrl(url) !== null;
+  }
+}
+
+// 导出平台列表（页面与内容脚本挂到 window，后台 Service Worker 挂到 self）
+if (typeof window !== 'undefined') {
+  window.PlatformRegistry = PlatformRegistry;
+} else if (typeof self !== 'undefined') {
+  self.PlatformRegistry = PlatformRegistry;
+}
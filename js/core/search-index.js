@@ -0,0 +1,203 @@
+/**
+ * AI Chat Memory - 全文检索工具
+ * 负责分词（兼容中日韩文字）、倒排索引条目生成、结果排序与摘要截取
+ * 索引本身由后台脚本在创建/更新会话时维护
+ */
+
+class SearchIndexer {
+  /**
+   * 分词规则版本，修改分词逻辑后需递增以触发索引重建
+   */
+  static get VERSION() {
+    return 1;
+  }
+
+  /**
+   * 会话标题与平台使用的伪消息ID
+   */
+  static get META_ID() {
+    return '__meta__';
+  }
+
+  /**
+   * 将文本切分为检索词
+   * 中日韩文字按单字 + 相邻双字（bigram）切分；拉丁字母与数字按单词切分
+   * @param {string} text - 原始文本
+   * @param {Object} options - { forQuery: 查询时CJK只使用双字，提高准确度 }
+   * @returns {Array<string>} - 检索词数组（可能重复）
+   */
+  static tokenize(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const tokens = [];
+    const normalized = text.normalize('NFKC').toLowerCase();
+    const pattern = /([\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+)|([a-z0-9\u00c0-\u024f]+)/g;
+
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+      if (match[1]) {
+        const chars = Array.from(match[1]);
+        if (chars.length === 1 || !options.forQuery) {
+          chars.forEach(char => tokens.push(char));
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+          tokens.push(chars[i] + chars[i + 1]);
+        }
+      } else if (match[2]) {
+        const word = match[2].substring(0, 40);
+        // 单个字母噪声太大，单个数字保留
+        if (word.length > 1 || /\d/.test(word)) {
+          tokens.push(word);
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 拉丁字母与数字的检索词按前缀匹配（输入 convers 可以命中 conversation），中日韩检索词精确匹配
+   * @param {string} token - 查询检索词
+   * @returns {boolean}
+   */
+  static isPrefixToken(token) {
+    return /^[a-z0-9\u00c0-\u024f]+$/.test(token);
+  }
+
+  /**
+   * 统计文本中各检索词出现次数
+   * @param {string} text - 原始文本
+   * @returns {Map<string, number>}
+   */
+  static countTerms(text) {
+    const counts = new Map();
+    SearchIndexer.tokenize(text).forEach(token => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * 生成单条消息（或会话元数据）的索引条目
+   * @returns {Array<Object>} - { token, conversationId, messageId, count }
+   */
+  static buildEntries(conversationId, messageId, text) {
+    const entries = [];
+    SearchIndexer.countTerms(text).forEach((count, token) => {
+      entries.push({ token, conversationId, messageId, count });
+    });
+    return entries;
+  }
+
+  /**
+   * 会话元数据（标题、平台）参与检索的文本
+   */
+  static getMetaText(conversation) {
+    if (!conversation) return '';
+    return [conversation.title, conversation.platform].filter(Boolean).join(' ');
+  }
+
+  /**
+   * 根据各检索词的倒排记录计算排序结果
+   * 要求会话命中全部检索词；标题命中加权
+   * @param {Map<string, Array<Object>>} postingsByToken - 检索词 -> 索引条目
+   * @param {number} totalConversations - 会话总数，用于计算IDF
+   * @returns {Array<Object>} - [{ conversationId, score, messages: [{ messageId, score }] }]
+   */
+  static rank(postingsByToken, totalConversations) {
+    const tokens = Array.from(postingsByToken.keys());
+    if (tokens.length === 0) return [];
+
+    const conversations = new Map();
+
+    tokens.forEach(token => {
+      const postings = postingsByToken.get(token) || [];
+      const documentFrequency = new Set(postings.map(entry => entry.conversationId)).size;
+      const idf = Math.log(1 + (Math.max(totalConversations, 1) / Math.max(documentFrequency, 1)));
+
+      postings.forEach(entry => {
+        if (!conversations.has(entry.conversationId)) {
+          conversations.set(entry.conversationId, {
+            conversationId: entry.conversationId,
+            score: 0,
+            matchedTokens: new Set(),
+            messages: new Map()
+          });
+        }
+
+        const hit = conversations.get(entry.conversationId);
+        const weight = entry.messageId === SearchIndexer.META_ID ? 3 : 1;
+        const termScore = (1 + Math.log(entry.count)) * idf * weight;
+
+        hit.score += termScore;
+        hit.matchedTokens.add(token);
+
+        if (entry.messageId !== SearchIndexer.META_ID) {
+          // 前缀匹配时同一检索词可能命中消息中的多个词，命中的检索词只计一次
+          const messageHit = hit.messages.get(entry.messageId) || { messageId: entry.messageId, score: 0, matchedTokens: new Set() };
+          messageHit.score += termScore;
+          messageHit.matchedTokens.add(token);
+          hit.messages.set(entry.messageId, messageHit);
+        }
+      });
+    });
+
+    return Array.from(conversations.values())
+      .filter(hit => hit.matchedTokens.size === tokens.length)
+      .map(hit => ({
+        conversationId: hit.conversationId,
+        score: hit.score,
+        messages: Array.from(hit.messages.values())
+          .sort((a, b) => (b.matchedTokens.size - a.matchedTokens.size) || (b.score - a.score))
+          .map(({ messageId, score }) => ({ messageId, score }))
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * 截取命中位置附近的摘要
+   * @param {string} content - 消息内容
+   * @param {string} query - 用户输入的查询
+   * @param {number} radius - 命中位置前后保留的字符数
+   * @returns {string}
+   */
+  static buildSnippet(content, query, radius = 40) {
+    if (!content) return '';
+
+    const text = content.replace(/\s+/g, ' ').trim();
+    const lowerText = text.toLowerCase();
+    const lowerQuery = (query || '').trim().toLowerCase();
+
+    let index = lowerQuery ? lowerText.indexOf(lowerQuery) : -1;
+    let length = lowerQuery.length;
+
+    if (index === -1) {
+      // 整句未命中时，退而使用第一个命中的检索词定位
+      const tokens = SearchIndexer.tokenize(query, { forQuery: true });
+      for (const token of tokens) {
+        const tokenIndex = lowerText.indexOf(token);
+        if (tokenIndex !== -1 && (index === -1 || tokenIndex < index)) {
+          index = tokenIndex;
+          length = token.length;
+        }
+      }
+    }
+
+    if (index === -1) {
+      return text.length > radius * 2 ? text.substring(0, radius * 2) + '…' : text;
+    }
+
+    const start = Math.max(0, index - radius);
+    const end = Math.min(text.length, index + length + radius);
+    return (start > 0 ? '…' : '') + text.substring(start, end) + (end < text.length ? '…' : '');
+  }
+}
+
+// 导出检索工具（侧边栏页面挂到 window，后台 Service Worker 挂到 self）
+if (typeof window !== 'undefined') {
+  window.SearchIndexer = SearchIndexer;
+} else if (typeof self !== 'undefined') {
+  self.SearchIndexer = SearchIndexer;
+}
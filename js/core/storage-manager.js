@@ -5,9 +5,13 @@
 
 class StorageManager {
   constructor() {
-    this.DB_NAME = 'AIChatMemoryDB';
-    this.DB_VERSION = 2;
-    this.CONVERSATION_STORE = 'conversations';
+    // 数据库结构与迁移统一定义在 DBSchema（core/db-schema.js）
+    this.DB_NAME = DBSchema.NAME;
+    this.DB_VERSION = DBSchema.VERSION;
+    this.CONVERSATION_STORE = DBSchema.STORES.CONVERSATIONS;
+    this.MESSAGE_STORE = DBSchema.STORES.MESSAGES;
+    this.SEARCH_INDEX_STORE = DBSchema.STORES.SEARCH_INDEX;
+    this.REVISION_STORE = DBSchema.STORES.REVISIONS;
     this.db = null;
   }
 
@@ -19,44 +23,29 @@ class StorageManager {
       return this.db;
     }
 
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-
-        let conversationStore;
-        if (!db.objectStoreNames.contains(this.CONVERSATION_STORE)) {
-          conversationStore = db.createObjectStore(this.CONVERSATION_STORE, { keyPath: 'conversationId' });
-        } else {
-          // 在升级事务中获取已存在的对象存储
-          conversationStore = event.target.transaction.objectStore(this.CONVERSATION_STORE);
-        }
-
-        const ensureIndex = (store, name, keyPath, options = { unique: false }) => {
-          if (!store.indexNames.contains(name)) {
-            store.createIndex(name, keyPath, options);
-          }
-        };
-
-        // 确保所有需要的索引都存在
-        ensureIndex(conversationStore, 'link', 'link');
-        ensureIndex(conversationStore, 'platform', 'platform');
-        ensureIndex(conversationStore, 'updatedAt', 'updatedAt');
-        ensureIndex(conversationStore, 'createdAt', 'createdAt');
-        // 新增：基于外部会话ID（平台原始ID）的索引，用于避免不同会话被同一URL覆盖
-        ensureIndex(conversationStore, 'externalId', 'externalId');
-      };
+    this.db = await DBSchema.open();
+    // 连接因其他页面升级数据库而关闭后，下次使用时重新打开
+    this.db.addEventListener('versionchange', () => {
+      this.db = null;
+    });
+    return this.db;
+  }
 
-      request.onsuccess = (event) => {
-        this.db = event.target.result;
-        resolve(this.db);
-      };
+  /**
+   * 当前源下是否已存在数据库（不会创建数据库）
+   * 内容脚本中用于判断页面源是否残留回退模式写入的数据
+   */
+  async hasDatabase() {
+    if (this.db) {
+      return true;
+    }
+    if (typeof indexedDB.databases !== 'function') {
+      // 无法枚举时按不存在处理（跳过同步），避免 open 凭空创建数据库
+      return false;
+    }
 
-      request.onerror = (event) => {
-        reject(event.target.error);
-      };
-    });
+    const databases = await indexedDB.databases();
+    return databases.some(database => database.name === this.DB_NAME);
   }
 
   /**
@@ -83,63 +72,105 @@ class StorageManager {
     conversation.createdAt = conversation.createdAt || now;
     conversation.updatedAt = now;
 
-    // 初始化消息数组
-    if (!conversation.messages) {
-      conversation.messages = [];
-    }
+    const { record, messages } = this.splitConversation(conversation);
 
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.CONVERSATION_STORE], 'readwrite');
+      const transaction = db.transaction([this.CONVERSATION_STORE, this.MESSAGE_STORE], 'readwrite');
       const store = transaction.objectStore(this.CONVERSATION_STORE);
-      const request = store.add(conversation);
+      const messageStore = transaction.objectStore(this.MESSAGE_STORE);
 
-      request.onsuccess = () => {
-        resolve(conversation.conversationId);
+      store.add(DBSchema.stamp(record));
+      MessageUtils.applyTimestamps([], MessageUtils.assignContentIds(messages || []), record.createdAt).forEach(message => {
+        messageStore.put(this.toStoredMessage(record.conversationId, message));
+      });
+
+      transaction.oncomplete = () => {
+        resolve(record.conversationId);
       };
 
-      request.onerror = (event) => {
-        reject(event.target.error);
+      transaction.onabort = () => {
+        reject(transaction.error);
       };
     });
   }
 
   /**
-   * 更新会话
+   * 更新会话（携带 messages 时与已存储消息合并后只写入变化的消息，被覆盖或移除的内容记入修订历史）
+   * 与后台一致：标签与文件夹始终保留已存储的值，避免内容脚本持有的旧副本覆盖
+   * @param {Object} conversation - 会话对象
+   * @param {Object} options - { source: 修订来源，默认 'auto-save'；isCompleteSnapshot: 页面是否确定包含完整对话 }
    */
-  async updateConversation(conversation) {
+  async updateConversation(conversation, options = {}) {
     const db = await this.getDB();
 
     // 更新时间戳
     conversation.updatedAt = new Date().toISOString();
 
+    const { record, messages } = this.splitConversation(conversation);
+
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.CONVERSATION_STORE], 'readwrite');
+      const transaction = db.transaction([this.CONVERSATION_STORE, this.MESSAGE_STORE, this.REVISION_STORE], 'readwrite');
       const store = transaction.objectStore(this.CONVERSATION_STORE);
-      const request = store.put(conversation);
+      const messageStore = transaction.objectStore(this.MESSAGE_STORE);
+      const revisionStore = transaction.objectStore(this.REVISION_STORE);
 
-      request.onsuccess = () => {
+      const storedRequest = store.get(record.conversationId);
+      storedRequest.onsuccess = () => {
+        const stored = storedRequest.result;
+        record.tags = stored && Array.isArray(stored.tags) ? stored.tags : (Array.isArray(record.tags) ? record.tags : []);
+        record.folder = stored && typeof stored.folder === 'string' ? stored.folder : (typeof record.folder === 'string' ? record.folder : '');
+
+        store.put(DBSchema.stamp(record));
+      };
+
+      if (Array.isArray(messages)) {
+        this.readMessages(messageStore, record.conversationId)
+          .then(storedMessages => {
+            const mergedMessages = this.mergeMessages(storedMessages, messages, options);
+            const changes = this.calculateMessageChanges(storedMessages, mergedMessages);
+            this.applyMessageChanges(messageStore, record.conversationId, mergedMessages, changes);
+            MessageUtils.buildRevisions(record.conversationId, storedMessages, mergedMessages, changes, options.source || 'auto-save')
+              .forEach(revision => revisionStore.add(DBSchema.stamp(revision)));
+          })
+          .catch(() => {
+            transaction.abort();
+          });
+      }
+
+      transaction.oncomplete = () => {
         resolve();
       };
 
-      request.onerror = (event) => {
-        reject(event.target.error);
+      transaction.onabort = () => {
+        reject(transaction.error);
       };
     });
   }
 
   /**
-   * 根据ID获取会话
+   * 根据ID获取会话（包含消息）
    */
   async getConversation(conversationId) {
     const db = await this.getDB();
 
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.CONVERSATION_STORE], 'readonly');
+      const transaction = db.transaction([this.CONVERSATION_STORE, this.MESSAGE_STORE], 'readonly');
       const store = transaction.objectStore(this.CONVERSATION_STORE);
+      const messageStore = transaction.objectStore(this.MESSAGE_STORE);
       const request = store.get(conversationId);
 
       request.onsuccess = () => {
-        resolve(request.result || null);
+        const conversation = request.result;
+        if (!conversation) {
+          resolve(null);
+          return;
+        }
+
+        this.readMessages(messageStore, conversationId)
+          .then(messages => {
+            resolve(this.attachBranchMessages(conversation, messages));
+          })
+          .catch(reject);
       };
 
       request.onerror = (event) => {
@@ -200,46 +231,108 @@ class StorageManager {
   }
 
   /**
-   * 获取所有会话
+   * 获取所有会话（包含消息）
    */
   async getAllConversations() {
     const db = await this.getDB();
 
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.CONVERSATION_STORE], 'readonly');
+      const transaction = db.transaction([this.CONVERSATION_STORE, this.MESSAGE_STORE], 'readonly');
       const store = transaction.objectStore(this.CONVERSATION_STORE);
+      const messageStore = transaction.objectStore(this.MESSAGE_STORE);
       const request = store.getAll();
+      const messagesRequest = messageStore.getAll();
+
+      transaction.oncomplete = () => {
+        // 按会话分组消息
+        const messagesByConversation = new Map();
+        (messagesRequest.result || []).forEach(record => {
+          if (!messagesByConversation.has(record.conversationId)) {
+            messagesByConversation.set(record.conversationId, []);
+          }
+          messagesByConversation.get(record.conversationId).push(this.fromStoredMessage(record));
+        });
 
-      request.onsuccess = () => {
-        // 按最后消息时间倒序排序
         const conversations = request.result || [];
+        conversations.forEach(conversation => {
+          this.attachBranchMessages(conversation, this.sortMessages(messagesByConversation.get(conversation.conversationId) || []));
+        });
+
+        // 按最后消息时间倒序排序
         conversations.sort((a, b) => {
           return new Date(this.getConversationSortTime(b)) - new Date(this.getConversationSortTime(a));
         });
         resolve(conversations);
       };
 
-      request.onerror = (event) => {
-        reject(event.target.error);
+      transaction.onabort = () => {
+        reject(transaction.error);
       };
     });
   }
 
   /**
-   * 删除会话
+   * 删除会话及其消息
    */
   async deleteConversation(conversationId) {
     const db = await this.getDB();
 
     return new Promise((resolve, reject) => {
-      const transaction = db.transaction([this.CONVERSATION_STORE], 'readwrite');
+      const transaction = db.transaction([this.CONVERSATION_STORE, this.MESSAGE_STORE, this.REVISION_STORE], 'readwrite');
       const store = transaction.objectStore(this.CONVERSATION_STORE);
-      const request = store.delete(conversationId);
+      const messageStore = transaction.objectStore(this.MESSAGE_STORE);
+      const revisionStore = transaction.objectStore(this.REVISION_STORE);
 
-      request.onsuccess = () => {
+      store.delete(conversationId);
+      messageStore.delete(this.conversationMessageRange(conversationId));
+
+      const revisionKeysRequest = revisionStore.index('conversationId').getAllKeys(conversationId);
+      revisionKeysRequest.onsuccess = () => {
+        (revisionKeysRequest.result || []).forEach(primaryKey => revisionStore.delete(primaryKey));
+      };
+
+      transaction.oncomplete = () => {
         resolve();
       };
 
+      transaction.onabort = () => {
+        reject(transaction.error);
+      };
+    });
+  }
+
+  /**
+   * 拆分会话记录与消息（messages 为 undefined 表示调用方未携带消息）
+   * 读取时拆出的 branchMessages（非当前分支）写回时与 messages 一起保存
+   */
+  splitConversation(conversation) {
+    const { messages, branchMessages, ...record } = conversation;
+    return {
+      record,
+      messages: Array.isArray(messages) && Array.isArray(branchMessages) ? messages.concat(branchMessages) : messages
+    };
+  }
+
+  /**
+   * 把会话的消息拆分为当前路径（messages）与其他分支（branchMessages），与后台读取的结构一致
+   */
+  attachBranchMessages(conversation, messages) {
+    conversation.messages = messages.filter(message => !message.inactiveBranch);
+    conversation.branchMessages = messages.filter(message => message.inactiveBranch);
+    return conversation;
+  }
+
+  /**
+   * 读取单个会话的所有消息（按位置排序）
+   */
+  readMessages(messageStore, conversationId) {
+    return new Promise((resolve, reject) => {
+      const request = messageStore.index('conversationId').getAll(conversationId);
+
+      request.onsuccess = () => {
+        resolve(this.sortMessages((request.result || []).map(record => this.fromStoredMessage(record))));
+      };
+
       request.onerror = (event) => {
         reject(event.target.error);
       };
@@ -247,9 +340,65 @@ class StorageManager {
   }
 
   /**
-   * 智能增量更新
+   * 在同一事务中只写入发生变化的消息
+   */
+  applyMessageChanges(messageStore, conversationId, currentMessages, changes) {
+    const currentMap = new Map();
+    currentMessages.forEach(msg => {
+      currentMap.set(msg.messageId, msg);
+    });
+
+    changes.newMessages.forEach(message => {
+      messageStore.put(this.toStoredMessage(conversationId, message));
+    });
+    changes.updatedMessages.forEach(change => {
+      messageStore.put(this.toStoredMessage(conversationId, currentMap.get(change.messageId)));
+    });
+    changes.removedMessages.forEach(message => {
+      messageStore.delete([conversationId, message.messageId]);
+    });
+  }
+
+  /**
+   * 会话对应的全部消息主键范围（[conversationId] 是 [conversationId, 任意messageId] 的前缀）
    */
-  async smartIncrementalUpdate(conversationId, currentMessages) {
+  conversationMessageRange(conversationId) {
+    return IDBKeyRange.bound([conversationId], [conversationId, []]);
+  }
+
+  /**
+   * 转换为消息存储中的记录（消息ID须已分配）
+   */
+  toStoredMessage(conversationId, message) {
+    return DBSchema.stamp(Object.assign({}, message, { conversationId }));
+  }
+
+  /**
+   * 从消息存储记录还原为会话中的消息对象
+   */
+  fromStoredMessage(record) {
+    const { conversationId, ...message } = record;
+    return message;
+  }
+
+  /**
+   * 按位置排序消息
+   */
+  sortMessages(messages) {
+    return messages.sort((a, b) => {
+      const positionA = typeof a.position === 'number' ? a.position : Number.MAX_SAFE_INTEGER;
+      const positionB = typeof b.position === 'number' ? b.position : Number.MAX_SAFE_INTEGER;
+      return positionA - positionB;
+    });
+  }
+
+  /**
+   * 智能增量更新：只写入 calculateMessageChanges 计算出的变化消息
+   * @param {string} conversationId - 会话ID
+   * @param {Array} currentMessages - 页面上当前的消息
+   * @param {Object} options - { source: 修订来源，默认 'auto-save'；isCompleteSnapshot: 页面是否确定包含完整对话 }
+   */
+  async smartIncrementalUpdate(conversationId, currentMessages, options = {}) {
     try {
       // 获取已存储的会话
       const storedConversation = await this.getConversation(conversationId);
@@ -263,24 +412,34 @@ class StorageManager {
         return { success: true, action: 'created' };
       }
 
-      const storedMessages = storedConversation.messages || [];
+      const { record, messages } = this.splitConversation(storedConversation);
+      const storedMessages = messages || [];
 
-      // 计算变化
-      const changes = this.calculateMessageChanges(storedMessages, currentMessages);
+      // 与已存储消息合并后计算变化（页面只渲染部分消息时不会删除已保存的消息）
+      const mergedMessages = this.mergeMessages(storedMessages, currentMessages, options);
+      const changes = this.calculateMessageChanges(storedMessages, mergedMessages);
 
       if (this.hasChanges(changes)) {
-        // 合并消息
-        const updatedMessages = this.mergeMessages(storedMessages, currentMessages, changes);
-
-        // 更新会话
-        storedConversation.messages = updatedMessages;
-        await this.updateConversation(storedConversation);
+        const db = await this.getDB();
+        record.updatedAt = new Date().toISOString();
+
+        await new Promise((resolve, reject) => {
+          const transaction = db.transaction([this.CONVERSATION_STORE, this.MESSAGE_STORE, this.REVISION_STORE], 'readwrite');
+          const revisionStore = transaction.objectStore(this.REVISION_STORE);
+          transaction.objectStore(this.CONVERSATION_STORE).put(DBSchema.stamp(record));
+          this.applyMessageChanges(transaction.objectStore(this.MESSAGE_STORE), conversationId, mergedMessages, changes);
+          MessageUtils.buildRevisions(conversationId, storedMessages, mergedMessages, changes, options.source || 'auto-save')
+            .forEach(revision => revisionStore.add(DBSchema.stamp(revision)));
+
+          transaction.oncomplete = () => resolve();
+          transaction.onabort = () => reject(transaction.error);
+        });
 
         return {
           success: true,
           action: 'updated',
           changes: changes,
-          totalMessages: updatedMessages.length
+          totalMessages: storedMessages.length + changes.newMessages.length - changes.removedMessages.length
         };
       }
 
@@ -295,44 +454,7 @@ class StorageManager {
    * 计算消息变化
    */
   calculateMessageChanges(storedMessages, currentMessages) {
-    const changes = {
-      newMessages: [],
-      updatedMessages: [],
-      removedMessages: []
-    };
-
-    // 创建消息映射
-    const storedMap = new Map();
-    storedMessages.forEach(msg => {
-      storedMap.set(msg.messageId, msg);
-    });
-
-    const currentMap = new Map();
-    currentMessages.forEach(msg => {
-      currentMap.set(msg.messageId, msg);
-    });
-
-    // 找出新消息
-    currentMessages.forEach(msg => {
-      if (!storedMap.has(msg.messageId)) {
-        changes.newMessages.push(msg);
-      } else if (storedMap.get(msg.messageId).content !== msg.content) {
-        changes.updatedMessages.push({
-          messageId: msg.messageId,
-          oldContent: storedMap.get(msg.messageId).content,
-          newContent: msg.content
-        });
-      }
-    });
-
-    // 找出删除的消息
-    storedMessages.forEach(msg => {
-      if (!currentMap.has(msg.messageId)) {
-        changes.removedMessages.push(msg);
-      }
-    });
-
-    return changes;
+    return MessageUtils.calculateMessageChanges(storedMessages, currentMessages);
   }
 
   /**
@@ -345,12 +467,33 @@ class StorageManager {
   }
 
   /**
-   * 合并消息
+   * 合并消息：以已存储消息为基础合并页面当前可见的消息
+   * 只有 options.isCompleteSnapshot 为 true 时才会移除页面上未出现的消息
    */
-  mergeMessages(storedMessages, currentMessages, changes) {
-    // 简单实现：使用当前消息列表
-    // 更复杂的实现可以基于changes进行精确合并
-    return currentMessages;
+  mergeMessages(storedMessages, currentMessages, options = {}) {
+    return MessageUtils.mergeMessages(storedMessages, currentMessages, {
+      isCompleteSnapshot: options.isCompleteSnapshot === true
+    });
+  }
+
+  /**
+   * 获取会话的全部修订记录（按时间倒序）
+   */
+  async getConversationRevisions(conversationId) {
+    const db = await this.getDB();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([this.REVISION_STORE], 'readonly');
+      const request = transaction.objectStore(this.REVISION_STORE).index('conversationId').getAll(conversationId);
+
+      request.onsuccess = () => {
+        resolve((request.result || []).sort((a, b) => b.revisionId - a.revisionId));
+      };
+
+      request.onerror = (event) => {
+        reject(event.target.error);
+      };
+    });
   }
 
   /**
@@ -16,6 +16,10 @@ class PopupManager {
     this.selectedConversations = new Set();
     this.currentSort = 'date'; // 'date', 'platform', 'title'
     this.currentFilter = 'all'; // 'all', 'today', 'week'
+    this.searchQuery = '';
+    this.searchMatches = new Map(); // conversationId -> 命中消息摘要
+    this.tagFilter = ''; // '' 表示全部标签
+    this.folderFilter = ''; // '' 表示全部文件夹，UNFILED_FOLDER 表示未归档
 
     this.init();
   }
@@ -49,6 +53,79 @@ class PopupManager {
       this.exportSelectedConversations();
     });
 
+    // 导入存档
+    const importFileInput = document.getElementById('importFileInput');
+    document.getElementById('importArchiveBtn').addEventListener('click', () => {
+      importFileInput.click();
+    });
+
+    importFileInput.addEventListener('change', () => {
+      const file = importFileInput.files && importFileInput.files[0];
+      // 重置以便再次选择同一文件
+      importFileInput.value = '';
+      if (file) {
+        this.handleImportFile(file);
+      }
+    });
+
+    // 完整备份与恢复
+    document.getElementById('createBackupBtn').addEventListener('click', () => {
+      this.createBackup();
+    });
+
+    const restoreFileInput = document.getElementById('restoreFileInput');
+    document.getElementById('restoreBackupBtn').addEventListener('click', () => {
+      restoreFileInput.click();
+    });
+
+    restoreFileInput.addEventListener('change', () => {
+      const file = restoreFileInput.files && restoreFileInput.files[0];
+      restoreFileInput.value = '';
+      if (file) {
+        this.handleRestoreFile(file);
+      }
+    });
+
+    // 标签与文件夹筛选
+    document.getElementById('folderFilterSelect').addEventListener('change', (e) => {
+      this.folderFilter = e.target.value;
+      this.render();
+    });
+
+    document.getElementById('tagFilterSelect').addEventListener('change', (e) => {
+      this.tagFilter = e.target.value;
+      this.render();
+    });
+
+    // 批量整理选中的对话
+    document.getElementById('addTagsBtn').addEventListener('click', () => {
+      this.promptAddTags(Array.from(this.selectedConversations));
+    });
+
+    document.getElementById('removeTagsBtn').addEventListener('click', () => {
+      this.promptRemoveTags(Array.from(this.selectedConversations));
+    });
+
+    document.getElementById('moveToFolderBtn').addEventListener('click', () => {
+      this.promptMoveToFolder(Array.from(this.selectedConversations));
+    });
+
+    // 重复对话按钮
+    const duplicatesBtn = document.querySelector('.duplicates-btn');
+    if (duplicatesBtn) {
+      duplicatesBtn.addEventListener('click', () => {
+        this.showDuplicates();
+      });
+    }
+
+    // 回收站按钮
+    const trashBtn = document.querySelector('.trash-btn');
+    if (trashBtn) {
+      trashBtn.addEventListener('click', () => {
+        this.showTrash();
+      });
+    }
+
     // 设置按钮（可选）
     const settingsBtn = document.querySelector('.settings-btn');
     if (settingsBtn) {
@@ -79,12 +156,14 @@ class PopupManager {
       // 并行加载数据
       const [conversations, usage] = await Promise.all([
         this.getAllConversations(),
-        this.getStorageUsage()
+        this.getStorageUsage(),
+        this.loadCustomPlatforms()
       ]);
 
       console.log('AI Chat Memory: 数据加载完成，会话数量:', conversations ? conversations.length : 0);
       this.conversations = conversations || [];
       this.filteredConversations = [...this.conversations];
+      this.searchMatches = new Map();
 
       // 清理已失效的选中状态
       const validIds = new Set(this.conversations.map(conv => conv.conversationId));
@@ -96,10 +175,15 @@ class PopupManager {
 
       // 更新统计信息
       this.updateStats(usage);
+      this.updateDuplicatesBadge();
 
-      // 渲染对话列表
-      console.log('AI Chat Memory: 调用 render 方法');
-      this.render();
+      // 渲染对话列表（搜索中则重新应用检索条件）
+      if (this.searchQuery) {
+        await this.handleSearch(this.searchQuery);
+      } else {
+        console.log('AI Chat Memory: 调用 render 方法');
+        this.render();
+      }
 
     } catch (error) {
       console.error('AI Chat Memory: 加载数据失败', error);
@@ -179,6 +263,20 @@ class PopupManager {
     });
   }
 
+  async searchConversations(query) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: 'searchConversations', query }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (!response || response.error) {
+          reject(new Error(response ? response.error : '检索失败'));
+        } else {
+          resolve(response.results || []);
+        }
+      });
+    });
+  }
+
   updateStats(usage) {
     const totalElement = document.getElementById('totalConversations');
     const todayElement = document.getElementById('todayConversations');
@@ -193,10 +291,13 @@ class PopupManager {
   }
 
   render() {
-    console.log('AI Chat Memory: 开始渲染对话列表，过滤后数量:', this.filteredConversations.length);
+    this.renderFilterOptions();
+    const visibleConversations = this.getVisibleConversations();
+
+    console.log('AI Chat Memory: 开始渲染对话列表，过滤后数量:', visibleConversations.length);
     const listContainer = document.getElementById('conversationList');
 
-    if (this.filteredConversations.length === 0) {
+    if (visibleConversations.length === 0) {
       console.log('AI Chat Memory: 显示空状态');
       listContainer.innerHTML = this.getEmptyState();
       this.updateExportButtonState();
@@ -204,7 +305,7 @@ class PopupManager {
     }
 
     console.log('AI Chat Memory: 渲染对话列表');
-    listContainer.innerHTML = this.filteredConversations
+    listContainer.innerHTML = visibleConversations
       .map(conversation => this.renderConversationItem(conversation))
       .join('');
 
@@ -216,7 +317,7 @@ class PopupManager {
 
   renderConversationItem(conversation) {
     const isSelected = this.selectedConversations.has(conversation.conversationId);
-    const platformName = this.getPlatformDisplayName(conversation.platform);
+    const platformName = this.escapeHtml(this.getPlatformDisplayName(conversation.platform));
     const formattedDate = this.formatDate(conversation.updatedAt || conversation.createdAt);
     const messageCount = conversation.messages ? conversation.messages.length : 0;
     const selectedClass = isSelected ? ' selected' : '';
@@ -225,7 +326,7 @@ class PopupManager {
     return `
       <div class="conversation-item${selectedClass}" data-id="${conversation.conversationId}">
         <label class="conversation-select" title="选择此对话">
-          <input type="checkbox" class="conversation-checkbox"${checkedAttr} aria-label="选择对话 ${this.escapeHtml(conversation.title || '未命名对话')}" />
+          <input type="checkbox" class="conversation-checkbox"${checkedAttr} aria-label="选择对话 ${this.escapeAttr(conversation.title || '未命名对话')}" />
           <span class="conversation-checkmark"></span>
         </label>
         <div class="conversation-content">
@@ -237,11 +338,126 @@ class PopupManager {
             <span class="conversation-messages">${messageCount} 条消息</span>
             <span class="conversation-date">${formattedDate}</span>
           </div>
+          ${this.renderConversationTags(conversation)}
+          ${this.renderSearchSnippets(conversation.conversationId)}
         </div>
       </div>
     `;
   }
 
+  renderConversationTags(conversation) {
+    const tags = Array.isArray(conversation.tags) ? conversation.tags : [];
+    if (!conversation.folder && tags.length === 0) {
+      return '';
+    }
+
+    const folderChip = conversation.folder ?
+      `<span class="conversation-folder" title="${this.escapeAttr(conversation.folder)}">📁 ${this.escapeHtml(conversation.folder)}</span>` :
+      '';
+    const tagChips = tags.map(tag => `
+      <span class="conversation-tag${tag === this.tagFilter ? ' active' : ''}" data-tag="${this.escapeAttr(tag)}" title="按此标签筛选">#${this.escapeHtml(tag)}</span>
+    `).join('');
+
+    return `<div class="conversation-tags">${folderChip}${tagChips}</div>`;
+  }
+
+  // 在检索结果基础上应用文件夹与标签筛选
+  getVisibleConversations() {
+    return this.filteredConversations.filter(conversation => {
+      if (this.tagFilter && !(conversation.tags || []).includes(this.tagFilter)) {
+        return false;
+      }
+      return this.matchesFolderFilter(conversation.folder || '');
+    });
+  }
+
+  // 选中某个文件夹时同时包含其子文件夹中的对话
+  matchesFolderFilter(folder) {
+    if (!this.folderFilter) return true;
+    if (this.folderFilter === PopupManager.UNFILED_FOLDER) return !folder;
+    return folder === this.folderFilter || folder.startsWith(`${this.folderFilter}/`);
+  }
+
+  static get UNFILED_FOLDER() {
+    return '__unfiled__';
+  }
+
+  // 根据已加载的对话刷新筛选下拉框（已不存在的筛选条件自动重置）
+  renderFilterOptions() {
+    const folders = new Set();
+    const tags = new Set();
+    this.conversations.forEach(conversation => {
+      (conversation.tags || []).forEach(tag => tags.add(tag));
+      if (!conversation.folder) return;
+      // 补全上级文件夹，便于按上级筛选
+      const segments = conversation.folder.split('/');
+      segments.forEach((segment, index) => {
+        folders.add(segments.slice(0, index + 1).join('/'));
+      });
+    });
+
+    if (this.tagFilter && !tags.has(this.tagFilter)) {
+      this.tagFilter = '';
+    }
+    if (this.folderFilter && this.folderFilter !== PopupManager.UNFILED_FOLDER && !folders.has(this.folderFilter)) {
+      this.folderFilter = '';
+    }
+
+    const folderSelect = document.getElementById('folderFilterSelect');
+    if (folderSelect) {
+      const folderOptions = Array.from(folders).sort().map(folder => {
+        const depth = folder.split('/').length - 1;
+        const name = folder.split('/').pop();
+        return `<option value="${this.escapeAttr(folder)}">${'\u3000'.repeat(depth)}📁 ${this.escapeHtml(name)}</option>`;
+      }).join('');
+      folderSelect.innerHTML = `
+        <option value="">全部文件夹</option>
+        <option value="${PopupManager.UNFILED_FOLDER}">未归档</option>
+        ${folderOptions}
+      `;
+      folderSelect.value = this.folderFilter;
+    }
+
+    const tagSelect = document.getElementById('tagFilterSelect');
+    if (tagSelect) {
+      const tagOptions = Array.from(tags).sort().map(tag => {
+        return `<option value="${this.escapeAttr(tag)}">#${this.escapeHtml(tag)}</option>`;
+      }).join('');
+      tagSelect.innerHTML = `<option value="">全部标签</option>${tagOptions}`;
+      tagSelect.value = this.tagFilter;
+    }
+  }
+
+  renderSearchSnippets(conversationId) {
+    const matches = this.searchMatches.get(conversationId);
+    if (!matches || matches.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="conversation-snippets">
+        ${matches.map(match => `
+          <div class="conversation-snippet">
+            <span class="snippet-sender">${match.sender === 'user' ? '用户' : 'AI'}:</span>
+            ${this.highlightQuery(match.snippet, this.searchQuery)}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  highlightQuery(text, query) {
+    const escaped = this.escapeHtml(text || '');
+    const terms = (query || '').trim().split(/\s+/).filter(Boolean)
+      .map(term => this.escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (terms.length === 0) {
+      return escaped;
+    }
+
+    return escaped.replace(new RegExp(`(${terms.join('|')})`, 'gi'), '<mark>$1</mark>');
+  }
+
   getEmptyState() {
     return `
       <div class="empty-state">
@@ -309,6 +525,16 @@ class PopupManager {
           e.stopPropagation();
         });
       }
+
+      // 点击标签按该标签筛选（再次点击取消）
+      item.querySelectorAll('.conversation-tag').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const tag = chip.dataset.tag;
+          this.tagFilter = this.tagFilter === tag ? '' : tag;
+          this.render();
+        });
+      });
     });
   }
 
@@ -346,23 +572,54 @@ class PopupManager {
     this.updateExportButtonState();
   }
 
-  handleSearch(query) {
-    if (!query.trim()) {
+  async handleSearch(query) {
+    this.searchQuery = query.trim();
+    this.searchMatches = new Map();
+
+    if (!this.searchQuery) {
       this.filteredConversations = [...this.conversations];
-    } else {
-      const lowerQuery = query.toLowerCase();
-      this.filteredConversations = this.conversations.filter(conversation => {
-        return (conversation.title && conversation.title.toLowerCase().includes(lowerQuery)) ||
-               (conversation.platform && conversation.platform.toLowerCase().includes(lowerQuery)) ||
-               (conversation.messages && conversation.messages.some(msg =>
-                 msg.content && msg.content.toLowerCase().includes(lowerQuery)
-               ));
-      });
+      this.render();
+      return;
+    }
+
+    const currentQuery = this.searchQuery;
+
+    if (canUseRuntimeAPI()) {
+      try {
+        const results = await this.searchConversations(currentQuery);
+        // 输入已变化时丢弃过期结果
+        if (currentQuery !== this.searchQuery) return;
+
+        const conversationMap = new Map(this.conversations.map(c => [c.conversationId, c]));
+        this.filteredConversations = results
+          .map(result => conversationMap.get(result.conversationId))
+          .filter(Boolean);
+        results.forEach(result => {
+          this.searchMatches.set(result.conversationId, result.matches || []);
+        });
+
+        this.render();
+        return;
+      } catch (error) {
+        console.warn('AI Chat Memory: 索引检索失败，回退到本地过滤:', error);
+      }
     }
 
+    this.filterConversationsLocally(currentQuery);
     this.render();
   }
 
+  filterConversationsLocally(query) {
+    const lowerQuery = query.toLowerCase();
+    this.filteredConversations = this.conversations.filter(conversation => {
+      return (conversation.title && conversation.title.toLowerCase().includes(lowerQuery)) ||
+             (conversation.platform && conversation.platform.toLowerCase().includes(lowerQuery)) ||
+             (conversation.messages && conversation.messages.some(msg =>
+               msg.content && msg.content.toLowerCase().includes(lowerQuery)
+             ));
+    });
+  }
+
   showConversationDetail(conversationId) {
     const conversation = this.conversations.find(c => c.conversationId === conversationId);
     if (!conversation) return;
@@ -408,6 +665,204 @@ class PopupManager {
         this.exportSingleConversation(conversationId);
       });
     }
+
+    // 异步加载消息修订历史
+    const revisionsLoaded = this.loadMessageRevisions(modal, conversation);
+
+    // 切换重新生成或编辑产生的分支：只重新渲染消息列表，并重新挂上修订历史
+    const branchSelections = new Map();
+    const messagesContainer = modal.querySelector('.messages-container');
+    if (messagesContainer) {
+      messagesContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('.branch-switch-btn');
+        if (!button || button.disabled) return;
+
+        branchSelections.set(button.dataset.parentKey, button.dataset.targetId);
+        messagesContainer.innerHTML = this.generateDetailMessagesHTML(conversation, branchSelections);
+        revisionsLoaded.then(revisionsByMessage => {
+          if (revisionsByMessage) {
+            this.applyMessageRevisions(modal, conversation, revisionsByMessage);
+          }
+        });
+      });
+    }
+  }
+
+  async getConversationRevisions(conversationId) {
+    if (canUseRuntimeAPI()) {
+      return new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({ type: 'getConversationRevisions', conversationId }, (response) => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else if (!response || response.error) {
+            reject(new Error(response ? response.error : '获取修订历史失败'));
+          } else {
+            resolve(response.revisions || []);
+          }
+        });
+      });
+    }
+
+    if (typeof StorageManager !== 'undefined') {
+      const storageManager = new StorageManager();
+      await storageManager.initDB();
+      return storageManager.getConversationRevisions(conversationId);
+    }
+
+    return [];
+  }
+
+  /**
+   * 加载修订历史并挂到详情中的消息上
+   * @returns {Promise<Map|null>} - messageId -> 修订记录，没有修订或加载失败时为 null
+   */
+  async loadMessageRevisions(modal, conversation) {
+    let revisions;
+    try {
+      revisions = await this.getConversationRevisions(conversation.conversationId);
+    } catch (error) {
+      console.warn('AI Chat Memory: 加载修订历史失败:', error);
+      return null;
+    }
+
+    // 模态框可能已关闭
+    if (!modal.isConnected || revisions.length === 0) return null;
+
+    const revisionsByMessage = new Map();
+    revisions.forEach(revision => {
+      if (!revisionsByMessage.has(revision.messageId)) {
+        revisionsByMessage.set(revision.messageId, []);
+      }
+      revisionsByMessage.get(revision.messageId).push(revision);
+    });
+
+    this.applyMessageRevisions(modal, conversation, revisionsByMessage);
+    return revisionsByMessage;
+  }
+
+  applyMessageRevisions(modal, conversation, revisionsByMessage) {
+    // 已被平台移除（懒加载丢弃、删除）的消息单独列出，便于恢复；其他分支上的消息不算移除
+    const currentIds = new Set((conversation.messages || []).concat(conversation.branchMessages || []).map(msg => msg.messageId));
+    const removedMessages = [];
+    revisionsByMessage.forEach((messageRevisions, messageId) => {
+      if (!currentIds.has(messageId)) {
+        const latest = messageRevisions[0];
+        removedMessages.push({
+          messageId,
+          sender: latest.sender,
+          position: latest.position,
+          content: latest.oldContent || '',
+          createdAt: latest.timestamp,
+          removed: true
+        });
+      }
+    });
+
+    const container = modal.querySelector('.messages-container');
+    if (container && removedMessages.length > 0) {
+      container.insertAdjacentHTML('beforeend', `
+        <div class="removed-messages-title">已移除的消息</div>
+        ${this.sortMessages(removedMessages).map(msg => this.generateMessageHTML(msg)).join('')}
+      `);
+    }
+
+    modal.querySelectorAll('.message-history-btn').forEach(button => {
+      const messageRevisions = revisionsByMessage.get(button.dataset.messageId);
+      if (!messageRevisions) return;
+
+      button.textContent = `历史 (${messageRevisions.length})`;
+      button.hidden = false;
+      button.addEventListener('click', () => {
+        this.toggleMessageHistory(button.closest('.message-item'), conversation.conversationId, messageRevisions);
+      });
+    });
+  }
+
+  toggleMessageHistory(messageElement, conversationId, revisions) {
+    if (!messageElement) return;
+
+    const existing = messageElement.querySelector('.message-history');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    // 每条修订记录中的旧内容即为一个历史版本
+    const versions = revisions.filter(revision => typeof revision.oldContent === 'string');
+
+    const history = document.createElement('div');
+    history.className = 'message-history';
+    history.innerHTML = versions.length > 0 ? versions.map(revision => `
+      <div class="revision-item">
+        <div class="revision-header">
+          <span class="revision-time">${new Date(revision.timestamp).toLocaleString()}</span>
+          <span class="revision-source">${this.getRevisionSourceLabel(revision)}</span>
+          <button class="revision-restore-btn" data-revision-id="${revision.revisionId}">恢复此版本</button>
+        </div>
+        ${revision.oldThinking ? `<div class="message-thinking"><strong>思考过程:</strong> ${this.escapeHtml(revision.oldThinking)}</div>` : ''}
+        <div class="message-text">${this.escapeHtml(revision.oldContent)}</div>
+      </div>
+    `).join('') : '<div class="empty-messages">暂无可恢复的历史版本</div>';
+
+    history.querySelectorAll('.revision-restore-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.restoreMessageRevision(conversationId, messageElement.dataset.messageId, Number(button.dataset.revisionId));
+      });
+    });
+
+    messageElement.appendChild(history);
+  }
+
+  getRevisionSourceLabel(revision) {
+    const labels = {
+      'auto-save': '自动保存',
+      'manual-save': '手动保存',
+      'restore': '恢复',
+      'archive-import': '导入存档',
+      'backup-restore': '恢复备份',
+      'duplicate-merge': '合并重复对话'
+    };
+    const label = labels[revision.source] || revision.source || '未知来源';
+    return revision.newContent === null ? `${label}时被移除` : `${label}时被替换`;
+  }
+
+  async restoreMessageRevision(conversationId, messageId, revisionId) {
+    if (!confirm('确定要将这条消息恢复到所选版本吗？当前内容会保留在历史中。')) {
+      return;
+    }
+
+    try {
+      if (!canUseRuntimeAPI()) {
+        throw new Error('Chrome Runtime API不可用');
+      }
+
+      await new Promise((resolve, reject) => {
+        chrome.runtime.sendMessage({
+          type: 'restoreMessageRevision',
+          conversationId,
+          messageId,
+          revisionId
+        }, (response) => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else if (!response || response.error) {
+            reject(new Error(response ? response.error : '恢复失败'));
+          } else {
+            resolve(response);
+          }
+        });
+      });
+
+      this.showNotification('已恢复到所选版本', 'success');
+
+      // 重新加载数据并刷新详情
+      await this.loadData();
+      this.hideConversationDetail();
+      this.showConversationDetail(conversationId);
+    } catch (error) {
+      console.error('恢复消息版本失败:', error);
+      this.showNotification('恢复失败', 'error');
+    }
   }
 
   hideConversationDetail() {
@@ -418,10 +873,11 @@ class PopupManager {
   }
 
   generateDetailModalHTML(conversation) {
-    const platformName = this.getPlatformDisplayName(conversation.platform);
+    const platformName = this.escapeHtml(this.getPlatformDisplayName(conversation.platform));
     const createdDate = new Date(conversation.createdAt).toLocaleString();
     const updatedDate = new Date(conversation.updatedAt).toLocaleString();
     const messageCount = conversation.messages ? conversation.messages.length : 0;
+    const branchMessageCount = conversation.branchMessages ? conversation.branchMessages.length : 0;
 
     return `
       <div class="detail-modal-backdrop">
@@ -452,6 +908,12 @@ class PopupManager {
               <span class="meta-label">消息数量:</span>
               <span class="meta-value">${messageCount}</span>
             </div>
+            ${branchMessageCount > 0 ? `
+            <div class="meta-item">
+              <span class="meta-label">其他分支:</span>
+              <span class="meta-value">${branchMessageCount} 条消息</span>
+            </div>
+            ` : ''}
             <div class="meta-item">
               <span class="meta-label">链接:</span>
               <button class="open-link-btn" title="在原网站打开">
@@ -467,10 +929,7 @@ class PopupManager {
           <div class="detail-messages">
             <h4 class="messages-title">对话内容</h4>
             <div class="messages-container">
-              ${conversation.messages && conversation.messages.length > 0 ?
-                conversation.messages.map(msg => this.generateMessageHTML(msg)).join('') :
-                '<div class="empty-messages">暂无消息内容</div>'
-              }
+              ${this.generateDetailMessagesHTML(conversation, new Map())}
             </div>
           </div>
 
@@ -484,25 +943,83 @@ class PopupManager {
     `;
   }
 
-  generateMessageHTML(message) {
+  /**
+   * 生成详情中的消息列表
+   * 有其他分支时按 selections（父消息ID -> 选中的子消息ID，根为 ''）沿消息树取一条路径，默认为当前分支
+   */
+  generateDetailMessagesHTML(conversation, selections) {
+    if (!conversation.messages || conversation.messages.length === 0) {
+      return '<div class="empty-messages">暂无消息内容</div>';
+    }
+
+    const branchMessages = conversation.branchMessages || [];
+    if (branchMessages.length === 0) {
+      return conversation.messages.map(msg => this.generateMessageHTML(msg)).join('');
+    }
+
+    return MessageUtils.buildBranchPath(conversation.messages.concat(branchMessages), selections)
+      .map(({ message, siblings }) => this.generateMessageHTML(message, siblings))
+      .join('');
+  }
+
+  generateBranchSwitcherHTML(message, siblings) {
+    const index = siblings.indexOf(message);
+    const parentKey = this.escapeHtml(message.parentId || '');
+    const previous = siblings[index - 1];
+    const next = siblings[index + 1];
+
+    return `
+      <span class="branch-switcher">
+        <button class="branch-switch-btn" data-parent-key="${parentKey}" data-target-id="${this.escapeAttr(previous ? previous.messageId : '')}" title="上一个分支" ${previous ? '' : 'disabled'}>‹</button>
+        <span class="branch-position">${index + 1}/${siblings.length}</span>
+        <button class="branch-switch-btn" data-parent-key="${parentKey}" data-target-id="${this.escapeAttr(next ? next.messageId : '')}" title="下一个分支" ${next ? '' : 'disabled'}>›</button>
+      </span>
+    `;
+  }
+
+  generateMessageHTML(message, siblings = []) {
     const sender = message.sender === 'user' ? '用户' : 'AI';
     const senderClass = message.sender === 'user' ? 'user-message' : 'ai-message';
     const time = new Date(message.createdAt).toLocaleString();
 
     return `
-      <div class="message-item ${senderClass}">
+      <div class="message-item ${senderClass}${message.removed ? ' removed-message' : ''}" data-message-id="${this.escapeAttr(message.messageId || '')}">
         <div class="message-header">
           <span class="message-sender">${sender}</span>
-          <span class="message-time">${time}</span>
+          <span class="message-header-right">
+            ${siblings.length > 1 ? this.generateBranchSwitcherHTML(message, siblings) : ''}
+            <span class="message-time">${time}</span>
+            <button class="message-history-btn" data-message-id="${this.escapeAttr(message.messageId || '')}" title="查看历史版本" hidden>历史</button>
+          </span>
         </div>
         <div class="message-content">
-          ${message.thinking ? `<div class="message-thinking"><strong>思考过程:</strong> ${this.escapeHtml(message.thinking)}</div>` : ''}
+          ${message.thinking ? `<div class="message-thinking"><strong>思考过程${message.thinkingDuration ? `（用时 ${this.formatThinkingDuration(message.thinkingDuration)}）` : ''}:</strong> ${this.escapeHtml(message.thinking)}</div>` : ''}
           <div class="message-text">${this.escapeHtml(message.content)}</div>
+          ${this.generateSourcesHTML(message.sources)}
         </div>
       </div>
     `;
   }
 
+  /**
+   * 回答引用的来源列表，编号与正文中的 [n] 对应
+   */
+  generateSourcesHTML(sources) {
+    const items = MessageUtils.normalizeSources(sources);
+    if (items.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="message-sources">
+        <strong>来源:</strong>
+        <ol>
+          ${items.map(source => `<li value="${source.index}"><a href="${this.escapeAttr(source.url)}" target="_blank" rel="noopener noreferrer" title="${this.escapeAttr(source.url)}">${this.escapeHtml(source.title || source.url)}</a></li>`).join('')}
+        </ol>
+      </div>
+    `;
+  }
+
   showContextMenu(event, conversationId) {
     // 简单的右键菜单实现
     const menu = document.createElement('div');
@@ -522,6 +1039,9 @@ class PopupManager {
 
     const menuItems = [
       { label: '复制链接', action: () => this.copyLink(conversationId) },
+      { label: '添加标签', action: () => this.promptAddTags([conversationId]) },
+      { label: '移除标签', action: () => this.promptRemoveTags([conversationId]) },
+      { label: '移到文件夹', action: () => this.promptMoveToFolder([conversationId]) },
       { label: '删除对话', action: () => this.deleteConversation(conversationId) }
     ];
 
@@ -586,23 +1106,11 @@ class PopupManager {
   }
 
   async deleteConversation(conversationId) {
-    if (!confirm('确定要删除这个对话吗？此操作不可撤销。')) {
-      return;
-    }
-
     try {
       if (canUseRuntimeAPI()) {
-        await new Promise((resolve, reject) => {
-          chrome.runtime.sendMessage({
-            type: 'deleteConversation',
-            conversationId
-          }, (response) => {
-            if (chrome.runtime.lastError) {
-              reject(chrome.runtime.lastError);
-            } else {
-              resolve(response);
-            }
-          });
+        await this.sendRuntimeMessage({
+          type: 'deleteConversation',
+          conversationId
         });
 
         // 从本地数组中移除
@@ -612,7 +1120,7 @@ class PopupManager {
 
         // 重新渲染
         this.render();
-        this.showNotification('对话已删除', 'success');
+        this.showNotification('对话已移到回收站', 'success');
         this.closePopupWindow();
 
       } else {
@@ -624,66 +1132,840 @@ class PopupManager {
     }
   }
 
-  async exportAllConversations() {
-    try {
-      if (this.conversations.length === 0) {
-        this.showNotification('没有可导出的对话', 'warning');
-        return;
-      }
+  // ========== 标签与文件夹 ==========
 
-      const conversationIds = this.conversations.map(c => c.conversationId);
-      await this.exportConversations(conversationIds, '全部对话');
-    } catch (error) {
-      console.error('导出全部对话失败:', error);
-      this.showNotification('导出失败', 'error');
-    }
+  // 解析用户输入的标签（逗号、顿号或空白分隔，可带 # 前缀）
+  parseTagInput(input) {
+    return (input || '')
+      .split(/[,，、\s]+/)
+      .map(tag => tag.replace(/^#+/, '').trim())
+      .filter(Boolean);
   }
 
-  async exportSelectedConversations() {
-    try {
-      if (this.selectedConversations.size === 0) {
-        this.showNotification('请先选择要导出的对话', 'warning');
-        return;
-      }
+  async promptAddTags(conversationIds) {
+    if (conversationIds.length === 0) return;
 
-      const conversationIds = Array.from(this.selectedConversations);
-      await this.exportConversations(conversationIds, '选中对话');
-    } catch (error) {
-      console.error('导出选中对话失败:', error);
-      this.showNotification('导出失败', 'error');
-    }
+    const input = prompt(`为 ${conversationIds.length} 个对话添加标签（多个标签用逗号分隔）:`, '');
+    const tags = this.parseTagInput(input);
+    if (tags.length === 0) return;
+
+    await this.organizeConversations(conversationIds, { addTags: tags }, '标签已添加');
   }
 
-  async exportConversations(conversationIds, description) {
-    if (conversationIds.length === 0) {
-      this.showNotification('没有可导出的对话', 'warning');
-      return;
-    }
+  async promptRemoveTags(conversationIds) {
+    if (conversationIds.length === 0) return;
 
-    // 简单的导出实现：导出为文本文件
-    const selectedConversations = this.conversations.filter(c =>
-      conversationIds.includes(c.conversationId)
-    );
+    const ids = new Set(conversationIds);
+    const existingTags = new Set();
+    this.conversations
+      .filter(conversation => ids.has(conversation.conversationId))
+      .forEach(conversation => (conversation.tags || []).forEach(tag => existingTags.add(tag)));
 
-    if (selectedConversations.length === 0) {
-      this.showNotification('没有找到匹配的对话', 'warning');
+    if (existingTags.size === 0) {
+      this.showNotification('所选对话没有标签', 'info');
       return;
     }
 
-    const format = this.getSelectedExportFormat();
-    const exportPayload = this.buildExportPayload(selectedConversations, format);
+    const input = prompt('要移除的标签（多个标签用逗号分隔）:', Array.from(existingTags).join(', '));
+    const tags = this.parseTagInput(input);
+    if (tags.length === 0) return;
 
-    if (!exportPayload || !exportPayload.content) {
-      this.showNotification('导出内容为空', 'warning');
+    await this.organizeConversations(conversationIds, { removeTags: tags }, '标签已移除');
+  }
+
+  async promptMoveToFolder(conversationIds) {
+    if (conversationIds.length === 0) return;
+
+    const current = this.conversations.find(c => c.conversationId === conversationIds[0]);
+    const input = prompt('移到文件夹（用 / 分隔层级，留空表示移出文件夹）:', (current && current.folder) || '');
+    if (input === null) return;
+
+    await this.organizeConversations(conversationIds, { folder: input }, input.trim() ? '已移到文件夹' : '已移出文件夹');
+  }
+
+  async organizeConversations(conversationIds, changes, successMessage) {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('整理对话需要在扩展中打开', 'warning');
       return;
     }
 
-    const blob = new Blob([exportPayload.content], { type: exportPayload.mimeType });
-    const url = URL.createObjectURL(blob);
+    try {
+      await this.sendRuntimeMessage({
+        type: 'organizeConversations',
+        conversationIds,
+        changes
+      });
+      await this.loadData();
+      this.showNotification(successMessage, 'success');
+    } catch (error) {
+      console.error('整理对话失败:', error);
+      this.showNotification('整理对话失败', 'error');
+    }
+  }
 
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+  sendRuntimeMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else if (response && response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // ========== 重复对话 ==========
+
+  // 读取后台最近一次的检测结果，只保留当前仍存在的会话
+  async getDuplicateGroups(rescan = false) {
+    const { scan } = await this.sendRuntimeMessage({ type: 'getDuplicateConversations', rescan });
+    const conversationMap = new Map(this.conversations.map(c => [c.conversationId, c]));
+
+    const groups = ((scan && scan.groups) || [])
+      .map(group => Object.assign({}, group, {
+        conversations: group.conversationIds.map(id => conversationMap.get(id)).filter(Boolean)
+      }))
+      .filter(group => group.conversations.length > 1);
+
+    return { scannedAt: scan && scan.scannedAt, groups };
+  }
+
+  async updateDuplicatesBadge() {
+    const badge = document.querySelector('.duplicates-badge');
+    if (!badge || !canUseRuntimeAPI()) return;
+
+    try {
+      const { groups } = await this.getDuplicateGroups();
+      badge.hidden = groups.length === 0;
+      badge.textContent = groups.length;
+    } catch (error) {
+      console.warn('AI Chat Memory: 获取重复对话失败:', error);
+    }
+  }
+
+  async showDuplicates(rescan = false) {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('重复对话检测需要在扩展中打开', 'warning');
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.getDuplicateGroups(rescan);
+    } catch (error) {
+      console.error('检测重复对话失败:', error);
+      this.showNotification('检测重复对话失败', 'error');
+      return;
+    }
+
+    this.hideDuplicates();
+
+    const modal = document.createElement('div');
+    modal.className = 'conversation-detail-modal duplicates-modal';
+    modal.innerHTML = this.generateDuplicatesModalHTML(result);
+    document.body.appendChild(modal);
+
+    modal.querySelector('.detail-close-btn').addEventListener('click', () => {
+      this.hideDuplicates();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideDuplicates();
+      }
+    });
+
+    modal.querySelector('.rescan-duplicates-btn').addEventListener('click', () => {
+      this.showDuplicates(true);
+    });
+
+    modal.querySelectorAll('.duplicate-group').forEach(groupElement => {
+      const mergeBtn = groupElement.querySelector('.merge-duplicates-btn');
+      const primaryInputs = Array.from(groupElement.querySelectorAll('.duplicate-primary'));
+      const includeInputs = Array.from(groupElement.querySelectorAll('.duplicate-include'));
+
+      // 保留的会话必定参与合并，至少还需要一个被合并的会话
+      const updateState = () => {
+        includeInputs.forEach((input, index) => {
+          if (primaryInputs[index].checked) {
+            input.checked = true;
+          }
+          input.disabled = primaryInputs[index].checked;
+        });
+        mergeBtn.disabled = includeInputs.filter(input => input.checked).length < 2;
+      };
+      primaryInputs.concat(includeInputs).forEach(input => {
+        input.addEventListener('change', updateState);
+      });
+      updateState();
+
+      mergeBtn.addEventListener('click', () => {
+        const primary = primaryInputs.find(input => input.checked);
+        const duplicateIds = includeInputs
+          .filter(input => input.checked && input.value !== primary.value)
+          .map(input => input.value);
+        this.mergeDuplicateConversations(primary.value, duplicateIds, mergeBtn);
+      });
+    });
+  }
+
+  hideDuplicates() {
+    const modal = document.querySelector('.duplicates-modal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  generateDuplicatesModalHTML({ scannedAt, groups }) {
+    const reasonLabels = {
+      externalId: '外部ID相同',
+      link: '链接相同',
+      messages: '消息重合'
+    };
+
+    return `
+      <div class="detail-modal-backdrop">
+        <div class="detail-modal-content">
+          <div class="detail-header">
+            <h3 class="detail-title">重复对话（${groups.length} 组）</h3>
+            <button class="detail-close-btn" title="关闭">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6.41 5L5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41 17.59 5 12 10.59z"/>
+              </svg>
+            </button>
+          </div>
+
+          <div class="import-summary">
+            ${scannedAt ? `上次检测: ${new Date(scannedAt).toLocaleString()}。` : ''}
+            合并后消息取并集并按顺序排列，其余对话移到回收站。
+          </div>
+
+          <div class="trash-list">
+            ${groups.length > 0 ? groups.map((group, groupIndex) => `
+              <div class="duplicate-group">
+                <div class="duplicate-group-header">
+                  <span>${group.reasons.map(reason => reasonLabels[reason] || reason).join('、')}</span>
+                  <button class="merge-duplicates-btn">合并此组</button>
+                </div>
+                <div class="duplicate-columns">
+                  ${group.conversations.map((conversation, index) => this.renderDuplicateColumn(conversation, groupIndex, index === 0)).join('')}
+                </div>
+              </div>
+            `).join('') : '<div class="empty-messages">没有发现重复的对话</div>'}
+          </div>
+
+          <div class="detail-actions">
+            <button class="action-btn confirm-import-btn rescan-duplicates-btn">重新检测</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  renderDuplicateColumn(conversation, groupIndex, isPrimary) {
+    const messages = this.sortMessages(conversation.messages || []);
+    const preview = messages.length > 4 ? [...messages.slice(0, 2), null, ...messages.slice(-2)] : messages;
+    const conversationId = this.escapeHtml(conversation.conversationId);
+
+    return `
+      <div class="duplicate-column">
+        <div class="duplicate-column-options">
+          <label><input type="radio" class="duplicate-primary" name="duplicate-primary-${groupIndex}" value="${conversationId}"${isPrimary ? ' checked' : ''}> 保留</label>
+          <label><input type="checkbox" class="duplicate-include" value="${conversationId}" checked> 合并</label>
+        </div>
+        <div class="duplicate-column-title">${this.escapeHtml(conversation.title || '未命名对话')}</div>
+        <div class="duplicate-column-meta">
+          ${this.escapeHtml(this.getPlatformDisplayName(conversation.platform))} · ${messages.length} 条消息<br>
+          更新于 ${this.formatDate(conversation.updatedAt || conversation.createdAt)}<br>
+          ${this.escapeHtml(conversation.link || '无链接')}
+        </div>
+        <div class="duplicate-preview">
+          ${preview.map(message => message ?
+            `<div>${message.sender === 'user' ? '用户' : 'AI'}: ${this.escapeHtml(message.content || '')}</div>` :
+            '<div>……</div>').join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  async mergeDuplicateConversations(primaryId, duplicateIds, mergeBtn) {
+    mergeBtn.disabled = true;
+    mergeBtn.textContent = '正在合并...';
+
+    try {
+      const { result } = await this.sendRuntimeMessage({
+        type: 'mergeDuplicateConversations',
+        primaryId,
+        duplicateIds
+      });
+      await this.loadData();
+      this.showNotification(`已合并 ${result.merged} 个重复对话`, 'success');
+      await this.showDuplicates();
+    } catch (error) {
+      console.error('合并重复对话失败:', error);
+      this.showNotification('合并失败', 'error');
+      mergeBtn.disabled = false;
+      mergeBtn.textContent = '合并此组';
+    }
+  }
+
+  // ========== 回收站 ==========
+
+  async showTrash() {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('回收站需要在扩展中打开', 'warning');
+      return;
+    }
+
+    let items;
+    let settings;
+    try {
+      [{ items }, { settings }] = await Promise.all([
+        this.sendRuntimeMessage({ type: 'getTrash' }),
+        this.sendRuntimeMessage({ type: 'getSettings' })
+      ]);
+    } catch (error) {
+      console.error('加载回收站失败:', error);
+      this.showNotification('加载回收站失败', 'error');
+      return;
+    }
+
+    this.hideTrash();
+
+    const modal = document.createElement('div');
+    modal.className = 'conversation-detail-modal trash-modal';
+    modal.innerHTML = this.generateTrashModalHTML(items || [], settings || {});
+    document.body.appendChild(modal);
+
+    modal.querySelector('.detail-close-btn').addEventListener('click', () => {
+      this.hideTrash();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideTrash();
+      }
+    });
+
+    const retentionInput = modal.querySelector('.trash-retention-input');
+    retentionInput.addEventListener('change', () => {
+      this.updateTrashRetention(retentionInput);
+    });
+
+    modal.querySelectorAll('.trash-restore-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.restoreConversation(button.dataset.conversationId);
+      });
+    });
+
+    modal.querySelectorAll('.trash-delete-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.permanentlyDeleteConversation(button.dataset.conversationId);
+      });
+    });
+
+    const emptyBtn = modal.querySelector('.empty-trash-btn');
+    if (emptyBtn) {
+      emptyBtn.addEventListener('click', () => {
+        this.emptyTrash();
+      });
+    }
+  }
+
+  hideTrash() {
+    const modal = document.querySelector('.trash-modal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  generateTrashModalHTML(items, settings) {
+    const retentionDays = Number.isFinite(Number(settings.trashRetentionDays)) ? Number(settings.trashRetentionDays) : 30;
+
+    return `
+      <div class="detail-modal-backdrop">
+        <div class="detail-modal-content">
+          <div class="detail-header">
+            <h3 class="detail-title">回收站（${items.length}）</h3>
+            <button class="detail-close-btn" title="关闭">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6.41 5L5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41 17.59 5 12 10.59z"/>
+              </svg>
+            </button>
+          </div>
+
+          <div class="trash-settings">
+            <label for="trashRetentionInput">自动永久删除超过</label>
+            <input type="number" min="1" max="365" class="trash-retention-input" id="trashRetentionInput" value="${retentionDays}">
+            <span>天的对话</span>
+          </div>
+
+          <div class="trash-list">
+            ${items.length > 0 ? items.map(item => `
+              <div class="trash-item">
+                <div class="trash-item-info">
+                  <div class="trash-item-title">${this.escapeHtml(item.title || '未命名对话')}</div>
+                  <div class="trash-item-meta">
+                    ${this.escapeHtml(this.getPlatformDisplayName(item.platform))} · ${item.messageCount} 条消息 · 删除于 ${new Date(item.deletedAt).toLocaleString()}
+                  </div>
+                </div>
+                <div class="trash-item-actions">
+                  <button class="trash-restore-btn" data-conversation-id="${this.escapeAttr(item.conversationId)}">恢复</button>
+                  <button class="trash-delete-btn" data-conversation-id="${this.escapeAttr(item.conversationId)}">永久删除</button>
+                </div>
+              </div>
+            `).join('') : '<div class="empty-messages">回收站是空的</div>'}
+          </div>
+
+          ${items.length > 0 ? `
+            <div class="detail-actions">
+              <button class="action-btn empty-trash-btn" title="永久删除回收站中的全部对话">清空回收站</button>
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  async updateTrashRetention(input) {
+    const days = parseInt(input.value, 10);
+    if (!Number.isFinite(days) || days < 1 || days > 365) {
+      this.showNotification('请输入 1 到 365 之间的天数', 'warning');
+      return;
+    }
+
+    try {
+      await this.sendRuntimeMessage({ type: 'updateSettings', settings: { trashRetentionDays: days } });
+      this.showNotification(`回收站将自动清理 ${days} 天前删除的对话`, 'success');
+    } catch (error) {
+      console.error('更新回收站设置失败:', error);
+      this.showNotification('保存设置失败', 'error');
+    }
+  }
+
+  async restoreConversation(conversationId) {
+    try {
+      await this.sendRuntimeMessage({ type: 'restoreConversation', conversationId });
+      this.showNotification('对话已恢复', 'success');
+      await this.loadData();
+      await this.showTrash();
+    } catch (error) {
+      console.error('恢复对话失败:', error);
+      this.showNotification('恢复失败', 'error');
+    }
+  }
+
+  async permanentlyDeleteConversation(conversationId) {
+    if (!confirm('确定要永久删除这个对话吗？此操作不可撤销。')) {
+      return;
+    }
+
+    try {
+      await this.sendRuntimeMessage({ type: 'permanentlyDeleteConversation', conversationId });
+      this.showNotification('对话已永久删除', 'success');
+      await this.showTrash();
+    } catch (error) {
+      console.error('永久删除对话失败:', error);
+      this.showNotification('删除失败', 'error');
+    }
+  }
+
+  async emptyTrash() {
+    if (!confirm('确定要清空回收站吗？其中的对话将被永久删除，此操作不可撤销。')) {
+      return;
+    }
+
+    try {
+      await this.sendRuntimeMessage({ type: 'emptyTrash' });
+      this.showNotification('回收站已清空', 'success');
+      await this.showTrash();
+    } catch (error) {
+      console.error('清空回收站失败:', error);
+      this.showNotification('清空失败', 'error');
+    }
+  }
+
+  // ========== 导入存档 ==========
+
+  async handleImportFile(file) {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('导入存档需要在扩展中打开', 'warning');
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = ArchiveImporter.parse(await file.text(), file.name);
+    } catch (error) {
+      console.error('解析存档失败:', error);
+      this.showNotification('读取文件失败', 'error');
+      return;
+    }
+
+    if (parsed.conversations.length === 0) {
+      this.showNotification(parsed.errors[0] || '文件中没有可导入的对话', 'warning');
+      return;
+    }
+
+    this.showImportPreview(file.name, parsed);
+  }
+
+  // 预览待导入的对话：按会话ID或链接判断是合并到已有对话还是新建
+  showImportPreview(filename, parsed) {
+    this.hideImportPreview();
+
+    const items = parsed.conversations.map(conversation => ({
+      conversation,
+      existing: this.findExistingConversation(conversation)
+    }));
+
+    const modal = document.createElement('div');
+    modal.className = 'conversation-detail-modal import-modal';
+    modal.innerHTML = this.generateImportPreviewHTML(filename, parsed, items);
+    document.body.appendChild(modal);
+
+    modal.querySelector('.detail-close-btn').addEventListener('click', () => {
+      this.hideImportPreview();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideImportPreview();
+      }
+    });
+
+    const confirmBtn = modal.querySelector('.confirm-import-btn');
+    const checkboxes = Array.from(modal.querySelectorAll('.import-item input'));
+    const updateConfirmState = () => {
+      const count = checkboxes.filter(checkbox => checkbox.checked).length;
+      confirmBtn.disabled = count === 0;
+      confirmBtn.textContent = `导入 ${count} 个对话`;
+    };
+    checkboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', updateConfirmState);
+    });
+
+    confirmBtn.addEventListener('click', () => {
+      const selected = checkboxes
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => items[Number(checkbox.dataset.index)].conversation);
+      this.importArchiveConversations(selected, confirmBtn);
+    });
+  }
+
+  hideImportPreview() {
+    const modal = document.querySelector('.import-modal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  findExistingConversation(conversation) {
+    return this.conversations.find(c => conversation.conversationId && c.conversationId === conversation.conversationId) ||
+      this.conversations.find(c => conversation.link && c.link === conversation.link) ||
+      null;
+  }
+
+  generateImportPreviewHTML(filename, parsed, items) {
+    const formatName = parsed.format === 'sharegpt' ? 'ShareGPT JSONL' : 'Markdown 文本';
+    const mergeCount = items.filter(item => item.existing).length;
+
+    return `
+      <div class="detail-modal-backdrop">
+        <div class="detail-modal-content">
+          <div class="detail-header">
+            <h3 class="detail-title">导入存档</h3>
+            <button class="detail-close-btn" title="关闭">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6.41 5L5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41 17.59 5 12 10.59z"/>
+              </svg>
+            </button>
+          </div>
+
+          <div class="import-summary">
+            ${this.escapeHtml(filename)}（${formatName}）：共 ${items.length} 个对话，
+            其中 ${items.length - mergeCount} 个新建、${mergeCount} 个将合并到已有对话
+            ${parsed.errors.length > 0 ? `
+              <ul class="import-errors">
+                ${parsed.errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}
+              </ul>
+            ` : ''}
+          </div>
+
+          <div class="trash-list">
+            ${items.map((item, index) => `
+              <label class="trash-item import-item">
+                <input type="checkbox" data-index="${index}" checked>
+                <div class="trash-item-info">
+                  <div class="trash-item-title">${this.escapeHtml(item.conversation.title)}</div>
+                  <div class="trash-item-meta">
+                    ${this.escapeHtml(this.getPlatformDisplayName(item.conversation.platform))} · ${item.conversation.messages.length} 条消息
+                    ${item.existing ? ` · 已有 ${this.escapeHtml(item.existing.title || '未命名对话')}` : ''}
+                  </div>
+                </div>
+                <span class="import-status${item.existing ? ' merge' : ''}">${item.existing ? '合并' : '新建'}</span>
+              </label>
+            `).join('')}
+          </div>
+
+          <div class="detail-actions">
+            <button class="action-btn confirm-import-btn">导入 ${items.length} 个对话</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // 分批交给后台导入，后台按会话ID、链接去重并合并消息
+  async importArchiveConversations(conversations, confirmBtn) {
+    const batchSize = 20;
+    const summary = { created: 0, merged: 0, failed: 0 };
+
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = '正在导入...';
+
+    try {
+      for (let i = 0; i < conversations.length; i += batchSize) {
+        const { results } = await this.sendRuntimeMessage({
+          type: 'importConversations',
+          conversations: conversations.slice(i, i + batchSize),
+          source: 'archive-import'
+        });
+
+        (results || []).forEach(result => {
+          if (result.error) {
+            summary.failed++;
+          } else {
+            summary[result.action]++;
+          }
+        });
+      }
+    } catch (error) {
+      console.error('导入存档失败:', error);
+      this.showNotification('导入失败', 'error');
+      this.hideImportPreview();
+      await this.loadData();
+      return;
+    }
+
+    this.hideImportPreview();
+    await this.loadData();
+
+    const message = `导入完成：新建 ${summary.created} 个，合并 ${summary.merged} 个` +
+      (summary.failed > 0 ? `，失败 ${summary.failed} 个` : '');
+    this.showNotification(message, summary.failed > 0 ? 'warning' : 'success');
+  }
+
+  // ========== 完整备份与恢复 ==========
+
+  async createBackup() {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('备份需要在扩展中打开', 'warning');
+      return;
+    }
+
+    try {
+      const { backup } = await this.sendRuntimeMessage({ type: 'createBackup' });
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+      this.downloadFile(JSON.stringify(backup), 'application/json;charset=utf-8', `ai-chat-memory_backup_${timestamp}.json`);
+      this.showNotification(`已备份 ${backup.conversations.length} 个对话`, 'success');
+    } catch (error) {
+      console.error('备份失败:', error);
+      this.showNotification('备份失败', 'error');
+    }
+  }
+
+  async handleRestoreFile(file) {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('恢复备份需要在扩展中打开', 'warning');
+      return;
+    }
+
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      this.showNotification('备份文件不是有效的 JSON', 'error');
+      return;
+    }
+
+    // 完整校验由后台完成，这里只拦截明显不是备份的文件
+    if (!backup || backup.format !== 'ai-chat-memory-backup' || !Array.isArray(backup.conversations)) {
+      this.showNotification('不是有效的 AI Chat Memory 备份文件', 'warning');
+      return;
+    }
+
+    this.showRestorePreview(file.name, backup);
+  }
+
+  showRestorePreview(filename, backup) {
+    this.hideRestorePreview();
+
+    const modal = document.createElement('div');
+    modal.className = 'conversation-detail-modal restore-modal';
+    modal.innerHTML = this.generateRestorePreviewHTML(filename, backup);
+    document.body.appendChild(modal);
+
+    modal.querySelector('.detail-close-btn').addEventListener('click', () => {
+      this.hideRestorePreview();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideRestorePreview();
+      }
+    });
+
+    modal.querySelector('.merge-backup-btn').addEventListener('click', () => {
+      this.restoreBackup(backup, 'merge');
+    });
+
+    modal.querySelector('.replace-backup-btn').addEventListener('click', () => {
+      if (!confirm('替换会清空当前所有对话、修订历史和回收站，并以备份内容代替，确定继续吗？')) {
+        return;
+      }
+      this.restoreBackup(backup, 'replace');
+    });
+  }
+
+  hideRestorePreview() {
+    const modal = document.querySelector('.restore-modal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  generateRestorePreviewHTML(filename, backup) {
+    const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : '未知';
+    const revisionCount = Array.isArray(backup.revisions) ? backup.revisions.length : 0;
+    const trashCount = Array.isArray(backup.trash) ? backup.trash.length : 0;
+
+    return `
+      <div class="detail-modal-backdrop">
+        <div class="detail-modal-content">
+          <div class="detail-header">
+            <h3 class="detail-title">恢复备份</h3>
+            <button class="detail-close-btn" title="关闭">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6.41 5L5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41 17.59 5 12 10.59z"/>
+              </svg>
+            </button>
+          </div>
+
+          <div class="import-summary">
+            ${this.escapeHtml(filename)}：备份于 ${this.escapeHtml(exportedAt)}（结构版本 v${this.escapeHtml(String(backup.schemaVersion))}），
+            包含 ${backup.conversations.length} 个对话、${revisionCount} 条修订记录、回收站中 ${trashCount} 个对话，以及设置与悬浮标签位置
+          </div>
+
+          <div class="trash-list">
+            <p><strong>合并</strong>：按会话ID与链接合并到现有对话，保留本地已有内容，缺少的对话会新建；修订记录补回到对应的消息上。</p>
+            <p><strong>替换</strong>：清空当前全部数据后按备份原样恢复。</p>
+          </div>
+
+          <div class="detail-actions">
+            <button class="action-btn confirm-import-btn merge-backup-btn">合并</button>
+            <button class="action-btn replace-backup-btn">替换</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  async restoreBackup(backup, mode) {
+    const modal = document.querySelector('.restore-modal');
+    if (modal) {
+      modal.querySelectorAll('.detail-actions button').forEach(button => {
+        button.disabled = true;
+      });
+    }
+
+    try {
+      const { summary } = await this.sendRuntimeMessage({ type: 'restoreBackup', backup, mode });
+      this.hideRestorePreview();
+      await this.loadData();
+
+      const skippedRevisions = summary.skippedRevisions || 0;
+      const message = mode === 'replace' ?
+        `已恢复 ${summary.created} 个对话` :
+        `恢复完成：新建 ${summary.created} 个，合并 ${summary.merged} 个` +
+          (summary.failed > 0 ? `，失败 ${summary.failed} 个` : '') +
+          (skippedRevisions > 0 ? `，${skippedRevisions} 条修订记录对应的消息已不存在，未恢复` : '');
+      this.showNotification(message, summary.failed > 0 || skippedRevisions > 0 ? 'warning' : 'success');
+    } catch (error) {
+      console.error('恢复备份失败:', error);
+      this.hideRestorePreview();
+      this.showNotification(`恢复失败：${error.message || error}`, 'error');
+    }
+  }
+
+  async exportAllConversations() {
+    try {
+      if (this.conversations.length === 0) {
+        this.showNotification('没有可导出的对话', 'warning');
+        return;
+      }
+
+      const conversationIds = this.conversations.map(c => c.conversationId);
+      await this.exportConversations(conversationIds, '全部对话');
+    } catch (error) {
+      console.error('导出全部对话失败:', error);
+      this.showNotification('导出失败', 'error');
+    }
+  }
+
+  async exportSelectedConversations() {
+    try {
+      if (this.selectedConversations.size === 0) {
+        this.showNotification('请先选择要导出的对话', 'warning');
+        return;
+      }
+
+      const conversationIds = Array.from(this.selectedConversations);
+      await this.exportConversations(conversationIds, '选中对话');
+    } catch (error) {
+      console.error('导出选中对话失败:', error);
+      this.showNotification('导出失败', 'error');
+    }
+  }
+
+  async exportConversations(conversationIds, description) {
+    if (conversationIds.length === 0) {
+      this.showNotification('没有可导出的对话', 'warning');
+      return;
+    }
+
+    // 简单的导出实现：导出为文本文件
+    const selectedConversations = this.conversations.filter(c =>
+      conversationIds.includes(c.conversationId)
+    );
+
+    if (selectedConversations.length === 0) {
+      this.showNotification('没有找到匹配的对话', 'warning');
+      return;
+    }
+
+    const format = this.getSelectedExportFormat();
+    const exportPayload = this.buildExportPayload(selectedConversations, format, this.getExportOptions());
+
+    if (!exportPayload || !exportPayload.content) {
+      this.showNotification('导出内容为空', 'warning');
+      return;
+    }
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
     const filename = `ai-chat-memory_${description}_${timestamp}.${exportPayload.extension}`;
 
+    this.downloadFile(exportPayload.content, exportPayload.mimeType, filename);
+    this.showNotification(`成功导出 ${conversationIds.length} 个对话`, 'success');
+  }
+
+  downloadFile(content, mimeType, filename) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
     const downloadLink = document.createElement('a');
     downloadLink.href = url;
     downloadLink.download = filename;
@@ -695,11 +1977,13 @@ class PopupManager {
     }
 
     URL.revokeObjectURL(url);
-    this.showNotification(`成功导出 ${conversationIds.length} 个对话`, 'success');
   }
 
-  generateMarkdownExport(conversations) {
+  generateMarkdownExport(conversations, options = {}) {
+    const includeThinking = options.includeThinking !== false;
     const safeConversations = Array.isArray(conversations) ? conversations : [];
+    // 脚注标签在整个导出文件中递增，不同回答的来源不会互相覆盖
+    const footnoteCounter = { value: 0 };
     let content = `# AI Chat Memory 导出文件\n`;
     content += `导出时间: ${new Date().toLocaleString()}\n`;
     content += `对话数量: ${safeConversations.length}\n\n`;
@@ -718,10 +2002,12 @@ class PopupManager {
         messages.forEach(message => {
           const sender = message.sender === 'user' ? '用户' : 'AI';
           content += `\n**${sender}** [${new Date(message.createdAt).toLocaleString()}]:\n`;
-          if (message.thinking) {
-            content += `*思考过程*: ${message.thinking}\n`;
+          if (includeThinking && message.thinking && message.thinking.trim()) {
+            // 思考过程可能有多行，以结束行标明边界，导入时据此与正文区分
+            const duration = message.thinkingDuration ? `（用时 ${this.formatThinkingDuration(message.thinkingDuration)}）` : '';
+            content += `*思考过程*${duration}:\n${message.thinking.trim()}\n*思考过程结束*\n`;
           }
-          content += `${message.content}\n`;
+          content += `${this.formatContentWithFootnotes(message, footnoteCounter)}\n`;
         });
       }
 
@@ -731,25 +2017,25 @@ class PopupManager {
     return content;
   }
 
-  buildExportPayload(conversations, format) {
+  buildExportPayload(conversations, format, options = {}) {
     const selectedFormat = format || 'sharegpt';
 
     if (selectedFormat === 'sharegpt') {
       return {
-        content: this.generateShareGPTJsonl(conversations),
+        content: this.generateShareGPTJsonl(conversations, options),
         mimeType: 'application/json;charset=utf-8',
         extension: 'jsonl'
       };
     }
 
     return {
-      content: this.generateMarkdownExport(conversations),
+      content: this.generateMarkdownExport(conversations, options),
       mimeType: 'text/plain;charset=utf-8',
       extension: 'txt'
     };
   }
 
-  generateShareGPTJsonl(conversations) {
+  generateShareGPTJsonl(conversations, options = {}) {
     const safeConversations = Array.isArray(conversations) ? conversations : [];
     if (safeConversations.length === 0) {
       return '';
@@ -757,7 +2043,7 @@ class PopupManager {
 
     const lines = safeConversations.map(conversation => {
       const messages = this.sortMessages(conversation.messages || [])
-        .map(message => this.normalizeShareGPTMessage(message))
+        .map(message => this.normalizeShareGPTMessage(message, options))
         .filter(Boolean);
 
       const payload = {
@@ -783,29 +2069,42 @@ class PopupManager {
     return lines.join('\n');
   }
 
-  normalizeShareGPTMessage(message) {
+  normalizeShareGPTMessage(message, options = {}) {
     if (!message) {
       return null;
     }
 
-    const value = this.composeShareGPTMessageValue(message);
+    const includeThinking = options.includeThinking !== false;
+    const value = this.composeShareGPTMessageValue(message, includeThinking);
     if (!value) {
       return null;
     }
 
-    return {
+    const turn = {
       from: this.mapSenderToShareGPTRole(message.sender),
       value
     };
+    // 思考过程另存一份，导入时不必从 value 中猜测思考过程与正文的边界
+    if (includeThinking && message.thinking && message.thinking.trim()) {
+      turn.thinking = message.thinking.trim();
+      if (message.thinkingDuration) {
+        turn.thinking_duration = message.thinkingDuration;
+      }
+    }
+    const sources = MessageUtils.normalizeSources(message.sources);
+    if (sources.length > 0) {
+      turn.sources = sources;
+    }
+    return turn;
   }
 
-  composeShareGPTMessageValue(message) {
+  composeShareGPTMessageValue(message, includeThinking = true) {
     if (!message) {
       return '';
     }
 
     const parts = [];
-    if (message.thinking && message.thinking.trim()) {
+    if (includeThinking && message.thinking && message.thinking.trim()) {
       parts.push(`思考过程:\n${message.thinking.trim()}`);
     }
     if (message.content && message.content.trim()) {
@@ -853,6 +2152,56 @@ class PopupManager {
     });
   }
 
+  getExportOptions() {
+    const checkbox = document.getElementById('exportThinkingCheckbox');
+    return {
+      includeThinking: checkbox ? checkbox.checked : true
+    };
+  }
+
+  /**
+   * 把回答中引用来源的 [n] 改为 Markdown 脚注 [^m]，并在正文后附上脚注定义
+   * 代码块与行内代码中的 [n] 保持不变
+   * @param {Object} message - 消息
+   * @param {Object} footnoteCounter - { value }，已使用的最大脚注编号
+   * @returns {string}
+   */
+  formatContentWithFootnotes(message, footnoteCounter) {
+    const content = message.content || '';
+    const sources = MessageUtils.normalizeSources(message.sources);
+    if (sources.length === 0) {
+      return content;
+    }
+
+    const labels = new Map();
+    sources.forEach(source => {
+      footnoteCounter.value += 1;
+      labels.set(source.index, footnoteCounter.value);
+    });
+
+    const body = content.replace(/(`{3,})[\s\S]*?\1|`[^`\n]*`|\[(\d+)\](?!\()/g, (match, fence, index) =>
+      (index && labels.has(Number(index)) ? `[^${labels.get(Number(index))}]` : match)
+    );
+    const definitions = sources.map(source => {
+      const title = (source.title || source.url).replace(/([\\\[\]])/g, '\\$1');
+      // 地址中的括号会提前结束 Markdown 链接
+      const url = source.url.replace(/\(/g, '%28').replace(/\)/g, '%29');
+      return `[^${labels.get(source.index)}]: [${title}](${url})`;
+    });
+
+    return `${body}\n\n${definitions.join('\n')}`;
+  }
+
+  /**
+   * 思考用时（秒）转为“1 分 5 秒”
+   */
+  formatThinkingDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    if (minutes === 0) return `${rest} 秒`;
+    return rest === 0 ? `${minutes} 分` : `${minutes} 分 ${rest} 秒`;
+  }
+
   getSelectedExportFormat() {
     const select = document.getElementById('exportFormatSelect');
     if (select && select.value) {
@@ -869,32 +2218,19 @@ class PopupManager {
     }
 
     const format = this.getSelectedExportFormat();
-    const exportPayload = this.buildExportPayload([conversation], format);
+    const exportPayload = this.buildExportPayload([conversation], format, this.getExportOptions());
 
     if (!exportPayload || !exportPayload.content) {
       this.showNotification('导出内容为空', 'warning');
       return;
     }
 
-    const blob = new Blob([exportPayload.content], { type: exportPayload.mimeType });
-    const url = URL.createObjectURL(blob);
-
     const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
     const title = conversation.title || '未命名对话';
     const safeTitle = title.replace(/[^\w\u4e00-\u9fa5]/g, '_');
     const filename = `ai-chat-memory_${safeTitle}_${timestamp}.${exportPayload.extension}`;
 
-    const downloadLink = document.createElement('a');
-    downloadLink.href = url;
-    downloadLink.download = filename;
-    downloadLink.style.display = 'none';
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
-    if (downloadLink.parentNode) {
-      document.body.removeChild(downloadLink);
-    }
-
-    URL.revokeObjectURL(url);
+    this.downloadFile(exportPayload.content, exportPayload.mimeType, filename);
     this.showNotification(`成功导出对话: ${title}`, 'success');
   }
 
@@ -941,13 +2277,20 @@ class PopupManager {
     }
   }
 
+  /**
+   * 登记自定义适配规则对应的平台，对话列表与导出中显示规则中的名称而不是平台标识
+   */
+  async loadCustomPlatforms() {
+    try {
+      const { specs } = await this.sendRuntimeMessage({ type: 'getAdapterSpecs' });
+      PlatformRegistry.registerCustomPlatforms(AdapterSpecs.getCustomSpecs(specs));
+    } catch (error) {
+      console.warn('AI Chat Memory: 加载自定义适配规则失败:', error);
+    }
+  }
+
   getPlatformDisplayName(platform) {
-    const platformNames = {
-      'chatgpt': 'ChatGPT',
-      'gemini': 'Gemini',
-      'monica': 'Monica'
-    };
-    return platformNames[platform] || platform;
+    return PlatformRegistry.getDisplayName(platform);
   }
 
   formatDate(dateString) {
@@ -977,6 +2320,13 @@ class PopupManager {
     return div.innerHTML;
   }
 
+  /**
+   * 转义放在引号属性值中的文本（escapeHtml 不转义引号，标签、文件夹等用户输入可能含有引号）
+   */
+  escapeAttr(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
   debounce(func, wait) {
     let timeout;
     return function executedFunction(...args) {
@@ -997,11 +2347,402 @@ class PopupManager {
         `导出选中 (${this.selectedConversations.size})` :
         '导出选中';
     }
+
+    ['addTagsBtn', 'removeTagsBtn', 'moveToFolderBtn'].forEach(id => {
+      const organizeBtn = document.getElementById(id);
+      if (organizeBtn) {
+        organizeBtn.disabled = this.selectedConversations.size === 0;
+      }
+    });
   }
 
+  // ========== 设置 ==========
+
   openSettings() {
-    // TODO: 实现设置页面
-    this.showNotification('设置功能开发中', 'info');
+    this.showSettings();
+  }
+
+  async showSettings() {
+    if (!canUseRuntimeAPI()) {
+      this.showNotification('设置需要在扩展中打开', 'warning');
+      return;
+    }
+
+    let sites;
+    let specs;
+    try {
+      [{ sites }, { specs }] = await Promise.all([
+        this.sendRuntimeMessage({ type: 'getCustomSites' }),
+        this.sendRuntimeMessage({ type: 'getAdapterSpecs' })
+      ]);
+    } catch (error) {
+      console.error('加载设置失败:', error);
+      this.showNotification('加载设置失败', 'error');
+      return;
+    }
+
+    this.hideSettings();
+    this.adapterSpecs = specs || {};
+    PlatformRegistry.registerCustomPlatforms(AdapterSpecs.getCustomSpecs(this.adapterSpecs));
+
+    const modal = document.createElement('div');
+    modal.className = 'conversation-detail-modal settings-modal';
+    modal.innerHTML = this.generateSettingsModalHTML(sites || [], this.adapterSpecs);
+    document.body.appendChild(modal);
+
+    modal.querySelector('.detail-close-btn').addEventListener('click', () => {
+      this.hideSettings();
+    });
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideSettings();
+      }
+    });
+
+    modal.querySelector('.custom-site-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addCustomSite(modal);
+    });
+
+    modal.querySelectorAll('.custom-site-remove-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.removeCustomSite(button.dataset.origin);
+      });
+    });
+
+    modal.querySelectorAll('.adapter-spec-edit-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.showAdapterSpecEditor(button.dataset.id);
+      });
+    });
+
+    modal.querySelectorAll('.adapter-spec-remove-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        this.removeAdapterSpec(button.dataset.id);
+      });
+    });
+
+    modal.querySelector('.adapter-spec-new-btn').addEventListener('click', () => {
+      this.showAdapterSpecEditor(null);
+    });
+
+    const fileInput = modal.querySelector('.adapter-spec-file-input');
+    modal.querySelector('.adapter-spec-import-btn').addEventListener('click', () => {
+      fileInput.click();
+    });
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) {
+        this.importAdapterSpecs(file);
+      }
+    });
+  }
+
+  hideSettings() {
+    const modal = document.querySelector('.settings-modal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  generateSettingsModalHTML(sites, specs) {
+    // 自建站点可以选择自建平台，也可以选择导入的自定义适配规则
+    const platforms = PlatformRegistry.getSelfHostedPlatforms()
+      .concat(AdapterSpecs.getCustomSpecs(specs).map(spec => ({ id: spec.id, name: spec.name || spec.id })));
+    const getPlatformName = id => {
+      const platform = platforms.find(item => item.id === id);
+      return platform ? platform.name : this.getPlatformDisplayName(id);
+    };
+
+    return `
+      <div class="detail-modal-backdrop">
+        <div class="detail-modal-content">
+          <div class="detail-header">
+            <h3 class="detail-title">设置</h3>
+            <button class="detail-close-btn" title="关闭">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6.41 5L5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41 17.59 5 12 10.59z"/>
+              </svg>
+            </button>
+          </div>
+
+          <div class="settings-section">
+            <div class="settings-section-title">自建聊天站点</div>
+            <div class="settings-section-hint">添加自己部署的聊天站点地址，授权访问后即可保存其中的对话。添加后需刷新已打开的站点页面。</div>
+
+            <div class="custom-site-list">
+              ${sites.length > 0 ? sites.map(site => `
+                <div class="custom-site-item">
+                  <div class="custom-site-info">
+                    <div class="custom-site-origin">${this.escapeHtml(site.origin)}</div>
+                    <div class="custom-site-meta">
+                      ${this.escapeHtml(getPlatformName(site.platform))} · ${site.granted ? '已授权' : '<span class="custom-site-revoked">未授权，请移除后重新添加</span>'}
+                    </div>
+                  </div>
+                  <button class="custom-site-remove-btn" data-origin="${this.escapeAttr(site.origin)}">移除</button>
+                </div>
+              `).join('') : '<div class="empty-messages">还没有添加自建站点</div>'}
+            </div>
+
+            <form class="custom-site-form">
+              <input type="text" class="custom-site-origin-input" placeholder="例如 http://localhost:3000" required>
+              <select class="custom-site-platform-select">
+                ${platforms.map(platform => `<option value="${this.escapeAttr(platform.id)}">${this.escapeHtml(platform.name)}</option>`).join('')}
+              </select>
+              <button type="submit" class="action-btn custom-site-add-btn">添加</button>
+            </form>
+          </div>
+
+          <div class="settings-section">
+            <div class="settings-section-title">适配规则</div>
+            <div class="settings-section-hint">页面改版导致无法保存时，可以修改内置平台的选择器等字段（只保存修改过的字段），或导入其他站点的规则后在上方添加站点时选择。刷新页面后生效。</div>
+
+            <div class="adapter-spec-list">
+              ${this.generateAdapterSpecListHTML(specs)}
+            </div>
+
+            <div class="adapter-spec-actions">
+              <button class="action-btn adapter-spec-new-btn">新建规则</button>
+              <button class="action-btn adapter-spec-import-btn">导入规则</button>
+              <input type="file" class="adapter-spec-file-input" accept=".json" hidden>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  // 内置平台的规则（标明已修改的字段数）与自定义规则
+  generateAdapterSpecListHTML(specs) {
+    const builtIn = AdapterSpecs.DEFAULT_SPECS.map(spec => {
+      const overrides = Object.keys(specs[spec.id] || {}).length;
+      return `
+        <div class="adapter-spec-item">
+          <div class="adapter-spec-info">
+            <div class="adapter-spec-name">${this.escapeHtml(spec.name)}</div>
+            <div class="adapter-spec-meta">内置${overrides > 0 ? ` · <span class="adapter-spec-modified">已修改 ${overrides} 个字段</span>` : ''}</div>
+          </div>
+          <button class="adapter-spec-edit-btn" data-id="${spec.id}">编辑</button>
+          ${overrides > 0 ? `<button class="adapter-spec-remove-btn" data-id="${spec.id}">恢复默认</button>` : ''}
+        </div>
+      `;
+    });
+
+    const custom = AdapterSpecs.getCustomSpecs(specs).map(spec => `
+      <div class="adapter-spec-item">
+        <div class="adapter-spec-info">
+          <div class="adapter-spec-name">${this.escapeHtml(spec.name || spec.id)}</div>
+          <div class="adapter-spec-meta">自定义 · ${this.escapeHtml(spec.id)}</div>
+        </div>
+        <button class="adapter-spec-edit-btn" data-id="${this.escapeAttr(spec.id)}">编辑</button>
+        <button class="adapter-spec-remove-btn" data-id="${this.escapeAttr(spec.id)}">删除</button>
+      </div>
+    `);
+
+    return builtIn.concat(custom).join('');
+  }
+
+  // 站点访问权限必须在用户点击时申请，授权后再交给后台保存并注册内容脚本
+  async addCustomSite(modal) {
+    const input = modal.querySelector('.custom-site-origin-input');
+    const platform = modal.querySelector('.custom-site-platform-select').value;
+    const origin = PlatformRegistry.normalizeOrigin(input.value);
+    if (!origin) {
+      this.showNotification('请输入有效的站点地址', 'warning');
+      return;
+    }
+    if (PlatformRegistry.isSupportedUrl(origin)) {
+      this.showNotification('该站点已内置支持，无需添加', 'info');
+      return;
+    }
+
+    try {
+      const granted = await chrome.permissions.request({ origins: [PlatformRegistry.getOriginMatchPattern(origin)] });
+      if (!granted) {
+        this.showNotification('未获得站点访问权限', 'warning');
+        return;
+      }
+
+      await this.sendRuntimeMessage({ type: 'addCustomSite', origin, platform });
+      this.showNotification(`已添加 ${origin}，请刷新已打开的页面`, 'success');
+      await this.showSettings();
+    } catch (error) {
+      console.error('添加自建站点失败:', error);
+      this.showNotification(`添加失败: ${error.message}`, 'error');
+    }
+  }
+
+  async removeCustomSite(origin) {
+    if (!confirm(`确定要移除 ${origin} 吗？已保存的对话不会被删除。`)) {
+      return;
+    }
+
+    try {
+      await this.sendRuntimeMessage({ type: 'removeCustomSite', origin });
+      this.showNotification('站点已移除', 'success');
+      await this.showSettings();
+    } catch (error) {
+      console.error('移除自建站点失败:', error);
+      this.showNotification('移除失败', 'error');
+    }
+  }
+
+  // 编辑适配规则：内置平台编辑覆盖字段（对照默认规则），自定义规则编辑完整规则；id 为 null 时新建自定义规则
+  showAdapterSpecEditor(id) {
+    this.hideAdapterSpecEditor();
+
+    const defaultSpec = id ? AdapterSpecs.getDefaultSpec(id) : null;
+    const stored = id ? this.adapterSpecs[id] : null;
+    const initial = defaultSpec
+      ? (stored || {})
+      : (stored || { id: '', name: '', urlPatterns: [], conversationIdPatterns: [], messageSelector: '' });
+
+    const modal = document.createElement('div');
+    modal.className = 'conversation-detail-modal adapter-spec-modal';
+    modal.innerHTML = `
+      <div class="detail-modal-backdrop">
+        <div class="detail-modal-content">
+          <div class="detail-header">
+            <h3 class="detail-title">${id ? `编辑规则：${this.escapeHtml(defaultSpec ? defaultSpec.name : id)}` : '新建规则'}</h3>
+            <button class="detail-close-btn" title="关闭">
+              <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                <path d="M6.41 5L5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12 19 6.41 17.59 5 12 10.59z"/>
+              </svg>
+            </button>
+          </div>
+
+          <div class="settings-section">
+            <div class="settings-section-hint">
+              ${defaultSpec ? '只需填写要覆盖的字段，未填写的字段沿用默认规则。' : '自定义规则需包含 id、urlPatterns、conversationIdPatterns 与 messageSelector。'}
+              字段说明：${Object.entries(AdapterSpecs.FIELDS).map(([field, { description }]) => `<code>${field}</code> ${this.escapeHtml(description)}`).join('；')}
+            </div>
+            <textarea class="adapter-spec-textarea" spellcheck="false">${this.escapeHtml(JSON.stringify(initial, null, 2))}</textarea>
+            ${defaultSpec ? `
+              <details class="adapter-spec-default">
+                <summary>默认规则</summary>
+                <pre>${this.escapeHtml(JSON.stringify(defaultSpec, null, 2))}</pre>
+              </details>
+            ` : ''}
+          </div>
+
+          <div class="detail-actions">
+            <button class="action-btn adapter-spec-cancel-btn">取消</button>
+            <button class="action-btn adapter-spec-save-btn">保存</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('.detail-close-btn').addEventListener('click', () => {
+      this.hideAdapterSpecEditor();
+    });
+    modal.querySelector('.adapter-spec-cancel-btn').addEventListener('click', () => {
+      this.hideAdapterSpecEditor();
+    });
+    modal.querySelector('.adapter-spec-save-btn').addEventListener('click', () => {
+      this.saveAdapterSpecFromEditor(id, modal.querySelector('.adapter-spec-textarea').value);
+    });
+  }
+
+  hideAdapterSpecEditor() {
+    const modal = document.querySelector('.adapter-spec-modal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  async saveAdapterSpecFromEditor(id, text) {
+    let spec;
+    try {
+      spec = JSON.parse(text);
+    } catch (error) {
+      this.showNotification(`规则不是有效的 JSON: ${error.message}`, 'error');
+      return;
+    }
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      this.showNotification('规则必须是 JSON 对象', 'error');
+      return;
+    }
+    // 内置平台的覆盖字段可以省略 id
+    if (id && AdapterSpecs.isBuiltIn(id)) {
+      spec.id = id;
+    }
+
+    const errors = this.validateAdapterSpec(spec);
+    if (errors.length > 0) {
+      this.showNotification(`规则无效: ${errors.join('；')}`, 'error');
+      return;
+    }
+
+    try {
+      await this.sendRuntimeMessage({ type: 'saveAdapterSpec', spec });
+      this.hideAdapterSpecEditor();
+      this.showNotification('规则已保存，刷新页面后生效', 'success');
+      await this.showSettings();
+    } catch (error) {
+      console.error('保存适配规则失败:', error);
+      this.showNotification(`保存失败: ${error.message}`, 'error');
+    }
+  }
+
+  // 按合并后的生效规则校验（内置平台的覆盖字段与默认规则合并）
+  validateAdapterSpec(spec) {
+    if (typeof spec.id !== 'string' || !spec.id) {
+      return ['缺少 id'];
+    }
+    const base = AdapterSpecs.getDefaultSpec(spec.id) || { id: spec.id };
+    return AdapterSpecs.validate(AdapterSpecs.merge(base, spec));
+  }
+
+  async importAdapterSpecs(file) {
+    let specs;
+    try {
+      specs = AdapterSpecs.parse(await file.text());
+    } catch (error) {
+      this.showNotification(error.message, 'error');
+      return;
+    }
+
+    const invalid = specs.map(spec => ({ spec, errors: this.validateAdapterSpec(spec) }))
+      .filter(item => item.errors.length > 0);
+    if (invalid.length > 0) {
+      const { spec, errors } = invalid[0];
+      this.showNotification(`规则 ${spec.id || '(无 id)'} 无效: ${errors.join('；')}`, 'error');
+      return;
+    }
+
+    try {
+      for (const spec of specs) {
+        await this.sendRuntimeMessage({ type: 'saveAdapterSpec', spec });
+      }
+      this.showNotification(`已导入 ${specs.length} 条规则，刷新页面后生效`, 'success');
+      await this.showSettings();
+    } catch (error) {
+      console.error('导入适配规则失败:', error);
+      this.showNotification(`导入失败: ${error.message}`, 'error');
+    }
+  }
+
+  // 内置平台恢复默认规则；自定义规则删除后，使用它的站点不再注入脚本
+  async removeAdapterSpec(id) {
+    const message = AdapterSpecs.isBuiltIn(id)
+      ? '确定要恢复默认规则吗？修改过的字段将被清除。'
+      : `确定要删除规则 ${id} 吗？使用该规则的站点将不再保存对话。`;
+    if (!confirm(message)) {
+      return;
+    }
+
+    try {
+      await this.sendRuntimeMessage({ type: 'removeAdapterSpec', id });
+      this.showNotification('规则已更新，刷新页面后生效', 'success');
+      await this.showSettings();
+    } catch (error) {
+      console.error('删除适配规则失败:', error);
+      this.showNotification('操作失败', 'error');
+    }
   }
 }
 